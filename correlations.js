@@ -1,65 +1,372 @@
 // ============ CONFIGURATION & DATA SOURCES ============
-const QLEVER = 'https://qlever.dev/api/wikidata';  // SPARQL endpoint
-const ACCEPT_JSON = { 'Accept': 'application/sparql-results+json' };  // Request JSON
-const MIN_ENDEMIC = 50;  // Filter: only countries with ≥50 endemic species
+// QLEVER, the SPARQL queries and their parsers live in data.js (shared with map.js)
+const DEFAULT_TOLERANCE = 2;  // Year alignment: accept values up to ±2 years from the target year
+const MIN_ENDEMIC = 50;  // Default threshold: only countries with ≥50 endemic species (adjustable in the UI)
+const OUTLIER_Z = 2;  // Residual plot: flag countries whose residual exceeds 2 residual standard errors
 
 // ============ DOM ELEMENTS ============
 const statusEl = document.getElementById('vizStatus');  // Status message
 const tooltip = document.getElementById('vizTooltip');  // Hover tooltip
 const fmtInt = d3.format(',d');  // Number formatter
 
+// ============ PLOTTABLE FIELDS ============
+// Every column of combineDataset that can go on an axis, set bubble size or colour points.
+// A new metric only needs its column in combineDataset and an entry here.
+const FIELDS = [
+  { id: 'fraction', label: 'Threatened fraction', axis: 'Endangered / total endemic', percent: true, format: v => `${(v * 100).toFixed(1)}%` },
+  { id: 'totalEndemic', label: 'Total endemic species', axis: 'Endemic species', format: v => fmtInt(v) },
+  { id: 'threatenedEndemic', label: 'Threatened endemic species', axis: 'Threatened endemic species', format: v => fmtInt(v) },
+  { id: 'gdpUSD', label: 'GDP', axis: 'GDP (USD)', scaled: true, positive: true, format: v => formatNumber(v, 'usd') },
+  { id: 'population', label: 'Population', axis: 'Population', scaled: true, positive: true, format: v => formatNumber(v, 'pop') },
+  { id: 'gdpPerCapita', label: 'GDP per capita', axis: 'GDP per capita (USD)', positive: true, format: v => `${fmtInt(Math.round(v))} USD` },
+  { id: 'density', label: 'Population density', axis: 'People per km²', positive: true, format: v => `${v.toFixed(1)} per km²` }
+];  // scaled = axis divided by chooseScale(); positive = 0 means missing data
+const FIELD_BY_ID = new Map(FIELDS.map(f => [f.id, f]));
+const COLOUR_CATEGORIES = [{ id: 'continent', label: 'Continent' }, { id: 'dominantBiome', label: 'Dominant biome' }];  // Categorical colour-by options = row keys (numeric FIELDS are added too)
+const isCategory = id => COLOUR_CATEGORIES.some(c => c.id === id);  // True for the categorical colour-by ids
+
+// ============ CURRENT SNAPSHOT (for export) ============
+let currentDataset = [];  // Rows produced by combineDataset for the snapshot on screen
+let currentFetchedAt = null;  // Timestamp of that snapshot
+let currentSnapshot = null;  // Last { tables, fetchedAt, stale } so filters re-render without refetching
+let currentGroup = null;  // Taxonomic group id from TAXON_GROUPS (null = all taxa)
+let xScaleType = 'linear';  // 'linear' or 'log' (log10 x-axis, regressions fitted on log10(x))
+const chartAxes = {  // Field ids on each chart (user-selectable; defaults are the original two charts)
+  chartGDP: { x: 'gdpUSD', y: 'fraction' },
+  chartPOP: { x: 'population', y: 'fraction' }
+};
+let sizeBy = '';  // Field id for bubble size ('' = fixed radius)
+let colourBy = '';  // A COLOUR_CATEGORIES id, a field id, or '' (single colour)
+let pointColour = () => '#8bff74ff';  // Row → fill, rebuilt by renderCharts from colourBy
+let hoveredIso = null;  // Country under the pointer (linked across both plots and the table)
+let selectedIsos = new Set();  // Countries picked with the brush
+let fitScope = 'all';  // Rows the regressions use: 'all', 'selection' or 'complement'
+const SCOPE_NOTES = { all: '', selection: ', selected countries only', complement: ', excluding the selection' }; // For writeStats
+const charts = new Map();  // svgId → { cfg, x, y, fitX, rows, brush, bandLayer, lineLayer, logX } of the drawn scatter plots
+let currentYear = null;  // GDP / population as of this year (series tables); null = latest value per country
+let alignMode = 'asOf';  // 'asOf' = latest value at or before currentYear, 'nearest' = nearest within ± yearTolerance
+let yearTolerance = DEFAULT_TOLERANCE;  // Window for 'nearest' (years)
+let currentExcluded = [];  // Countries dropped by the year alignment: { isoNumeric, countryLabel, reason }
+let continentByIso = null;  // ISO numeric → continent (loadContinentLookup in data.js); null until the basemap loads
+let biomeTable = null;  // Biome shares by country (loadBiomeTable in data.js); null until loaded or if missing
+const filters = {  // Interactive filters applied by combineDataset
+  minEndemic: MIN_ENDEMIC,  // Minimum endemic count (of the selected taxon group)
+  continents: null,  // Set of continent names to keep; null = all
+  gdpRange: [null, null],  // [min, max] GDP in USD; null = open bound
+  popRange: [null, null]  // [min, max] population; null = open bound
+};
+const EXPORT_COLUMNS = ['isoNumeric', 'iso3', 'countryLabel', 'continent', 'taxonGroup', 'totalEndemic', 'threatenedEndemic', 'fraction', 'gdpUSD', 'gdpYear', 'population', 'popYear', 'gdpPerCapita', 'areaKm2', 'density', 'yearGap', 'dominantBiome', 'dominantBiomeShare'];
+
 async function initCorrelations() {
-  setStatus('Loading live data from QLever…');
+  setStatus('Loading data…');
+  setupContinentFilter();                                                           // Basemap loads alongside the tables
+  setupBiomes();                                                                    // So does data/biomes.json
   try {
-    const [endData, gdpData, popData] = await Promise.all([
-      runSparqlGETWithRetry(Q_END_EMD),
-      runSparqlGETWithRetry(Q_GDP),
-      runSparqlGETWithRetry(Q_POP)
-    ]);
-    const endemicTable = buildEndemicMap(endData);                                  // Parse endemic data to Map
-    const gdpTable = buildGdpMap(gdpData);                                          // Parse GDP data to Map
-    const populationTable = buildPopulationMap(popData);                            // Parse population data to Map
-    const dataset = combineDataset(endemicTable, gdpTable, populationTable);        // Combine all datasets
-    if (!dataset.length) {                                                          // Check if dataset is empty
-      setStatus('No countries meet the minimum endemic species threshold yet.');    // Update status message
-      return;                                                                       // Exit function
-    }
-    setStatus(`Loaded ${dataset.length} countries (≥ ${MIN_ENDEMIC} endemic species).`); // Success message
-    renderCharts(dataset);                                                          // Render correlation charts
+    const snapshot = await loadTablesCached({                                       // Cached snapshot or live QLever (data.js)
+      onRefresh: showSnapshot,                                                      // Redraw when a stale snapshot is refreshed
+      onRefreshFailed: () => setStatus(`${statusEl?.textContent || ''} ${refreshFailedMessage()}.`)
+    });
+    showSnapshot(snapshot);                                                         // Combine + render
   } catch (err) {                                                                   // Catch any errors
     console.error(err);                                                             // Log error to console
     setStatus('Unable to fetch data from the SPARQL endpoint right now. Please retry.'); // Error message
   }
 }
 
+function showSnapshot(snapshot) {                                                   // Render one table snapshot
+  const { tables, fetchedAt, stale } = snapshot;
+  currentSnapshot = snapshot;                                                       // Kept so filters re-render without refetching
+  const { endemicTable, gdpTable, populationTable, taxonTable, areaTable, gdpSeriesTable, popSeriesTable } = tables; // Shared tables (data.js)
+  populateYearSelect(gdpSeriesTable, popSeriesTable);                               // Years present in this snapshot
+  const excluded = [];                                                              // Filled by combineDataset
+  const dataset = combineDataset(endemicTable, gdpTable, populationTable, {         // Combine all datasets
+    taxonTable,
+    areaTable,
+    gdpSeriesTable,
+    popSeriesTable,
+    year: currentYear,
+    align: alignMode,
+    tolerance: yearTolerance,
+    excluded,
+    group: currentGroup,
+    minEndemic: filters.minEndemic,
+    continentByIso,
+    biomeTable,
+    continents: filters.continents,
+    gdpRange: filters.gdpRange,
+    popRange: filters.popRange
+  });
+  currentDataset = dataset;                                                         // Remember for export
+  currentFetchedAt = fetchedAt;
+  currentExcluded = excluded;
+  renderExcluded();                                                                 // List what the year alignment dropped
+  const filterText = describeFilters().join(' · ');                                // e.g. "≥ 50 endemic species · Africa, Asia"
+  if (!dataset.length) {                                                            // Check if dataset is empty
+    setStatus(`No countries match the filters (${filterText}).`);                   // Update status message
+    renderCharts([]);                                                               // Clear the previous points
+    return;                                                                         // Exit function
+  }
+  const asOf = formatDataAsOf(fetchedAt);                                           // "Data as of …" text
+  const excludedText = excluded.length ? ` ${excluded.length} excluded for lack of aligned data.` : '';
+  setStatus(`Loaded ${dataset.length} countries (${filterText}).${excludedText} ${asOf}${stale ? ' · refreshing…' : '.'}`); // Success message
+  renderCharts(dataset);                                                            // Render correlation charts
+}
+
+function describeFilters() {                                                        // Human-readable list of the active filters
+  const groupLabel = TAXON_GROUPS.find(g => g.id === currentGroup)?.label.toLowerCase(); // e.g. "amphibians"
+  const parts = [`≥ ${fmtInt(filters.minEndemic)} endemic ${groupLabel || 'species'}`];
+  if (filters.continents) parts.push(filters.continents.size ? [...filters.continents].join(', ') : 'no continent selected');
+  const range = ([lo, hi], factor, unit) => {                                       // "GDP 10–500 B USD", "≥ 1 M"…
+    const f = v => fmtInt(v / factor);
+    if (lo !== null && hi !== null) return `${f(lo)}–${f(hi)} ${unit}`;
+    return lo !== null ? `≥ ${f(lo)} ${unit}` : `≤ ${f(hi)} ${unit}`;
+  };
+  if (filters.gdpRange.some(v => v !== null)) parts.push(`GDP ${range(filters.gdpRange, 1e9, 'B USD')}`);
+  if (filters.popRange.some(v => v !== null)) parts.push(`population ${range(filters.popRange, 1e6, 'M')}`);
+  if (currentYear === null) parts.push('latest GDP / population');
+  else if (alignMode === 'nearest') parts.push(`GDP / population nearest ${currentYear} (±${yearTolerance} years)`);
+  else parts.push(`GDP / population as of ${currentYear}`);
+  return parts;
+}
+
+function populateYearSelect(gdpSeriesTable, popSeriesTable) {                      // "Latest" + every year in the series
+  const select = document.getElementById('yearSelect');
+  if (!select) return;
+  const years = seriesYears(gdpSeriesTable, popSeriesTable).filter(y => y >= 1960); // Older statements are too sparse
+  d3.select(select).selectAll('option')
+    .data([{ value: '', label: 'Latest' }, ...years.map(y => ({ value: String(y), label: String(y) }))])
+    .join('option')
+    .attr('value', d => d.value)
+    .text(d => d.label);
+  select.value = currentYear === null ? '' : String(currentYear);
+}
+
+function renderExcluded() {                                                         // Collapsible list of excluded countries
+  const panel = document.getElementById('excludedPanel');
+  if (!panel) return;
+  panel.style.display = currentExcluded.length ? '' : 'none';
+  const summary = document.getElementById('excludedSummary');
+  if (summary) summary.textContent = `${currentExcluded.length} countr${currentExcluded.length === 1 ? 'y' : 'ies'} excluded by the year alignment`;
+  d3.select('#excludedList').selectAll('li')
+    .data([...currentExcluded].sort((a, b) => a.countryLabel.localeCompare(b.countryLabel)))
+    .join('li')
+    .text(d => `${d.countryLabel}: ${d.reason}`);
+}
+
+function rerender() {                                                               // Re-run combineDataset + renderCharts from memory
+  if (currentSnapshot) showSnapshot(currentSnapshot);
+}
+
+function setupFilters() {                                                           // Wire threshold + range inputs
+  const minInput = document.getElementById('minEndemic');
+  const readNumber = (id, factor) => {                                              // Blank or invalid = open bound
+    const v = parseFloat(document.getElementById(id)?.value);
+    return Number.isFinite(v) && v >= 0 ? v * factor : null;
+  };
+  const update = () => {
+    const min = parseInt(minInput?.value, 10);
+    filters.minEndemic = Number.isFinite(min) && min >= 0 ? min : MIN_ENDEMIC;
+    filters.gdpRange = [readNumber('gdpMin', 1e9), readNumber('gdpMax', 1e9)];     // Inputs are in billions
+    filters.popRange = [readNumber('popMin', 1e6), readNumber('popMax', 1e6)];     // Inputs are in millions
+    rerender();
+  };
+  const yearSelect = document.getElementById('yearSelect');
+  const alignSelect = document.getElementById('alignMode');
+  const toleranceInput = document.getElementById('yearTolerance');
+  yearSelect?.addEventListener('change', () => {
+    const year = parseInt(yearSelect.value, 10);
+    currentYear = Number.isFinite(year) ? year : null;
+    rerender();
+  });
+  alignSelect?.addEventListener('change', () => {
+    alignMode = alignSelect.value === 'nearest' ? 'nearest' : 'asOf';
+    if (toleranceInput) toleranceInput.disabled = alignMode !== 'nearest';
+    if (alignMode === 'nearest' && currentYear === null && yearSelect?.options.length > 1) {
+      yearSelect.selectedIndex = 1;                                                 // Alignment needs a target: newest year
+      currentYear = parseInt(yearSelect.value, 10);
+    }
+    rerender();
+  });
+  toleranceInput?.addEventListener('change', () => {
+    const tol = parseInt(toleranceInput.value, 10);
+    yearTolerance = Number.isFinite(tol) && tol >= 0 ? tol : DEFAULT_TOLERANCE;
+    rerender();
+  });
+  ['minEndemic', 'gdpMin', 'gdpMax', 'popMin', 'popMax'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', update);                // Fires on Enter / blur, not every keystroke
+  });
+  document.getElementById('resetFilters')?.addEventListener('click', () => {
+    if (minInput) minInput.value = MIN_ENDEMIC;
+    ['gdpMin', 'gdpMax', 'popMin', 'popMax'].forEach(id => { const el = document.getElementById(id); if (el) el.value = ''; });
+    document.querySelectorAll('#continentFilter input').forEach(box => { box.checked = true; });
+    filters.continents = null;
+    if (yearSelect) yearSelect.value = '';
+    if (alignSelect) alignSelect.value = 'asOf';
+    if (toleranceInput) { toleranceInput.value = DEFAULT_TOLERANCE; toleranceInput.disabled = true; }
+    currentYear = null;
+    alignMode = 'asOf';
+    yearTolerance = DEFAULT_TOLERANCE;
+    update();
+  });
+}
+
+async function setupContinentFilter() {                                             // One checkbox per continent
+  const box = document.getElementById('continentFilter');
+  try {
+    continentByIso = await loadContinentLookup();                                   // Same rules as the map (data.js)
+  } catch (err) {
+    console.error(err);
+    if (box) box.textContent = 'Continent filter unavailable (basemap could not be loaded).';
+    return;
+  }
+  if (box) {
+    const names = Array.from(new Set(continentByIso.values())).filter(n => n !== 'Antarctica').sort(); // No endemic data there
+    box.textContent = 'Continents:';
+    const labels = d3.select(box).selectAll('label')
+      .data(names)
+      .join('label');
+    labels.append('input')
+      .attr('type', 'checkbox')
+      .attr('value', d => d)
+      .property('checked', true)
+      .on('change', () => {
+        const checked = [...box.querySelectorAll('input:checked')].map(el => el.value);
+        filters.continents = checked.length === names.length ? null : new Set(checked); // All checked = no filter
+        rerender();
+      });
+    labels.append('span').text(d => d);
+  }
+  rerender();                                                                       // Rows gain their continent column
+}
+
+async function setupBiomes() {                                                      // Dominant biome per country
+  try {
+    biomeTable = await loadBiomeTable();                                            // Same file as the map (data.js)
+  } catch (err) {
+    console.warn('Biome shares unavailable', err);                                  // Rows keep an empty biome column
+    return;
+  }
+  rerender();                                                                       // Rows gain their biome columns
+}
+
+function setupGroupFilter() {                                                       // Fill + wire the taxonomic group select
+  const select = document.getElementById('groupSelect');
+  if (!select) return;
+  d3.select(select).selectAll('option')
+    .data([{ id: '', label: 'All taxa' }, ...TAXON_GROUPS]).join('option')
+    .attr('value', d => d.id)
+    .text(d => d.label);
+  select.addEventListener('change', () => {
+    currentGroup = select.value || null;
+    rerender();                                                                     // Re-combine from memory, no refetch
+  });
+}
+
+function exportDataset(format) {                                                    // Download the plotted rows
+  if (!currentDataset.length) { setStatus('Nothing to export yet: the data has not loaded.'); return; } // Guard
+  exportRows({                                                                      // Shared helper (data.js)
+    rows: currentDataset,
+    columns: EXPORT_COLUMNS,
+    format,
+    baseName: 'endemic-economy-correlations',
+    fetchedAt: currentFetchedAt,
+    meta: {                                                                         // Filters used to build the rows
+      minEndemicSpecies: filters.minEndemic,
+      taxonGroup: currentGroup || 'all',
+      continents: filters.continents ? [...filters.continents] : 'all',
+      gdpRangeUSD: filters.gdpRange,
+      populationRange: filters.popRange,
+      year: currentYear ?? 'latest',
+      yearAlignment: currentYear === null ? 'latest' : alignMode,
+      toleranceYears: alignMode === 'nearest' ? yearTolerance : null,
+      excludedByYear: currentExcluded
+    }
+  });
+}
+
+function setupExportButtons() {                                                     // Wire the hero export buttons
+  document.getElementById('exportCsv')?.addEventListener('click', () => exportDataset('csv'));
+  document.getElementById('exportJson')?.addEventListener('click', () => exportDataset('json'));
+}
+
+function setupScaleToggle() {                                                      // Wire the x-axis scale select
+  const select = document.getElementById('xScaleSelect');
+  if (!select) return;
+  select.value = xScaleType;
+  select.addEventListener('change', () => {
+    xScaleType = select.value === 'log' ? 'log' : 'linear';
+    renderCharts(currentDataset);                                                   // Same rows, new axis + fits
+  });
+}
+
 function setStatus(text) {                                                          // Function to update status display
   if (statusEl) statusEl.textContent = text;                                        // Update if element exists
 }
 
-function combineDataset(endemicTable, gdpTable, populationTable) {                  // Combine three datasets into one
+// options.taxonTable + options.group restrict the endemic counts to one taxonomic group; options.areaTable adds density;
+// options.year (with gdpSeriesTable / popSeriesTable) takes GDP and population as of that year instead of the latest;
+// minEndemic, continents (Set, with continentByIso) and gdpRange / popRange ([min, max], null = open) drop rows;
+// options.biomeTable (loadBiomeTable) adds the dominant biome and its share of the country
+function combineDataset(endemicTable, gdpTable, populationTable, options = {}) {    // Combine three datasets into one
+  const {
+    taxonTable = null, areaTable = null, gdpSeriesTable = null, popSeriesTable = null, year = null,
+    align = 'asOf', tolerance = DEFAULT_TOLERANCE, excluded = null,
+    group = null, minEndemic = MIN_ENDEMIC,
+    continentByIso = null, biomeTable = null, continents = null, gdpRange = null, popRange = null
+  } = options;
+  const inRange = (v, range) => !range                                              // Both bounds inclusive
+    || ((range[0] === null || v >= range[0]) && (range[1] === null || v <= range[1]));
+  const pick = (latest, series, valueKey, yearKey) => (year !== null && align === 'nearest'
+    ? rowNearest(latest, series, year, tolerance, valueKey, yearKey)                // Nearest within ± tolerance
+    : rowAsOf(latest, series, year, valueKey, yearKey));                            // Latest (at or before the year)
   const rows = [];                                                                  // Initialize result array
   endemicTable.forEach((endRow, isoNumeric) => {                                    // Iterate through endemic data
-    const gRow = gdpTable.get(isoNumeric);                                          // Get matching GDP data
-    const pRow = populationTable.get(isoNumeric);                                   // Get matching population data
-    if (!gRow || !pRow) return;                                                     // Skip if missing data
-    const total = +(endRow.totalEndemicSpecies || 0);                               // Convert total to number
-    const nt = +(endRow.nearThreatenedEndemicSpecies || 0);                         // Convert NT count to number
-    const vu = +(endRow.vulnerableEndemicSpecies || 0);                             // Convert VU count to number
-    const en = +(endRow.endangeredEndemicSpecies || 0);                             // Convert EN count to number
-    const cr = +(endRow.criticallyEndangeredEndemicSpecies || 0);                   // Convert CR count to number
-    const threatened = nt + vu + en + cr;                                           // Calculate total threatened
-    if (!Number.isFinite(total) || total < MIN_ENDEMIC || total === 0) return;      // Apply minimum threshold filter
+    const counts = endemicCountsFor(endRow, taxonTable?.get(isoNumeric), group);    // All taxa or one group (data.js)
+    const total = +counts.total;                                                    // Convert total to number
+    const threatened = +counts.threatened;                                          // NT + VU + EN + CR
+    if (!Number.isFinite(total) || total < minEndemic || total === 0) return;       // Apply minimum threshold filter
+    const continent = continentByIso?.get(isoNumeric) || '';                        // '' until the basemap loads
+    if (continents && !continents.has(continent)) return;                           // Continent filter
+    const gRow = pick(gdpTable.get(isoNumeric), gdpSeriesTable?.get(isoNumeric), 'gdpUSD', 'gdpYear'); // Matching GDP data
+    const pRow = pick(populationTable.get(isoNumeric), popSeriesTable?.get(isoNumeric), 'population', 'popYear'); // Matching population data
+    if (!gRow || !pRow) {                                                           // Skip if missing data
+      if (year !== null && excluded) {                                              // Report countries the year choice dropped
+        const window = align === 'nearest' ? `within ±${tolerance} years of ${year}` : `on or before ${year}`;
+        const missing = [!gRow && 'GDP', !pRow && 'population'].filter(Boolean).join(' or ');
+        excluded.push({
+          isoNumeric,
+          countryLabel: endRow.countryLabel || `ISO ${isoNumeric}`,
+          reason: `no ${missing} ${window}`
+        });
+      }
+      return;
+    }
+    const gdpUSD = +(gRow.gdpUSD || 0);
+    const population = +(pRow.population || 0);
+    if (!inRange(gdpUSD, gdpRange) || !inRange(population, popRange)) return;      // GDP / population ranges
+    const areaKm2 = areaTable?.get(isoNumeric)?.areaKm2 || null;                    // Total area (null = unknown)
     const fraction = threatened / total;                                             // Calculate threatened fraction
+    const biome = dominantBiome(biomeTable, isoNumeric);                            // Largest biome share (null = unknown)
     rows.push({                                                                     // Add combined row to array
       isoNumeric,                                                                   // ISO numeric code
+      iso3: endRow.iso3 || gRow.iso3 || pRow.iso3 || iso3ForIsoNum(isoNumeric),     // ISO 3-letter code (bundled table as fallback)
       countryLabel: endRow.countryLabel || gRow.countryLabel || pRow.countryLabel || `ISO ${isoNumeric}`, // Country name
+      continent,                                                                    // Continent (same rules as the map)
+      taxonGroup: group || 'all',                                                   // Group the counts refer to
       totalEndemic: total,                                                          // Total endemic species
       threatenedEndemic: threatened,                                                // Threatened endemic species
       fraction,                                                                     // Threatened fraction (0-1)
-      gdpUSD: +(gRow.gdpUSD || 0),                                                  // GDP in USD
+      gdpUSD,                                                                       // GDP in USD
       gdpYear: gRow.gdpYear || '',                                                  // Year of GDP data
-      population: +(pRow.population || 0),                                          // Population count
-      popYear: pRow.popYear || ''                                                   // Year of population data
+      population,                                                                   // Population count
+      popYear: pRow.popYear || '',                                                  // Year of population data
+      targetYear: year,                                                             // Year the values were aligned to (null = latest)
+      yearGap: gRow.gdpYear && pRow.popYear ? Math.abs(gRow.gdpYear - pRow.popYear) : null, // Years between the GDP and population values
+      gdpPerCapita: gdpUSD > 0 && population > 0 ? gdpUSD / population : null,      // USD per person
+      areaKm2,                                                                      // Total area in km²
+      density: areaKm2 && population > 0 ? population / areaKm2 : null,            // People per km²
+      dominantBiome: biome ? biome.short || biome.label : '',                       // Biome covering most of the country
+      dominantBiomeShare: biome ? biome.share : null                                // Its share of the country (0-1)
     });
   });
   return rows;                                                                      // Return combined dataset
@@ -67,27 +374,34 @@ function combineDataset(endemicTable, gdpTable, populationTable) {
 
 function renderCharts(data) {                                                       // Function to render both charts
   const configs = [                                                                 // Configuration for each chart
-    {                                                                               // GDP chart configuration
+    {                                                                               // First chart (GDP by default)
       svgId: 'chartGDP',                                                            // SVG element ID
       statsId: 'statsGDP',                                                          // Statistics display ID
-      xField: 'gdpUSD',                                                             // Data field for x-axis
-      xLabelBase: 'GDP (USD)',                                                      // Base label for x-axis
-      tooltipFmt: (d) => formatNumber(d.gdpUSD, 'usd'),                             // Tooltip formatting function
-      tooltipLabel: 'GDP',                                                          // Tooltip label
+      residId: 'residGDP',                                                          // Residuals-vs-fitted SVG ID
+      titleId: 'titleGDP',                                                          // Card heading
+      descId: 'descGDP',                                                            // Card description
       domainPadding: 0.12                                                           // X-axis domain padding
     },
-    {                                                                               // Population chart configuration
+    {                                                                               // Second chart (population by default)
       svgId: 'chartPOP',                                                            // SVG element ID
       statsId: 'statsPOP',                                                          // Statistics display ID
-      xField: 'population',                                                         // Data field for x-axis
-      xLabelBase: 'Population',                                                     // Base label for x-axis
-      tooltipFmt: (d) => formatNumber(d.population, 'pop'),                         // Tooltip formatting function
-      tooltipLabel: 'Population',                                                   // Tooltip label
+      residId: 'residPOP',                                                          // Residuals-vs-fitted SVG ID
+      titleId: 'titlePOP',                                                          // Card heading
+      descId: 'descPOP',                                                            // Card description
       domainPadding: 0.08                                                           // X-axis domain padding
     }
-  ];
+  ].map(cfg => ({                                                                   // Resolve the selected fields
+    ...cfg,
+    xField: FIELD_BY_ID.get(chartAxes[cfg.svgId].x),
+    yField: FIELD_BY_ID.get(chartAxes[cfg.svgId].y)
+  }));
 
+  pointColour = buildPointColour(data);                                             // Shared by both charts
+  drawColourLegend(data);
+  const plotted = new Set(data.map(d => d.isoNumeric));                             // Drop selected countries that were filtered out
+  selectedIsos = new Set([...selectedIsos].filter(iso => plotted.has(iso)));
   configs.forEach(cfg => renderScatter(cfg, data));                                 // Render each chart
+  renderSelectionTable();                                                           // Brushes reset; the selection survives
 }
 
 function renderScatter(cfg, data) {                                                 // Function to render a scatter plot
@@ -95,23 +409,37 @@ function renderScatter(cfg, data) {
   if (svg.empty()) return;                                                          // Exit if SVG doesn't exist
   svg.selectAll('*').remove();                                                      // Clear existing content
 
-  const maxRaw = d3.max(data, d => d[cfg.xField]) || 0;                             // Find maximum x-value
-  const scale = chooseScale(maxRaw, cfg.xLabelBase || cfg.xLabel);                  // Determine appropriate scale
-  const factor = scale.factor || 1;                                                 // Division factor for display
-  const xLabel = scale.label || (cfg.xLabelBase || '');                             // Final x-axis label
+  const { xField, yField } = cfg;                                                   // Selected FIELDS entries
+  const logX = xScaleType === 'log';                                                // Log10 axis + fits on log10(x)
+  const axisScale = field => field.scaled                                           // "(trillions)" etc. for big numbers
+    ? chooseScale(d3.max(data, d => d[field.id]) || 0, field.axis)
+    : { factor: 1, label: field.axis };
+  const xScaleInfo = axisScale(xField);
+  const yScaleInfo = axisScale(yField);
+  const xLabel = xScaleInfo.label;                                                  // Final x-axis label
+  const yLabel = yScaleInfo.label;                                                  // Final y-axis label
+  updateChartText(cfg, xLabel, yLabel);                                             // Heading follows the chosen axes
 
   const filtered = data                                                             // Filter and transform data
-    .filter(row => Number.isFinite(row[cfg.xField]) && row[cfg.xField] > 0)         // Keep valid positive values
+    .filter(row => {                                                                // Keep values the axes can show
+      const vx = row[xField.id];
+      const vy = row[yField.id];
+      return Number.isFinite(vx) && Number.isFinite(vy)
+        && (vx > 0 || (!logX && !xField.positive))                                  // Log axis / missing-as-zero fields need x > 0
+        && (vy > 0 || !yField.positive);
+    })
     .map(row => ({                                                                  // Transform each row
       ...row,                                                                       // Copy all properties
-      x: row[cfg.xField] / factor,                                                  // Scale x-value
-      y: row.fraction                                                               // y-value = threatened fraction
+      x: row[xField.id] / xScaleInfo.factor,                                        // Scale x-value
+      y: row[yField.id] / yScaleInfo.factor                                         // Scale y-value
     }));
 
   if (!filtered.length) {                                                           // Check if any data remains
     svg.append('text').attr('x', 12).attr('y', 24).attr('fill', '#a8b3c7').text('No data available.'); // Show message
     const statsSlot = document.getElementById(cfg.statsId);                         // Get stats element
     if (statsSlot) statsSlot.textContent = 'No data available.';                    // Update stats display
+    d3.select(`#${cfg.residId}`).selectAll('*').remove();                          // Clear the residual plot too
+    charts.delete(cfg.svgId);                                                       // Nothing to brush or refit
     return;                                                                         // Exit function
   }
 
@@ -120,35 +448,45 @@ function renderScatter(cfg, data) {
   const height = 360;                                                               // Fixed height
   svg.attr('width', width).attr('height', height);                                  // Set SVG dimensions
 
+  const xMin = d3.min(filtered, d => d.x);                                          // Minimum x-value after scaling (> 0 on log axes)
   const xMax = d3.max(filtered, d => d.x) || 1;                                     // Maximum x-value after scaling
-  const yMax = d3.max(filtered, d => d.y) || 0.2;                                   // Maximum y-value
+  const yMax = d3.max(filtered, d => d.y) || (yField.percent ? 0.2 : 1);            // Maximum y-value
 
-  const x = d3.scaleLinear()                                                        // Create x-scale
-    .domain([0, xMax * (1 + (cfg.domainPadding || 0.1))])                           // Domain with padding
-    .range([margin.left, width - margin.right]);                                    // Pixel range
+  const x = logX                                                                    // Create x-scale
+    ? d3.scaleLog()                                                                 // Log axis cannot start at 0
+      .domain([xMin / (1 + (cfg.domainPadding || 0.1)), xMax * (1 + (cfg.domainPadding || 0.1))])
+      .range([margin.left, width - margin.right])
+    : d3.scaleLinear()
+      .domain([0, xMax * (1 + (cfg.domainPadding || 0.1))])                         // Domain with padding
+      .range([margin.left, width - margin.right]);                                  // Pixel range
 
-  const regression = linearRegression(filtered);                                    // Calculate linear regression
-  const predicted = regression.intercept + regression.slope * x.domain()[1];        // Predicted y at max x
-  const yMaxCandidate = Math.max(yMax, regression.intercept, predicted, 0.05);      // Ensure all points visible
-  const y = d3.scaleLinear()                                                        // Create y-scale
-    .domain([0, Math.min(1, yMaxCandidate * 1.15)])                                 // Domain with padding, max 1
+  const fitX = logX ? Math.log10 : (v => v);                                        // Space the models are fitted in
+  const allFits = fitModels(filtered, fitX);                                        // Fits on every plotted country
+  const [xStart, xEnd] = x.domain();                                                // Lines span the whole axis
+  const predictAt = (fit, v) => fit.intercept + fit.slope * fitX(v);               // Fitted y at an axis value
+  const yMaxCandidate = Math.max(yMax, yField.percent ? 0.05 : 0,                  // Ensure points and lines are visible
+    predictAt(allFits.regression, xStart), predictAt(allFits.regression, xEnd),
+    predictAt(allFits.robust, xStart), predictAt(allFits.robust, xEnd));
+  const y = d3.scaleLinear()                                                        // Create y-scale (fixed, so refits on a selection keep the points still)
+    .domain([0, yField.percent ? Math.min(1, yMaxCandidate * 1.15) : yMaxCandidate * 1.15]) // Domain with padding (fractions max 1)
     .range([height - margin.bottom, margin.top]);                                   // Pixel range (inverted)
   const group = svg.append('g');                                                    // Create main drawing group
 
-  const linePoints = [                                                              // Regression line endpoints
-    { x: 0, y: regression.intercept },                                              // Start at x=0
-    { x: x.domain()[1], y: regression.intercept + regression.slope * x.domain()[1] } // End at max x
-  ];
+  svg.append('clipPath').attr('id', `clip-${cfg.svgId}`)                            // Keep band and lines inside the plot area
+    .append('rect')
+    .attr('x', margin.left).attr('y', margin.top)
+    .attr('width', width - margin.left - margin.right)
+    .attr('height', height - margin.top - margin.bottom);
 
   group.append('g')
     .attr('transform', `translate(0,${height - margin.bottom})`)
-    .call(d3.axisBottom(x))
+    .call(logX ? d3.axisBottom(x).ticks(5, '~g') : d3.axisBottom(x))                // Log axis: fewer, compact labels
     .call(g => g.selectAll('text').attr('fill', '#ffffffff').style('font-size', '11px'))
     .call(g => g.selectAll('line,path').attr('stroke', '#275c32ff'));
 
   group.append('g')
     .attr('transform', `translate(${margin.left},0)`)
-    .call(d3.axisLeft(y).ticks(6).tickFormat(d3.format('.0%')))
+    .call(d3.axisLeft(y).ticks(6).tickFormat(d3.format(yField.percent ? '.0%' : '~s')))
     .call(g => g.selectAll('text').attr('fill', '#ffffffff').style('font-size', '11px'))
     .call(g => g.selectAll('line,path').attr('stroke', '#275c2aff'));
 
@@ -158,7 +496,7 @@ function renderScatter(cfg, data) {
     .attr('text-anchor', 'middle')
     .attr('fill', '#ffffffff')
     .attr('font-size', 12)
-    .text(xLabel);
+    .text(logX ? `${xLabel}, log scale` : xLabel);
 
   group.append('text')
     .attr('transform', 'rotate(-90)')
@@ -167,29 +505,356 @@ function renderScatter(cfg, data) {
     .attr('text-anchor', 'middle')
     .attr('fill', '#ffffffff')
     .attr('font-size', 12)
-    .text('Endangered / total endemic');
+    .text(yLabel);
+
+  const bandLayer = group.append('g').attr('clip-path', `url(#clip-${cfg.svgId})`); // Confidence band (under the points)
+
+  // Brush below the points: dragging on empty space selects, while the points keep their hover
+  const brush = d3.brush()
+    .extent([[margin.left, margin.top], [width - margin.right, height - margin.bottom]])
+    .on('end', event => handleBrush(event, cfg.svgId));
+  group.append('g').attr('class', 'brush').call(brush);
 
   group.selectAll('circle')
     .data(filtered)
     .join('circle')
+    .attr('class', 'scatter-point')
     .attr('cx', d => x(d.x))
     .attr('cy', d => y(d.y))
-    .attr('r', 5)  // Circle radius (change to increase dot size)
-    .attr('fill', '#8bff74ff')  // Circle color 
+    .attr('r', pointRadius(data))  // Circle radius (fixed 5, or bubble size)
+    .attr('fill', d => pointColour(d))  // Circle color (single green, or colour-by)
     .attr('opacity', 0.9)  // Transparency (0 = invisible, 1 = opaque)
-    .on('mouseenter', (event, d) => showTooltip(event, d, cfg, svg.node()))
+    .on('mouseenter', (event, d) => { showTooltip(event, d, cfg, svg.node()); highlightCountry(d.isoNumeric); })
     .on('mousemove', (event, d) => showTooltip(event, d, cfg, svg.node()))
-    .on('mouseleave', hideTooltip);
+    .on('mouseleave', () => { hideTooltip(); highlightCountry(null); });
 
-  group.append('line')
-    .attr('x1', x(linePoints[0].x))
-    .attr('y1', y(linePoints[0].y))
-    .attr('x2', x(linePoints[1].x))
-    .attr('y2', y(linePoints[1].y))
-    .attr('stroke', '#f6c177')  // Trend line color (change to different color)
-    .attr('stroke-width', 2);  // Trend line thickness
+  const lineLayer = group.append('g')                                               // Fit lines (above the points)
+    .attr('clip-path', `url(#clip-${cfg.svgId})`)
+    .style('pointer-events', 'none');
+
+  const chart = { cfg, x, y, fitX, rows: filtered, brush, bandLayer, lineLayer, logX };
+  charts.set(cfg.svgId, chart);                                                     // Brush + refits reuse the scales
+  drawFits(chart);
+}
+
+function fitModels(rows, fitX) {                                                    // OLS, Theil–Sen and Spearman on rows {x, y}
+  const fitPoints = rows.map(d => ({ x: fitX(d.x), y: d.y }));                      // Points in the fitting space
+  return {
+    regression: linearRegression(fitPoints),                                        // Ordinary least squares
+    robust: theilSenRegression(fitPoints),                                          // Theil–Sen (median of slopes)
+    spearman: spearmanCorrelation(fitPoints)                                        // Rank correlation (same for x and log x)
+  };
+}
+
+function fitRowsFor(rows) {                                                         // Rows the regression uses under fitScope
+  if (fitScope === 'selection') return rows.filter(d => selectedIsos.has(d.isoNumeric));
+  if (fitScope === 'complement') return rows.filter(d => !selectedIsos.has(d.isoNumeric));
+  return rows;
+}
+
+function drawFits(chart) {                                                          // Band, lines, stats and residuals for the current scope
+  const { cfg, x, y, fitX, bandLayer, lineLayer, logX } = chart;
+  const rows = fitRowsFor(chart.rows);
+  bandLayer.selectAll('*').remove();
+  lineLayer.selectAll('*').remove();
+  const { regression, robust, spearman } = fitModels(rows, fitX);
+  const [xStart, xEnd] = x.domain();
+  const predictAt = (fit, v) => fit.intercept + fit.slope * fitX(v);
+
+  if (rows.length >= 2) {                                                           // A line needs two points
+    bandLayer.append('path')
+      .datum(confidenceBand(regression, x, fitX))                                   // 95% band around the OLS line
+      .attr('d', d3.area().x(d => x(d.x)).y0(d => y(d.lo)).y1(d => y(d.hi)))
+      .attr('fill', '#f6c177')  // Same hue as the OLS line
+      .attr('opacity', 0.18);
+
+    // y = a·f(x) + b is a straight line on this axis whether f is identity or log10, so two endpoints suffice
+    lineLayer.selectAll('line.fit-line')
+      .data([
+        { fit: regression, color: '#f6c177', dash: null },                          // OLS trend line (solid)
+        { fit: robust, color: '#9ccfd8', dash: '6 4' }                              // Theil–Sen line (dashed)
+      ])
+      .join('line')
+      .attr('class', 'fit-line')
+      .attr('x1', x(xStart))
+      .attr('y1', d => y(predictAt(d.fit, xStart)))
+      .attr('x2', x(xEnd))
+      .attr('y2', d => y(predictAt(d.fit, xEnd)))
+      .attr('stroke', d => d.color)  // Trend line colors (OLS orange, Theil–Sen blue)
+      .attr('stroke-dasharray', d => d.dash)
+      .attr('stroke-width', 2);  // Trend line thickness
+  }
 
-  writeStats(cfg.statsId, regression, filtered.length);
+  writeStats(cfg.statsId, { regression, robust, spearman, logX }, rows.length);
+  renderResiduals(cfg, rows, regression, fitX);
+  updatePointStates();                                                              // Residual points are redrawn
+}
+
+// ============ LINKED SELECTION ============
+function highlightCountry(iso) {                                                    // Hover: same country in every plot
+  hoveredIso = iso;
+  updatePointStates();
+}
+
+function updatePointStates() {                                                      // Classes for hover + brushed selection
+  const hasSelection = selectedIsos.size > 0;
+  d3.selectAll('.scatter-point')
+    .classed('linked', d => d.isoNumeric === hoveredIso)
+    .classed('selected', d => selectedIsos.has(d.isoNumeric))
+    .classed('dimmed', d => hasSelection && !selectedIsos.has(d.isoNumeric))
+    .filter(d => d.isoNumeric === hoveredIso)
+    .raise();                                                                       // Hovered point on top
+  d3.selectAll('#selectionTable tbody tr')
+    .classed('linked', d => d.isoNumeric === hoveredIso);
+}
+
+function handleBrush(event, svgId) {                                                // Rectangle → selected countries
+  if (!event.sourceEvent) return;                                                   // Ignore programmatic clears
+  charts.forEach((chart, id) => {                                                   // One brush at a time
+    if (id !== svgId) chart.brush && d3.select(`#${id} .brush`).call(chart.brush.move, null);
+  });
+  const chart = charts.get(svgId);
+  if (!event.selection) {                                                           // Click on empty space clears
+    setSelection(new Set());
+    return;
+  }
+  const [[x0, y0], [x1, y1]] = event.selection;
+  setSelection(new Set(chart.rows
+    .filter(d => {
+      const px = chart.x(d.x);
+      const py = chart.y(d.y);
+      return px >= x0 && px <= x1 && py >= y0 && py <= y1;
+    })
+    .map(d => d.isoNumeric)));
+}
+
+function setSelection(isos) {                                                       // Update selection, table and refits
+  selectedIsos = isos;
+  renderSelectionTable();
+  if (fitScope !== 'all') charts.forEach(drawFits);                                 // Refit on the new selection
+  updatePointStates();
+}
+
+function renderSelectionTable() {                                                   // Selected countries, linked to the plots
+  const panel = document.getElementById('selectionPanel');
+  if (!panel) return;
+  const rows = currentDataset
+    .filter(d => selectedIsos.has(d.isoNumeric))
+    .sort((a, b) => b.fraction - a.fraction);                                       // Most threatened first
+  const count = document.getElementById('selectionCount');
+  if (count) count.textContent = rows.length
+    ? `${rows.length} selected countr${rows.length === 1 ? 'y' : 'ies'}`
+    : 'No countries selected. Drag a rectangle on either chart to select a group.';
+  d3.select('#selectionTable').style('display', rows.length ? null : 'none');
+  d3.select('#selectionTable tbody').selectAll('tr')
+    .data(rows, d => d.isoNumeric)
+    .join('tr')
+    .on('mouseenter', (event, d) => highlightCountry(d.isoNumeric))
+    .on('mouseleave', () => highlightCountry(null))
+    .selectAll('td')
+    .data(d => [
+      d.countryLabel,
+      d.continent || '—',
+      fmtInt(d.totalEndemic),
+      `${(d.fraction * 100).toFixed(1)}%`,
+      formatNumber(d.gdpUSD, 'usd'),
+      formatNumber(d.population, 'pop')
+    ])
+    .join('td')
+    .text(d => d);
+}
+
+function setupSelectionControls() {                                                 // Fit scope select + clear button
+  const scope = document.getElementById('fitScope');
+  scope?.addEventListener('change', () => {
+    fitScope = ['selection', 'complement'].includes(scope.value) ? scope.value : 'all';
+    charts.forEach(drawFits);
+  });
+  document.getElementById('clearSelection')?.addEventListener('click', () => {
+    charts.forEach((chart, id) => d3.select(`#${id} .brush`).call(chart.brush.move, null));
+    setSelection(new Set());
+  });
+}
+
+function confidenceBand(regression, x, fitX, steps = 60) {                         // 95% CI of the mean response along the x-axis
+  const { n, residualSE, xMean, sxx } = regression;
+  if (!(n > 2) || !(sxx > 0)) return [];                                            // Needs at least three distinct points
+  const tCrit = studentTQuantile(0.975, n - 2);                                     // Two-sided 95%
+  const [r0, r1] = x.range();
+  return d3.range(steps + 1).map(i => {                                             // Evenly spaced in pixels, so log axes work too
+    const xv = x.invert(r0 + (r1 - r0) * (i / steps));
+    const fx = fitX(xv);
+    const yHat = regression.intercept + regression.slope * fx;
+    const half = tCrit * residualSE * Math.sqrt(1 / n + (fx - xMean) ** 2 / sxx);  // t · SE of the fitted mean
+    return { x: xv, lo: yHat - half, hi: yHat + half };
+  });
+}
+
+function renderResiduals(cfg, rows, regression, fitX) {                             // Residuals-vs-fitted plot with outliers flagged
+  const svg = d3.select(`#${cfg.residId}`);                                         // Select residual SVG
+  if (svg.empty()) return;                                                          // Exit if SVG doesn't exist
+  svg.selectAll('*').remove();                                                      // Clear existing content
+  if (!rows.length) return;                                                         // e.g. refit on an empty selection
+
+  const margin = { top: 12, right: 28, bottom: 36, left: 60 };                      // Same left margin as the scatter
+  const width = Math.min(550, svg.node().parentNode?.clientWidth || 520);           // Responsive width
+  const height = 170;                                                               // Fixed height
+  svg.attr('width', width).attr('height', height);
+
+  const s = regression.residualSE || 0;                                             // Residual standard error
+  const points = rows.map(d => {                                                    // Fitted value + residual per country
+    const fitted = regression.intercept + regression.slope * fitX(d.x);
+    const resid = d.y - fitted;
+    return { ...d, fitted, resid, outlier: s > 0 && Math.abs(resid / s) > OUTLIER_Z };
+  });
+
+  const x = d3.scaleLinear()                                                        // Fitted values
+    .domain(d3.extent(points, d => d.fitted)).nice()
+    .range([margin.left, width - margin.right]);
+  const maxAbs = d3.max(points, d => Math.abs(d.resid)) || 0.01;                    // Symmetric around zero
+  const y = d3.scaleLinear()
+    .domain([-maxAbs * 1.15, maxAbs * 1.15])
+    .range([height - margin.bottom, margin.top]);
+  const group = svg.append('g');
+
+  group.append('g')
+    .attr('transform', `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format(cfg.yField.percent ? '.0%' : '~s'))) // Fitted values share y's unit
+    .call(g => g.selectAll('text').attr('fill', '#ffffffff').style('font-size', '10px'))
+    .call(g => g.selectAll('line,path').attr('stroke', '#275c32ff'));
+
+  group.append('g')
+    .attr('transform', `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format(cfg.yField.percent ? '+.0%' : '+~s')))
+    .call(g => g.selectAll('text').attr('fill', '#ffffffff').style('font-size', '10px'))
+    .call(g => g.selectAll('line,path').attr('stroke', '#275c2aff'));
+
+  group.append('line')                                                              // Zero-residual reference
+    .attr('x1', margin.left).attr('x2', width - margin.right)
+    .attr('y1', y(0)).attr('y2', y(0))
+    .attr('stroke', '#f6c177')
+    .attr('stroke-dasharray', '4 3');
+
+  group.append('text')
+    .attr('x', width / 2)
+    .attr('y', height - 6)
+    .attr('text-anchor', 'middle')
+    .attr('fill', '#ffffffff')
+    .attr('font-size', 11)
+    .text(`Fitted value · red = |residual| > ${OUTLIER_Z}·s`);
+
+  group.selectAll('circle')
+    .data(points)
+    .join('circle')
+    .attr('cx', d => x(d.fitted))
+    .attr('cy', d => y(d.resid))
+    .attr('r', d => d.outlier ? 4.5 : 3)
+    .attr('class', 'scatter-point')
+    .attr('fill', d => d.outlier ? '#eb6f92' : pointColour(d))  // Outliers in red
+    .attr('opacity', 0.9)
+    .on('mouseenter', (event, d) => { showTooltip(event, d, cfg, svg.node()); highlightCountry(d.isoNumeric); })
+    .on('mousemove', (event, d) => showTooltip(event, d, cfg, svg.node()))
+    .on('mouseleave', () => { hideTooltip(); highlightCountry(null); });
+
+  group.selectAll('text.outlier-label')                                             // Name the flagged countries
+    .data(points.filter(d => d.outlier))
+    .join('text')
+    .attr('class', 'outlier-label')
+    .attr('x', d => x(d.fitted) + 6)
+    .attr('y', d => y(d.resid) + 4)
+    .attr('fill', '#eb6f92')
+    .attr('font-size', 10)
+    .text(d => d.iso3 || d.countryLabel);
+}
+
+function updateChartText(cfg, xLabel, yLabel) {                                     // Card heading + description for the chosen axes
+  const title = `${cfg.yField.label} vs ${cfg.xField.label}`;
+  const titleEl = document.getElementById(cfg.titleId);
+  const descEl = document.getElementById(cfg.descId);
+  if (titleEl) titleEl.textContent = title;
+  if (descEl) descEl.textContent = `Each point is a country. X-axis: ${xLabel}. Y-axis: ${yLabel}.`;
+  document.getElementById(cfg.svgId)?.setAttribute('aria-label', `Scatter plot showing ${title.toLowerCase()}`);
+}
+
+function pointRadius(data) {                                                        // Fixed radius or a bubble-size accessor
+  const field = FIELD_BY_ID.get(sizeBy);
+  if (!field) return 5;
+  const size = d3.scaleSqrt()                                                       // Area proportional to the value
+    .domain([0, d3.max(data, d => d[field.id]) || 1])
+    .range([2, 18]);
+  return d => (Number.isFinite(d[field.id]) ? size(Math.max(d[field.id], 0)) : 2);
+}
+
+function buildPointColour(data) {                                                   // Row → fill for the colour-by choice
+  if (colourBy === 'dominantBiome' && biomeTable) {                                 // The map's biome colours (data/biomes.json)
+    const byName = new Map(Array.from(biomeTable.biomes.values(), b => [b.short || b.label, b.color]));
+    return d => byName.get(d.dominantBiome) || '#a8b3c7';
+  }
+  if (isCategory(colourBy)) {
+    const names = Array.from(new Set(data.map(d => d[colourBy]).filter(Boolean))).sort();
+    const scale = d3.scaleOrdinal().domain(names).range(categoryPalette(names.length));
+    return d => (d[colourBy] ? scale(d[colourBy]) : '#a8b3c7');                     // Grey until continents / biomes load
+  }
+  const field = FIELD_BY_ID.get(colourBy);
+  if (field) {
+    const values = data.map(d => d[field.id]).filter(Number.isFinite);
+    const scale = d3.scaleSequential(d3.interpolateYlGn).domain(d3.extent(values));
+    return d => (Number.isFinite(d[field.id]) ? scale(d[field.id]) : '#a8b3c7');
+  }
+  return () => '#8bff74ff';                                                         // Original single colour
+}
+
+function drawColourLegend(data) {                                                   // Key for the colour-by dimension
+  const box = d3.select('#colourLegend');
+  box.selectAll('*').remove();
+  if (isCategory(colourBy)) {
+    const names = Array.from(new Set(data.map(d => d[colourBy]).filter(Boolean))).sort();
+    const items = box.selectAll('.legend-item').data(names).join('span').attr('class', 'legend-item');
+    items.append('span').attr('class', 'pie-swatch').style('background', d => pointColour({ [colourBy]: d }));
+    items.append('span').text(d => d);
+    if (colourBy === 'dominantBiome' && biomeTable && !biomeTable.byIso.size) {
+      box.append('span').attr('class', 'legend-note').text('No biome shares yet: run scripts/build-biomes.js');
+    }
+    return;
+  }
+  const field = FIELD_BY_ID.get(colourBy);
+  if (!field) return;
+  const [lo, hi] = d3.extent(data, d => d[field.id]);
+  if (lo === undefined) return;
+  box.append('span').text(`${field.label}: ${field.format(lo)}`);
+  box.append('span').attr('class', 'legend-ramp')                                   // Same interpolator as the points
+    .style('background', `linear-gradient(to right, ${d3.interpolateYlGn(0)}, ${d3.interpolateYlGn(0.5)}, ${d3.interpolateYlGn(1)})`);
+  box.append('span').text(field.format(hi));
+}
+
+function setupAxisBuilder() {                                                       // X / Y per chart, size + colour for both
+  const fieldOptions = (select, extra = []) => {
+    d3.select(select).selectAll('option')
+      .data([...extra, ...FIELDS.map(f => ({ id: f.id, label: f.label }))])
+      .join('option')
+      .attr('value', d => d.id)
+      .text(d => d.label);
+  };
+  document.querySelectorAll('select[data-chart]').forEach(select => {               // data-chart = svg id, data-axis = x | y
+    fieldOptions(select);
+    const axes = chartAxes[select.dataset.chart];
+    if (!axes) return;
+    select.value = axes[select.dataset.axis];
+    select.addEventListener('change', () => {
+      axes[select.dataset.axis] = select.value;
+      renderCharts(currentDataset);                                                 // Same rows, new axes + fits
+    });
+  });
+  const sizeSelect = document.getElementById('sizeBy');
+  if (sizeSelect) {
+    fieldOptions(sizeSelect, [{ id: '', label: 'Fixed size' }]);
+    sizeSelect.addEventListener('change', () => { sizeBy = sizeSelect.value; renderCharts(currentDataset); });
+  }
+  const colourSelect = document.getElementById('colourBy');
+  if (colourSelect) {
+    fieldOptions(colourSelect, [{ id: '', label: 'Single colour' }, ...COLOUR_CATEGORIES]);
+    colourSelect.addEventListener('change', () => { colourBy = colourSelect.value; renderCharts(currentDataset); });
+  }
 }
 
 function showTooltip(event, datum, cfg, svgNode) {                                  // Show tooltip on hover
@@ -204,10 +869,17 @@ function showTooltip(event, datum, cfg, svgNode) {
   const maxTop = window.innerHeight - 120;                                          // Prevent going off bottom edge
   tooltip.style.left = `${Math.min(left, maxLeft)}px`;                              // Set left position
   tooltip.style.top = `${Math.min(top, maxTop)}px`;                                 // Set top position
+  const shown = [cfg.yField, cfg.xField, FIELD_BY_ID.get(sizeBy), FIELD_BY_ID.get(colourBy)] // Axes, then size / colour fields
+    .filter((f, i, all) => f && all.indexOf(f) === i);                              // Each field once
+  const lines = shown.map(f => `${f.label}: ${Number.isFinite(datum[f.id]) ? f.format(datum[f.id]) : '—'}<br>`).join('');
+  const signed = v => (v > 0 ? `+${v}` : v === 0 ? '±0' : `${v}`);                 // Offset from the target year
+  const years = datum.targetYear !== null && datum.targetYear !== undefined
+    ? `Data years: GDP ${datum.gdpYear} (${signed(datum.gdpYear - datum.targetYear)}), population ${datum.popYear} (${signed(datum.popYear - datum.targetYear)})`
+    : `Data years: GDP ${datum.gdpYear || '—'}, population ${datum.popYear || '—'}${datum.yearGap ? ` (${datum.yearGap} years apart)` : ''}`;
   tooltip.innerHTML = `                                                             
-    <strong>${datum.countryLabel}</strong><br>                                      
-    Threatened fraction: ${(datum.y * 100).toFixed(1)}%<br>                         
-    ${cfg.tooltipLabel || cfg.xLabel}: ${cfg.tooltipFmt(datum)}<br>                 
+    <strong>${datum.countryLabel}</strong>${isCategory(colourBy) && datum[colourBy] ? ` (${datum[colourBy]})` : ''}<br>
+    ${lines}
+    ${years}<br>
     Total endemic: ${fmtInt(datum.totalEndemic)} | Threatened: ${fmtInt(datum.threatenedEndemic)} 
   `;
 }
@@ -218,20 +890,34 @@ function hideTooltip() {
   tooltip.setAttribute('aria-hidden', 'true');                                      // Accessibility: mark as hidden
 }
 
-function writeStats(targetId, regression, n) {                                      // Display regression statistics
+function writeStats(targetId, stats, n) {                                           // Display regression statistics
   const el = document.getElementById(targetId);                                     // Get target element
   if (!el) return;                                                                  // Exit if element doesn't exist
+  const { regression, robust, spearman, logX } = stats;                             // OLS, Theil–Sen, Spearman ρ, axis type
   const slope = regression.slope?.toFixed(4) || '0';                                // Format slope to 4 decimals
   const intercept = regression.intercept?.toFixed(4) || '0';                        // Format intercept to 4 decimals
   const r = regression.r?.toFixed(3) || '0';                                        // Format correlation coefficient to 3 decimals
   const r2 = regression.r2?.toFixed(3) || '0';                                      // Format R-squared to 3 decimals
+  const tsSlope = robust.slope?.toFixed(4) || '0';                                  // Theil–Sen slope
+  const tsIntercept = robust.intercept?.toFixed(4) || '0';                          // Theil–Sen intercept
+  const rho = spearman?.toFixed(3) || '0';                                          // Spearman rank correlation
+  const fmtSE = v => Number.isFinite(v) ? v.toFixed(4) : '—';                       // Undefined for n ≤ 2
+  const p = regression.pValue;                                                      // Two-sided t-test for r = 0
+  const pText = !Number.isFinite(p) ? '—' : p < 0.001 ? '< 0.001' : `≈ ${p.toFixed(3)}`;
+  const tText = Number.isFinite(regression.tStat) ? regression.tStat.toFixed(2) : '—';
+  const model = logX ? 'y = a·log₁₀(x) + b' : 'y = a·x + b';                        // Fitted model
   el.innerHTML = `                                                                  
-    <p><strong>Linear regression</strong> (y = a·x + b)</p>                         
-    <p>n = ${n}</p>                                                                
-    <p>a (slope) ≈ ${slope}</p>                                               
-    <p>b (intercept) ≈ ${intercept}</p>                                    
+    <p><strong>Linear regression</strong> (${model}, orange line)</p>              
+    <p>n = ${n}${SCOPE_NOTES[fitScope]} (${describeFilters().join(' · ')})</p>      
+    <p>a (slope) ≈ ${slope} (SE ${fmtSE(regression.seSlope)})</p>                
+    <p>b (intercept) ≈ ${intercept} (SE ${fmtSE(regression.seIntercept)})</p>    
     <p>r ≈ ${r}</p>                                                                
     <p>R² ≈ ${r2}</p>                                                             
+    <p>t = ${tText} (df = ${Math.max(n - 2, 0)}), p ${pText}${p < 0.05 ? ' · significant at 5%' : ''}</p>
+    <p>Shaded band: 95% confidence interval of the fitted line</p>                 
+    <p><strong>Theil–Sen</strong> (median of pairwise slopes, dashed blue line)</p>
+    <p>a ≈ ${tsSlope}, b ≈ ${tsIntercept}</p>                                      
+    <p><strong>Spearman</strong> ρ ≈ ${rho}</p>                                     
   `;
 }
 
@@ -251,255 +937,120 @@ function linearRegression(points) {
   const intercept = (sumY - slope * sumX) / n;                                      // Calculate intercept
   const rDenom = Math.sqrt((n * sumXX - sumX * sumX) * (n * sumYY - sumY * sumY));  // Denominator for r
   const r = rDenom ? (n * sumXY - sumX * sumY) / rDenom : 0;                        // Calculate correlation coefficient
-  return { slope, intercept, r, r2: r * r };                                        // Return all values
-}
 
-function chooseScale(maxVal, baseLabel) {                                           // Determine appropriate scale for large numbers
-  if (!maxVal || maxVal <= 0) return { factor: 1, label: baseLabel };               // No scaling needed
-  if (maxVal >= 1e12) return { factor: 1e12, label: `${baseLabel} (trillions)` };   // Trillions scale
-  if (maxVal >= 1e9) return { factor: 1e9, label: `${baseLabel} (billions)` };      // Billions scale
-  return { factor: 1e6, label: `${baseLabel} (millions)` };                         // Millions scale
+  // Inference (needs n > 2 and some spread in x): standard errors and the t-test for r = 0
+  const xMean = sumX / n;                                                           // Mean of x
+  const sxx = sumXX - n * xMean * xMean;                                            // Σ(x − x̄)²
+  let sse = 0;                                                                      // Residual sum of squares
+  points.forEach(p => { sse += (p.y - intercept - slope * p.x) ** 2; });
+  const df = n - 2;                                                                 // Degrees of freedom
+  const residualSE = df > 0 ? Math.sqrt(sse / df) : NaN;                            // s
+  const seSlope = df > 0 && sxx > 0 ? residualSE / Math.sqrt(sxx) : NaN;            // SE(a)
+  const seIntercept = df > 0 && sxx > 0 ? residualSE * Math.sqrt(1 / n + xMean * xMean / sxx) : NaN; // SE(b)
+  let tStat = NaN;                                                                  // t = r·√(df / (1 − r²))
+  if (df > 0) tStat = Math.abs(r) < 1 ? r * Math.sqrt(df / (1 - r * r)) : Math.sign(r) * Infinity;
+  const pValue = Number.isNaN(tStat) ? NaN : studentTTwoSidedP(tStat, df);         // Two-sided p-value
+  return { slope, intercept, r, r2: r * r, n, xMean, sxx, residualSE, seSlope, seIntercept, tStat, pValue }; // Return all values
 }
 
-async function runSparqlGETWithRetry(query, { retries = 3, baseDelayMs = 400 } = {}) { // Fetch with retry logic
-  let attempt = 0;                                                                  // Attempt counter
-  while (true) {                                                                    // Infinite loop (breaks on success or max retries)
-    try {                                                                           // Try to fetch
-      const res = await fetch(`${QLEVER}?query=${encodeURIComponent(query)}`, { headers: ACCEPT_JSON }); // Send request
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);                           // Check HTTP status
-      return await res.json();                                                      // Return JSON response
-    } catch (err) {                                                                 // Handle error
-      attempt++;                                                                    // Increment attempt counter
-      if (attempt > retries) throw err;                                             // Throw error if max retries reached
-      const delay = baseDelayMs * Math.pow(2, attempt - 1);                         // Exponential backoff delay
-      await new Promise(resolve => setTimeout(resolve, delay));                     // Wait before retrying
-    }
-  }
+// ============ STUDENT t DISTRIBUTION ============
+// Two-sided p-value P(|T| ≥ |t|) = I_{df/(df+t²)}(df/2, 1/2), via the regularized incomplete beta function
+function studentTTwoSidedP(t, df) {
+  if (!Number.isFinite(t)) return 0;                                                // |t| = ∞ (perfect fit)
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
 }
 
-// SPARQL query that returns endemic species counts and threat categories per country
-const Q_END_EMD = `
-PREFIX wd:   <http://www.wikidata.org/entity/>
-PREFIX wdt:  <http://www.wikidata.org/prop/direct/>
-PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
-
-SELECT
-  ?country
-  ?countryLabel
-  ?iso3
-  ?isoNum
-  (COALESCE(?allSpecies, 0)  AS ?totalEndemicSpecies)
-  (COALESCE(?ntSpecies, 0)   AS ?nearThreatenedEndemicSpecies)
-  (COALESCE(?vuSpecies, 0)   AS ?vulnerableEndemicSpecies)
-  (COALESCE(?enSpecies, 0)   AS ?endangeredEndemicSpecies)
-  (COALESCE(?crSpecies, 0)   AS ?criticallyEndangeredEndemicSpecies)
-WHERE {
-  ?country wdt:P31 wd:Q6256 .
-  OPTIONAL { ?country rdfs:label ?countryLabel . FILTER(LANG(?countryLabel) = "en") }
-  OPTIONAL { ?country wdt:P298 ?iso3 }
-  OPTIONAL { ?country wdt:P299 ?isoNum }
-
-  OPTIONAL {
-SELECT ?country (COUNT(DISTINCT ?sp) AS ?allSpecies)
-WHERE {
-  ?sp wdt:P31 wd:Q16521 ;
-      wdt:P105 wd:Q7432 ;
-      wdt:P183 ?country .
-  ?country wdt:P31 wd:Q6256 .
-}
-GROUP BY ?country
+function studentTQuantile(prob, df) {                                               // Inverse CDF by bisection (prob > 0.5)
+  const target = 2 * (1 - prob);                                                    // Matching two-sided p-value
+  let lo = 0, hi = 1000;
+  for (let i = 0; i < 100; i++) {                                                   // ~1e-28 interval, far below display precision
+    const mid = (lo + hi) / 2;
+    if (studentTTwoSidedP(mid, df) > target) lo = mid; else hi = mid;
   }
-
-  OPTIONAL {
-SELECT ?country (COUNT(DISTINCT ?spNT) AS ?ntSpecies)
-WHERE {
-  ?spNT wdt:P31  wd:Q16521 ;
-        wdt:P105 wd:Q7432 ;
-        wdt:P141 wd:Q719675 ;
-        wdt:P183 ?country .
-  ?country wdt:P31 wd:Q6256 .
+  return (lo + hi) / 2;
 }
-GROUP BY ?country
-  }
 
-  OPTIONAL {
-SELECT ?country (COUNT(DISTINCT ?spVU) AS ?vuSpecies)
-WHERE {
-  ?spVU wdt:P31  wd:Q16521 ;
-        wdt:P105 wd:Q7432 ;
-        wdt:P141 wd:Q278113 ;
-        wdt:P183 ?country .
-  ?country wdt:P31 wd:Q6256 .
+function logGamma(z) {                                                              // Lanczos approximation (g = 7)
+  const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);  // Reflection formula
+  z -= 1;
+  let a = c[0];
+  const t = z + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (z + i);
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
 }
-GROUP BY ?country
-  }
 
-  OPTIONAL {
-SELECT ?country (COUNT(DISTINCT ?spEN) AS ?enSpecies)
-WHERE {
-  ?spEN wdt:P31  wd:Q16521 ;
-        wdt:P105 wd:Q7432 ;
-        wdt:P141 wd:Q96377276 ;
-        wdt:P183 ?country .
-  ?country wdt:P31 wd:Q6256 .
+function regularizedBeta(x, a, b) {                                                 // I_x(a, b), continued fraction (Numerical Recipes)
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x > (a + 1) / (a + b + 2)) return 1 - regularizedBeta(1 - x, b, a);          // Use the symmetric form where it converges faster
+  return front * betaContinuedFraction(x, a, b) / a;
 }
-GROUP BY ?country
-  }
 
-  OPTIONAL {
-SELECT ?country (COUNT(DISTINCT ?spCR) AS ?crSpecies)
-WHERE {
-  ?spCR wdt:P31  wd:Q16521 ;
-        wdt:P105 wd:Q7432 ;
-        wdt:P141 wd:Q219127 ;
-        wdt:P183 ?country .
-  ?country wdt:P31 wd:Q6256 .
-}
-GROUP BY ?country
+function betaContinuedFraction(x, a, b) {                                           // Lentz's method
+  const tiny = 1e-300;
+  let c = 1, d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));                           // Even step
+    d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d; h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));                    // Odd step
+    d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;                                         // Converged
   }
+  return h;
 }
-ORDER BY DESC(?totalEndemicSpecies)
-`;
-
-// SPARQL query that returns the latest GDP value and year per country
-const Q_GDP = `
-PREFIX wd:   <http://www.wikidata.org/entity/>
-PREFIX wdt:  <http://www.wikidata.org/prop/direct/>
-PREFIX p:    <http://www.wikidata.org/prop/>
-PREFIX ps:   <http://www.wikidata.org/prop/statement/>
-PREFIX pq:   <http://www.wikidata.org/prop/qualifier/>
-PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
-
-SELECT
-  ?country
-  ?countryLabel
-  ?iso3
-  ?isoNum
-  ?gdpUSD
-  ?gdpYear
-WHERE {
-  ?country wdt:P31 wd:Q6256 .
-  OPTIONAL { ?country rdfs:label ?countryLabel . FILTER(LANG(?countryLabel) = "en") }
-  OPTIONAL { ?country wdt:P298 ?iso3 }
-  OPTIONAL { ?country wdt:P299 ?isoNum }
-
-  {
-SELECT ?country (MAX(?date) AS ?latestDate)
-WHERE {
-  ?country wdt:P31 wd:Q6256 ;
-           p:P2131 ?st .
-  ?st pq:P585 ?date .
-}
-GROUP BY ?country
-  }
 
-  ?country p:P2131 ?st2 .
-  ?st2 pq:P585 ?latestDate ;
-   ps:P2131 ?gdpUSD .
-  BIND(YEAR(?latestDate) AS ?gdpYear)
-}
-ORDER BY DESC(?gdpUSD)
-`;
-
-// SPARQL query that returns the latest population value and year per country
-const Q_POP = `
-PREFIX wd:   <http://www.wikidata.org/entity/>
-PREFIX wdt:  <http://www.wikidata.org/prop/direct/>
-PREFIX p:    <http://www.wikidata.org/prop/>
-PREFIX ps:   <http://www.wikidata.org/prop/statement/>
-PREFIX pq:   <http://www.wikidata.org/prop/qualifier/>
-PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
-
-SELECT
-  ?country
-  ?countryLabel
-  ?iso3
-  ?isoNum
-  ?population
-  ?popYear
-WHERE {
-  ?country wdt:P31 wd:Q6256 .
-  OPTIONAL { ?country rdfs:label ?countryLabel . FILTER(LANG(?countryLabel) = "en") }
-  OPTIONAL { ?country wdt:P298 ?iso3 }
-  OPTIONAL { ?country wdt:P299 ?isoNum }
-
-  {
-SELECT ?country (MAX(?date) AS ?latestDate)
-WHERE {
-  ?country wdt:P31 wd:Q6256 ;
-           p:P1082 ?popStmt .
-  ?popStmt pq:P585 ?date .
-}
-GROUP BY ?country
+function theilSenRegression(points) {                                               // Robust fit: median slope over all pairs
+  const slopes = [];                                                                // Pairwise slopes
+  for (let i = 0; i < points.length; i++) {                                         // O(n²) is fine for ~200 countries
+    for (let j = i + 1; j < points.length; j++) {
+      const dx = points[j].x - points[i].x;
+      if (dx !== 0) slopes.push((points[j].y - points[i].y) / dx);                  // Skip pairs with equal x
+    }
   }
+  if (!slopes.length) return { slope: 0, intercept: d3.median(points, p => p.y) || 0 }; // Degenerate: flat line
+  const slope = d3.median(slopes);                                                  // Median slope
+  const intercept = d3.median(points, p => p.y - slope * p.x);                      // Median residual intercept
+  return { slope, intercept };
+}
 
-  ?country p:P1082 ?popStmt2 .
-  ?popStmt2 pq:P585 ?latestDate ;
-        ps:P1082 ?population .
-  BIND(YEAR(?latestDate) AS ?popYear)
-}
-ORDER BY DESC(?population)
-`;
-
-function buildEndemicMap(json) {                                                    // Parse endemic JSON into Map
-  const m = new Map();                                                              // Create Map
-  const rows = json?.results?.bindings || [];                                       // Get rows or empty array
-  for (const r of rows) {                                                           // Loop through rows
-    const isoNumStr = r.isoNum?.value;                                              // Get ISO numeric code string
-    const isoInt = isoNumStr ? parseInt(isoNumStr, 10) : NaN;                       // Convert to integer
-    if (!Number.isFinite(isoInt)) continue;                                         // Skip invalid ISO codes
-    const nt = +(r.nearThreatenedEndemicSpecies?.value || 0);                       // NT count
-    const vu = +(r.vulnerableEndemicSpecies?.value || 0);                           // VU count
-    const en = +(r.endangeredEndemicSpecies?.value || 0);                           // EN count
-    const cr = +(r.criticallyEndangeredEndemicSpecies?.value || 0);                 // CR count
-    m.set(isoInt, {                                                                 // Add to Map
-      countryLabel: r.countryLabel?.value || '',                                    // Country name
-      iso3: r.iso3?.value || '',                                                    // ISO 3-letter code
-      isoNum: isoNumStr,                                                            // ISO numeric string
-      totalEndemicSpecies: +(r.totalEndemicSpecies?.value || 0),                    // Total endemic
-      nearThreatenedEndemicSpecies: nt,                                             // NT count
-      vulnerableEndemicSpecies: vu,                                                 // VU count
-      endangeredEndemicSpecies: en,                                                 // EN count
-      criticallyEndangeredEndemicSpecies: cr                                        // CR count
-    });
-  }
-  return m;                                                                         // Return Map
-}
-
-function buildGdpMap(json) {                                                        // Parse GDP JSON into Map
-  const m = new Map();                                                              // Create Map
-  const rows = json?.results?.bindings || [];                                       // Get rows or empty array
-  for (const r of rows) {                                                           // Loop through rows
-    const isoNumStr = r.isoNum?.value;                                              // Get ISO numeric code string
-    const isoInt = isoNumStr ? parseInt(isoNumStr, 10) : NaN;                       // Convert to integer
-    if (!Number.isFinite(isoInt)) continue;                                         // Skip invalid ISO codes
-    m.set(isoInt, {                                                                 // Add to Map
-      countryLabel: r.countryLabel?.value || '',                                    // Country name
-      iso3: r.iso3?.value || '',                                                    // ISO 3-letter code
-      isoNum: isoNumStr,                                                            // ISO numeric string
-      gdpUSD: +(r.gdpUSD?.value || 0),                                              // GDP value
-      gdpYear: r.gdpYear?.value || ''                                               // GDP year
-    });
-  }
-  return m;                                                                         // Return Map
-}
-
-function buildPopulationMap(json) {                                                 // Parse population JSON into Map
-  const m = new Map();                                                              // Create Map
-  const rows = json?.results?.bindings || [];                                       // Get rows or empty array
-  for (const r of rows) {                                                           // Loop through rows
-    const isoNumStr = r.isoNum?.value;                                              // Get ISO numeric code string
-    const isoInt = isoNumStr ? parseInt(isoNumStr, 10) : NaN;                       // Convert to integer
-    if (!Number.isFinite(isoInt)) continue;                                         // Skip invalid ISO codes
-    m.set(isoInt, {                                                                 // Add to Map
-      countryLabel: r.countryLabel?.value || '',                                    // Country name
-      iso3: r.iso3?.value || '',                                                    // ISO 3-letter code
-      isoNum: isoNumStr,                                                            // ISO numeric string
-      population: +(r.population?.value || 0),                                      // Population value
-      popYear: r.popYear?.value || ''                                               // Population year
-    });
+function rankValues(values) {                                                       // 1-based ranks, ties share their mean rank
+  const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);     // Indices sorted by value
+  const ranks = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;  // Extent of the tie group
+    const mean = (i + j) / 2 + 1;                                                   // Average rank of the group
+    for (let k = i; k <= j; k++) ranks[order[k]] = mean;
+    i = j + 1;
   }
-  return m;                                                                         // Return Map
+  return ranks;
+}
+
+function spearmanCorrelation(points) {                                              // Pearson r computed on the ranks
+  if (points.length < 2) return 0;                                                  // Undefined for fewer than two points
+  const rx = rankValues(points.map(p => p.x));                                      // Ranks of x
+  const ry = rankValues(points.map(p => p.y));                                      // Ranks of y
+  return linearRegression(rx.map((x, i) => ({ x, y: ry[i] }))).r;                   // r of the rank pairs
+}
+
+function chooseScale(maxVal, baseLabel) {                                           // Determine appropriate scale for large numbers
+  if (!maxVal || maxVal <= 0) return { factor: 1, label: baseLabel };               // No scaling needed
+  if (maxVal >= 1e12) return { factor: 1e12, label: `${baseLabel} (trillions)` };   // Trillions scale
+  if (maxVal >= 1e9) return { factor: 1e9, label: `${baseLabel} (billions)` };      // Billions scale
+  return { factor: 1e6, label: `${baseLabel} (millions)` };                         // Millions scale
 }
 
 function formatNumber(value, type) {                                                // Format numbers for display
@@ -517,4 +1068,11 @@ function formatNumber(value, type) {
   return fmtInt(Math.round(value));                                                 // Default formatting
 }
 
+setupExportButtons();                                                               // Export buttons work once data is loaded
+setupGroupFilter();                                                                 // Taxon filter re-renders from memory
+setupScaleToggle();                                                                 // Linear / log x-axis
+setupAxisBuilder();                                                                 // Field choices per chart
+setupFilters();                                                                     // Threshold, GDP and population ranges
+setupSelectionControls();                                                           // Brushed selection table + fit scope
+setupEndpointSettings();                                                            // "Data source" panel (data.js)
 initCorrelations();                                                                  // Start the application
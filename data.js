@@ -0,0 +1,1279 @@
+// ============================================
+// SHARED DATA LAYER
+// ============================================
+// Loaded by map.html and correlations.html before their page scripts, so both pages
+// use one endpoint, one query registry, one fetch helper and one set of parsers.
+// Everything here is a plain global (no modules), exactly like map.js and correlations.js.
+
+// ============ API ENDPOINT ============
+// The endpoint is configurable: `?endpoint=<url>` applies to one visit, the "Data source" panel stores it in localStorage.
+// A path starting with ./, ../ or / names a directory of recorded responses (see RECORDED RESPONSES below),
+// e.g. `?endpoint=./fixtures/` serves every query from local files (air-gapped classrooms, repeatable demos).
+// Anything else that is not an http(s) URL is rejected, so a mistyped URL never turns into a folder lookup.
+const QLEVER = 'https://qlever.dev/api/wikidata';  // Default: public QLever Wikidata endpoint
+const ENDPOINT_STORAGE_KEY = 'explorer.endpoint';  // localStorage key for a custom endpoint
+const ACCEPT_JSON = { 'Accept': 'application/sparql-results+json' };  // Header to request JSON responses from SPARQL
+
+// Returns the endpoint in use. A valid `?endpoint=` URL parameter overrides the stored choice for this visit only.
+function getEndpoint() {
+  const fromUrl = endpointFromUrl();
+  if (fromUrl && isValidEndpoint(fromUrl)) return fromUrl;
+  let endpoint = null;
+  try {
+    endpoint = localStorage.getItem(ENDPOINT_STORAGE_KEY);
+  } catch (err) {
+    // localStorage can be blocked (privacy mode); fall back to the default
+  }
+  return endpoint && isValidEndpoint(endpoint) ? endpoint : QLEVER;
+}
+
+// The trimmed `?endpoint=` URL parameter, or '' when there is none
+function endpointFromUrl() {
+  return (new URLSearchParams(window.location.search).get('endpoint') || '').trim();
+}
+
+// Stores a custom endpoint; an empty value (or the default) goes back to QLever
+function setEndpoint(value) {
+  const endpoint = (value || '').trim();
+  try {
+    if (!endpoint || endpoint === QLEVER) localStorage.removeItem(ENDPOINT_STORAGE_KEY);
+    else localStorage.setItem(ENDPOINT_STORAGE_KEY, endpoint);
+  } catch (err) {
+    // Not persisted; the URL parameter still works for this visit
+  }
+}
+
+// True when the endpoint is a local fixture directory (./, ../ or / prefix) rather than a live SPARQL service
+function isFixtureEndpoint(endpoint = getEndpoint()) {
+  return /^\.{0,2}\//.test(endpoint);
+}
+
+// An endpoint (or basemap location) is either an http(s) URL or a local folder
+function isValidEndpoint(endpoint) {
+  if (isFixtureEndpoint(endpoint)) return true;
+  try {
+    return /^https?:$/.test(new URL(endpoint).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Short label for status lines, e.g. "QLever Wikidata", "recorded responses in ./fixtures/", "query.wikidata.org"
+function describeEndpoint(endpoint = getEndpoint()) {
+  if (endpoint === QLEVER) return 'QLever Wikidata';
+  if (isFixtureEndpoint(endpoint)) return `recorded responses in ${endpoint}`;
+  try {
+    return new URL(endpoint).host;
+  } catch (err) {
+    return endpoint;
+  }
+}
+
+// ============================================
+// SPARQL QUERIES
+// ============================================
+
+// Query for endemic species + IUCN categories
+const Q_END_EMD = `
+PREFIX wd:   <http://www.wikidata.org/entity/>
+PREFIX wdt:  <http://www.wikidata.org/prop/direct/>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+SELECT
+  ?country
+  ?countryLabel
+  ?iso3
+  ?isoNum
+  (COALESCE(?allSpecies, 0)  AS ?totalEndemicSpecies)
+  (COALESCE(?ntSpecies, 0)   AS ?nearThreatenedEndemicSpecies)
+  (COALESCE(?vuSpecies, 0)   AS ?vulnerableEndemicSpecies)
+  (COALESCE(?enSpecies, 0)   AS ?endangeredEndemicSpecies)
+  (COALESCE(?crSpecies, 0)   AS ?criticallyEndangeredEndemicSpecies)
+
+WHERE {
+  ?country wdt:P31 wd:Q6256 .
+  OPTIONAL { ?country rdfs:label ?countryLabel . FILTER(LANG(?countryLabel) = "en") }
+  OPTIONAL { ?country wdt:P298 ?iso3 }
+  OPTIONAL { ?country wdt:P299 ?isoNum }
+
+  OPTIONAL {
+SELECT ?country (COUNT(DISTINCT ?sp) AS ?allSpecies)
+WHERE {
+  ?sp wdt:P31 wd:Q16521 ;
+      wdt:P105 wd:Q7432 ;
+      wdt:P183 ?country .
+  ?country wdt:P31 wd:Q6256 .
+}
+GROUP BY ?country
+  }
+
+  OPTIONAL {
+SELECT ?country (COUNT(DISTINCT ?spNT) AS ?ntSpecies)
+WHERE {
+  ?spNT wdt:P31  wd:Q16521 ;
+        wdt:P105 wd:Q7432 ;
+        wdt:P141 wd:Q719675 ;
+        wdt:P183 ?country .
+  ?country wdt:P31 wd:Q6256 .
+}
+GROUP BY ?country
+  }
+
+  OPTIONAL {
+SELECT ?country (COUNT(DISTINCT ?spVU) AS ?vuSpecies)
+WHERE {
+  ?spVU wdt:P31  wd:Q16521 ;
+        wdt:P105 wd:Q7432 ;
+        wdt:P141 wd:Q278113 ;
+        wdt:P183 ?country .
+  ?country wdt:P31 wd:Q6256 .
+}
+GROUP BY ?country
+  }
+
+  OPTIONAL {
+SELECT ?country (COUNT(DISTINCT ?spEN) AS ?enSpecies)
+WHERE {
+  ?spEN wdt:P31  wd:Q16521 ;
+        wdt:P105 wd:Q7432 ;
+        wdt:P141 wd:Q96377276 ;
+        wdt:P183 ?country .
+  ?country wdt:P31 wd:Q6256 .
+}
+GROUP BY ?country
+  }
+
+  OPTIONAL {
+SELECT ?country (COUNT(DISTINCT ?spCR) AS ?crSpecies)
+WHERE {
+  ?spCR wdt:P31  wd:Q16521 ;
+        wdt:P105 wd:Q7432 ;
+        wdt:P141 wd:Q219127 ;
+        wdt:P183 ?country .
+  ?country wdt:P31 wd:Q6256 .
+}
+GROUP BY ?country
+  }
+}
+ORDER BY DESC(?totalEndemicSpecies)
+`;
+
+// Query for GDP data
+const Q_GDP = `
+PREFIX wd:   <http://www.wikidata.org/entity/>
+PREFIX wdt:  <http://www.wikidata.org/prop/direct/>
+PREFIX p:    <http://www.wikidata.org/prop/>
+PREFIX ps:   <http://www.wikidata.org/prop/statement/>
+PREFIX pq:   <http://www.wikidata.org/prop/qualifier/>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+SELECT
+  ?country
+  ?countryLabel
+  ?iso3
+  ?isoNum
+  ?gdpUSD
+  ?gdpYear
+WHERE {
+  ?country wdt:P31 wd:Q6256 .
+  OPTIONAL { ?country rdfs:label ?countryLabel . FILTER(LANG(?countryLabel) = "en") }
+  OPTIONAL { ?country wdt:P298 ?iso3 }
+  OPTIONAL { ?country wdt:P299 ?isoNum }
+
+  {
+SELECT ?country (MAX(?date) AS ?latestDate)
+WHERE {
+  ?country wdt:P31 wd:Q6256 ;
+           p:P2131 ?st .
+  ?st pq:P585 ?date .
+}
+GROUP BY ?country
+  }
+
+  ?country p:P2131 ?st2 .
+  ?st2 pq:P585 ?latestDate ;
+   ps:P2131 ?gdpUSD .
+  BIND(YEAR(?latestDate) AS ?gdpYear)
+}
+ORDER BY DESC(?gdpUSD)
+`;
+
+// Query for population data
+const Q_POP = `
+PREFIX wd:   <http://www.wikidata.org/entity/>
+PREFIX wdt:  <http://www.wikidata.org/prop/direct/>
+PREFIX p:    <http://www.wikidata.org/prop/>
+PREFIX ps:   <http://www.wikidata.org/prop/statement/>
+PREFIX pq:   <http://www.wikidata.org/prop/qualifier/>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+SELECT
+  ?country
+  ?countryLabel
+  ?iso3
+  ?isoNum
+  ?population
+  ?popYear
+WHERE {
+  ?country wdt:P31 wd:Q6256 .
+  OPTIONAL { ?country rdfs:label ?countryLabel . FILTER(LANG(?countryLabel) = "en") }
+  OPTIONAL { ?country wdt:P298 ?iso3 }
+  OPTIONAL { ?country wdt:P299 ?isoNum }
+
+  {
+SELECT ?country (MAX(?date) AS ?latestDate)
+WHERE {
+  ?country wdt:P31 wd:Q6256 ;
+           p:P1082 ?popStmt .
+  ?popStmt pq:P585 ?date .
+}
+GROUP BY ?country
+  }
+
+  ?country p:P1082 ?popStmt2 .
+  ?popStmt2 pq:P585 ?latestDate ;
+        ps:P1082 ?population .
+  BIND(YEAR(?latestDate) AS ?popYear)
+}
+ORDER BY DESC(?population)
+`;
+
+// Full dated GDP / population series (every P2131 / P1082 statement with a point in time), one row per
+// country and year. Q_GDP / Q_POP keep only the latest statement; these feed the time-series chart and the year selector.
+const Q_GDP_SERIES = `
+PREFIX wd:  <http://www.wikidata.org/entity/>
+PREFIX wdt: <http://www.wikidata.org/prop/direct/>
+PREFIX p:   <http://www.wikidata.org/prop/>
+PREFIX ps:  <http://www.wikidata.org/prop/statement/>
+PREFIX pq:  <http://www.wikidata.org/prop/qualifier/>
+
+SELECT ?isoNum ?year (MAX(?value) AS ?gdpUSD)
+WHERE {
+  ?country wdt:P31 wd:Q6256 ;
+           wdt:P299 ?isoNum ;
+           p:P2131 ?st .
+  ?st ps:P2131 ?value ;
+      pq:P585 ?date .
+  BIND(YEAR(?date) AS ?year)
+}
+GROUP BY ?isoNum ?year
+`;
+
+const Q_POP_SERIES = `
+PREFIX wd:  <http://www.wikidata.org/entity/>
+PREFIX wdt: <http://www.wikidata.org/prop/direct/>
+PREFIX p:   <http://www.wikidata.org/prop/>
+PREFIX ps:  <http://www.wikidata.org/prop/statement/>
+PREFIX pq:  <http://www.wikidata.org/prop/qualifier/>
+
+SELECT ?isoNum ?year (MAX(?value) AS ?population)
+WHERE {
+  ?country wdt:P31 wd:Q6256 ;
+           wdt:P299 ?isoNum ;
+           p:P1082 ?st .
+  ?st ps:P1082 ?value ;
+      pq:P585 ?date .
+  BIND(YEAR(?date) AS ?year)
+}
+GROUP BY ?isoNum ?year
+`;
+
+// Query for land area (used for population density). psn: is the value normalized to square metres,
+// so statements in km² and square miles compare; the largest one is the total area.
+const Q_AREA = `
+PREFIX wd:       <http://www.wikidata.org/entity/>
+PREFIX wdt:      <http://www.wikidata.org/prop/direct/>
+PREFIX p:        <http://www.wikidata.org/prop/>
+PREFIX psn:      <http://www.wikidata.org/prop/statement/value-normalized/>
+PREFIX wikibase: <http://wikiba.se/ontology#>
+
+SELECT ?isoNum (MAX(?areaM2) / 1000000 AS ?areaKm2)
+WHERE {
+  ?country wdt:P31 wd:Q6256 ;
+           wdt:P299 ?isoNum ;
+           p:P2046/psn:P2046/wikibase:quantityAmount ?areaM2 .
+}
+GROUP BY ?isoNum
+`;
+
+// ============ TAXONOMIC GROUPS ============
+// Higher taxa used for the breakdown. Species are matched by walking their parent-taxon chain
+// (P171+) up to one of these items, so every rank below the group (order, family, genus…) counts.
+const TAXON_GROUPS = [
+  { id: 'mammals', qid: 'Q7377', label: 'Mammals' },
+  { id: 'birds', qid: 'Q5113', label: 'Birds' },
+  { id: 'reptiles', qid: 'Q10811', label: 'Reptiles' },
+  { id: 'amphibians', qid: 'Q10908', label: 'Amphibians' },
+  { id: 'fishes', qid: 'Q127282', label: 'Ray-finned fishes' },
+  { id: 'insects', qid: 'Q1390', label: 'Insects' },
+  { id: 'plants', qid: 'Q756', label: 'Plants' },
+  { id: 'fungi', qid: 'Q764', label: 'Fungi' }
+];
+const TAXON_GROUP_BY_QID = new Map(TAXON_GROUPS.map(g => [g.qid, g]));  // Fast lookup: group QID → group
+
+// Query for endemic + threatened (NT/VU/EN/CR) species counts per country and taxonomic group
+const Q_TAXON_GROUPS = `
+PREFIX wd:   <http://www.wikidata.org/entity/>
+PREFIX wdt:  <http://www.wikidata.org/prop/direct/>
+
+SELECT
+  ?isoNum
+  ?group
+  (COUNT(DISTINCT ?sp)  AS ?totalEndemicSpecies)
+  (COUNT(DISTINCT ?thr) AS ?threatenedEndemicSpecies)
+WHERE {
+  VALUES ?group { ${TAXON_GROUPS.map(g => 'wd:' + g.qid).join(' ')} }
+  ?country wdt:P31 wd:Q6256 ;
+           wdt:P299 ?isoNum .
+  ?sp wdt:P31  wd:Q16521 ;
+      wdt:P105 wd:Q7432 ;
+      wdt:P183 ?country ;
+      wdt:P171+ ?group .
+  OPTIONAL {
+    ?sp wdt:P141 ?status .
+    VALUES ?status { wd:Q719675 wd:Q278113 wd:Q96377276 wd:Q219127 }
+    BIND(?sp AS ?thr)
+  }
+}
+GROUP BY ?isoNum ?group
+`;
+
+// Per-country species list (run on demand when a country panel opens)
+// countryIsoNum = ISO 3166-1 numeric code as Wikidata stores it (zero-padded string, e.g. "004")
+function buildSpeciesQuery(countryIsoNum) {
+  const iso = String(countryIsoNum).replace(/[^0-9]/g, '').padStart(3, '0');  // Digits only: safe to inline
+  return `
+PREFIX wd:   <http://www.wikidata.org/entity/>
+PREFIX wdt:  <http://www.wikidata.org/prop/direct/>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+SELECT
+  ?species
+  ?speciesLabel
+  ?taxonName
+  ?status
+WHERE {
+  ?country wdt:P31 wd:Q6256 ;
+           wdt:P299 "${iso}" .
+  ?species wdt:P31 wd:Q16521 ;
+           wdt:P105 wd:Q7432 ;
+           wdt:P183 ?country .
+  OPTIONAL { ?species wdt:P225 ?taxonName }
+  OPTIONAL { ?species wdt:P141 ?status }
+  OPTIONAL { ?species rdfs:label ?speciesLabel . FILTER(LANG(?speciesLabel) = "en") }
+}
+ORDER BY ?taxonName
+`;
+}
+
+// ============ IUCN RED LIST CATEGORIES ============
+// Wikidata item → short code, label and severity rank (higher = more threatened; used for sorting)
+const IUCN_STATUS = new Map([
+  ['Q237350', { code: 'EX', label: 'Extinct', rank: 8 }],
+  ['Q239509', { code: 'EW', label: 'Extinct in the wild', rank: 7 }],
+  ['Q219127', { code: 'CR', label: 'Critically endangered', rank: 6 }],
+  ['Q96377276', { code: 'EN', label: 'Endangered', rank: 5 }],
+  ['Q278113', { code: 'VU', label: 'Vulnerable', rank: 4 }],
+  ['Q719675', { code: 'NT', label: 'Near threatened', rank: 3 }],
+  ['Q211005', { code: 'LC', label: 'Least concern', rank: 2 }],
+  ['Q3245245', { code: 'DD', label: 'Data deficient', rank: 1 }]
+]);
+
+// ============================================
+// DATA PARSING FUNCTIONS
+// ============================================
+
+// Converts SPARQL JSON to Map for endemic data
+function buildEndemicMap(json) {// SPARQL JSON to Map for endemic data                                        
+  const m = new Map();// Initialize empty Map to hold endemic data                                                  
+  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON                           
+  for (const r of rows) {// Iterate over each row                                               
+    const isoNumStr = r.isoNum?.value;// Get ISO numeric code as string                                  
+    const isoInt = isoNumStr ? parseInt(isoNumStr, 10) : NaN;// Parse ISO numeric code to integer           
+    if (!Number.isFinite(isoInt)) continue;// Skip invalid ISO codes                             
+    const nt = +(r.nearThreatenedEndemicSpecies?.value || 0);// Near threatened count           
+    const vu = +(r.vulnerableEndemicSpecies?.value || 0);// Vulnerable count               
+    const en = +(r.endangeredEndemicSpecies?.value || 0);// Endangered count               
+    const cr = +(r.criticallyEndangeredEndemicSpecies?.value || 0);// Critically endangered count     
+    m.set(isoInt, {// Store data in Map with ISO numeric code as key                                                     
+      countryLabel: r.countryLabel?.value || '',// Country label                        
+      iso3: r.iso3?.value || '',// ISO 3-letter code                                        
+      isoNum: isoNumStr,// ISO numeric code as string                                                
+      totalEndemicSpecies: +(r.totalEndemicSpecies?.value || 0),// Total endemic species count        
+      nearThreatenedEndemicSpecies: nt,// Near threatened count                                 
+      vulnerableEndemicSpecies: vu,// Vulnerable count                                     
+      endangeredEndemicSpecies: en,// Endangered count                                     
+      criticallyEndangeredEndemicSpecies: cr// Critically endangered count                            
+    });
+  }
+  return m;// Return the populated Map                                                             
+}
+
+// Converts SPARQL JSON to Map for GDP data
+function buildGdpMap(json) {// SPARQL JSON to Map for GDP data                                            
+  const m = new Map();// Initialize empty Map to hold GDP data
+  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON
+  for (const r of rows) {// Iterate over each row
+    const isoNumStr = r.isoNum?.value;// Get ISO numeric code as string
+    const isoInt = isoNumStr ? parseInt(isoNumStr, 10) : NaN;// Parse ISO numeric code to integer
+    if (!Number.isFinite(isoInt)) continue;// Skip invalid ISO codes
+    m.set(isoInt, {// Store data in Map with ISO numeric code as key
+      countryLabel: r.countryLabel?.value || '',// Country label
+      iso3: r.iso3?.value || '',// ISO 3-letter code
+      isoNum: isoNumStr,// ISO numeric code as string
+      gdpUSD: +(r.gdpUSD?.value || 0),// GDP in USD
+      gdpYear: r.gdpYear?.value || ''// GDP year
+    });
+  }
+  return m;// Return the populated Map
+}
+
+// Converts SPARQL JSON to Map for population data
+function buildPopulationMap(json) {// SPARQL JSON to Map for population data                                     
+  const m = new Map();// Initialize empty Map to hold population data
+  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON
+  for (const r of rows) {// Iterate over each row
+    const isoNumStr = r.isoNum?.value;// Get ISO numeric code as string
+    const isoInt = isoNumStr ? parseInt(isoNumStr, 10) : NaN;// Parse ISO numeric code to integer
+    if (!Number.isFinite(isoInt)) continue;// Skip invalid ISO codes
+    m.set(isoInt, {// Store data in Map with ISO numeric code as key
+      countryLabel: r.countryLabel?.value || '',// Country label
+      iso3: r.iso3?.value || '',// ISO 3-letter code
+      isoNum: isoNumStr,// ISO numeric code as string
+      population: +(r.population?.value || 0),// Population count
+      popYear: r.popYear?.value || ''// Population year
+    });
+  }
+  return m;// Return the populated Map
+}
+
+// Converts a series query to Map: ISO numeric → [{ year, value }] sorted by year (valueVar = SELECT variable)
+function buildSeriesMap(json, valueVar) {// SPARQL JSON to Map of yearly series
+  const m = new Map();// Initialize empty Map
+  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON
+  for (const r of rows) {// Iterate over each row (one per country + year)
+    const isoInt = r.isoNum?.value ? parseInt(r.isoNum.value, 10) : NaN;// Parse ISO numeric code to integer
+    const year = parseInt(r.year?.value, 10);// Year of the statement
+    const value = +(r[valueVar]?.value || 0);// Statement value
+    if (!Number.isFinite(isoInt) || !Number.isFinite(year) || !(value > 0)) continue;// Skip invalid rows
+    if (!m.has(isoInt)) m.set(isoInt, []);
+    m.get(isoInt).push({ year, value });
+  }
+  m.forEach(series => series.sort((a, b) => a.year - b.year));// Oldest first
+  return m;// Return the populated Map
+}
+
+function buildGdpSeriesMap(json) { return buildSeriesMap(json, 'gdpUSD'); }// GDP by year
+function buildPopSeriesMap(json) { return buildSeriesMap(json, 'population'); }// Population by year
+
+// Latest series point at or before a year (null when the series starts later)
+function seriesValueAsOf(series, year) {// series = [{ year, value }] sorted by year
+  let found = null;
+  for (const point of series || []) {
+    if (point.year > year) break;
+    found = point;
+  }
+  return found;
+}
+
+// A latest-value row ({ gdpUSD, gdpYear } or { population, popYear }) as of a year.
+// year = null returns the latest row unchanged; otherwise the value comes from the series.
+function rowAsOf(latestRow, series, year, valueKey, yearKey) {
+  if (year === null || year === undefined) return latestRow || null;
+  const point = seriesValueAsOf(series, year);
+  if (!point) return null;// No statement in or before that year
+  return { ...(latestRow || {}), [valueKey]: point.value, [yearKey]: point.year };
+}
+
+// Series point nearest to a year within ± tolerance years (ties go to the earlier year); null when none is close enough
+function seriesValueNearest(series, year, tolerance) {// series = [{ year, value }] sorted by year
+  let best = null;
+  for (const point of series || []) {
+    const gap = Math.abs(point.year - year);
+    if (gap <= tolerance && (!best || gap < Math.abs(best.year - year))) best = point;
+  }
+  return best;
+}
+
+// Like rowAsOf, but takes the statement nearest to the year (before or after) within ± tolerance years
+function rowNearest(latestRow, series, year, tolerance, valueKey, yearKey) {
+  const point = seriesValueNearest(series, year, tolerance);
+  if (!point) return null;
+  return { ...(latestRow || {}), [valueKey]: point.value, [yearKey]: point.year };
+}
+
+// All years that occur in the given series tables, newest first (for year selectors)
+function seriesYears(...tables) {
+  const years = new Set();
+  tables.forEach(t => t?.forEach(series => series.forEach(p => years.add(p.year))));
+  return Array.from(years).sort((a, b) => b - a);
+}
+
+// Converts SPARQL JSON to Map for area data: ISO numeric → { areaKm2 }
+function buildAreaMap(json) {// SPARQL JSON to Map for area data
+  const m = new Map();// Initialize empty Map
+  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON
+  for (const r of rows) {// Iterate over each row
+    const isoInt = r.isoNum?.value ? parseInt(r.isoNum.value, 10) : NaN;// Parse ISO numeric code to integer
+    const areaKm2 = +(r.areaKm2?.value || 0);// Total area in km²
+    if (!Number.isFinite(isoInt) || !(areaKm2 > 0)) continue;// Skip invalid rows
+    m.set(isoInt, { areaKm2 });
+  }
+  return m;// Return the populated Map
+}
+
+// Converts SPARQL JSON to Map for the taxonomic breakdown: ISO numeric → { groupId: { total, threatened } }
+function buildTaxonGroupMap(json) {// SPARQL JSON to Map for taxon group counts
+  const m = new Map();// Initialize empty Map
+  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON
+  for (const r of rows) {// Iterate over each row (one per country + group)
+    const isoInt = r.isoNum?.value ? parseInt(r.isoNum.value, 10) : NaN;// Parse ISO numeric code to integer
+    const group = TAXON_GROUP_BY_QID.get((r.group?.value || '').split('/').pop());// Group URI → group
+    if (!Number.isFinite(isoInt) || !group) continue;// Skip invalid rows
+    if (!m.has(isoInt)) m.set(isoInt, {});// One object per country
+    m.get(isoInt)[group.id] = {
+      total: +(r.totalEndemicSpecies?.value || 0),// Endemic species in this group
+      threatened: +(r.threatenedEndemicSpecies?.value || 0)// Of which NT/VU/EN/CR
+    };
+  }
+  return m;// Return the populated Map
+}
+
+// Endemic counts for one country: all taxa (from the endemic table) or one taxonomic group.
+// Returns { total, threatened }, or null when the country has no endemic data at all.
+function endemicCountsFor(endRow, taxonRow, groupId) {
+  if (!endRow) return null;
+  if (!groupId) {
+    return {
+      total: endRow.totalEndemicSpecies || 0,
+      threatened: (endRow.nearThreatenedEndemicSpecies || 0) + (endRow.vulnerableEndemicSpecies || 0)
+        + (endRow.endangeredEndemicSpecies || 0) + (endRow.criticallyEndangeredEndemicSpecies || 0)
+    };
+  }
+  const counts = taxonRow?.[groupId];  // Groups without species are simply absent from the results
+  return { total: counts?.total || 0, threatened: counts?.threatened || 0 };
+}
+
+// Converts SPARQL JSON to an array of endemic species (one entry per Wikidata item)
+function buildSpeciesList(json) {// SPARQL JSON to species array
+  const byQid = new Map();// QID → species (rows repeat when an item has several names or statuses)
+  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON
+  for (const r of rows) {// Iterate over each row
+    const qid = (r.species?.value || '').split('/').pop();// Entity URI → QID
+    if (!qid) continue;// Skip rows without an item
+    const statusQid = (r.status?.value || '').split('/').pop();// Status URI → QID
+    const status = IUCN_STATUS.get(statusQid) || null;// Known IUCN category or null
+    const prev = byQid.get(qid);
+    if (prev) {// Merge repeated rows: keep any label/name found, and the most severe status
+      if (!prev.hasLabel && r.speciesLabel?.value) { prev.label = r.speciesLabel.value; prev.hasLabel = true; }
+      if (!prev.taxonName && r.taxonName?.value) prev.taxonName = r.taxonName.value;
+      if (status && status.rank > prev.statusRank) Object.assign(prev, { status: status.code, statusLabel: status.label, statusRank: status.rank });
+      continue;
+    }
+    byQid.set(qid, {
+      qid,// Wikidata item id, e.g. "Q1234"
+      label: r.speciesLabel?.value || r.taxonName?.value || qid,// English label, else scientific name
+      hasLabel: Boolean(r.speciesLabel?.value),// False while the label is only a fallback
+      taxonName: r.taxonName?.value || '',// Scientific name (P225)
+      status: status?.code || '',// IUCN code (CR, EN, …) or '' when not assessed
+      statusLabel: status?.label || 'Not assessed',// Readable category
+      statusRank: status?.rank || 0// Severity for sorting
+    });
+  }
+  return Array.from(byQid.values());// Return the de-duplicated list
+}
+
+// ============================================
+// QUERY REGISTRY
+// ============================================
+// One entry per table: which query to run and which parser turns the SPARQL JSON into a Map.
+// Adding a new metric means adding one entry here; both pages pick it up through loadAllTables().
+const DATASETS = [
+  { key: 'endemicTable', query: Q_END_EMD, parse: buildEndemicMap },  // Endemic species + IUCN categories
+  { key: 'gdpTable', query: Q_GDP, parse: buildGdpMap },  // GDP (latest year per country)
+  { key: 'populationTable', query: Q_POP, parse: buildPopulationMap },  // Population (latest year per country)
+  { key: 'taxonTable', query: Q_TAXON_GROUPS, parse: buildTaxonGroupMap },  // Endemic counts per taxonomic group
+  { key: 'areaTable', query: Q_AREA, parse: buildAreaMap },  // Total area in km² (population density)
+  { key: 'gdpSeriesTable', query: Q_GDP_SERIES, parse: buildGdpSeriesMap },  // GDP by year
+  { key: 'popSeriesTable', query: Q_POP_SERIES, parse: buildPopSeriesMap }  // Population by year
+];
+
+// ============ FETCH ALL REGISTERED TABLES ============
+// Runs the registered queries one after another (QLever rate-limits bursts of parallel requests)
+// and returns an object keyed by table name, e.g. { endemicTable, gdpTable, populationTable, taxonTable }
+async function loadAllTables() {
+  const tables = {};
+  for (const ds of DATASETS) {
+    const json = await runSparqlGETWithRetry(ds.query);
+    tables[ds.key] = ds.parse(json);
+  }
+  return tables;
+}
+
+// ============================================
+// SPARQL FETCH HELPERS
+// ============================================
+
+// Sends a GET request to the endpoint, retrying on rate limits, network errors and timeouts.
+// With a fixture directory configured, the recorded response is read instead (no retries: a missing file stays missing).
+async function runSparqlGETWithRetry(query, { retries = 3, baseDelayMs = 400, timeoutMs = 15000 } = {}) {
+  const endpoint = getEndpoint();
+  if (isFixtureEndpoint(endpoint)) return loadRecordedResponse(query, endpoint);
+  let attempt = 0;
+  while (true) {
+    try {
+      const url = endpoint + '?query=' + encodeURIComponent(query);
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const res = await fetch(url, {
+          method: 'GET',
+          headers: ACCEPT_JSON,
+          signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+
+        if (!res.ok) {
+          if ((res.status === 429 || res.status === 403 || res.status === 503) && attempt < retries) {
+            attempt++;
+            await delayWithJitter(baseDelayMs, attempt);
+            continue;
+          }
+          throw new Error(`SPARQL endpoint error ${res.status}`);
+        }
+        const json = await res.json();
+        recordedResponses.set(fixtureName(query), json);  // Kept for "Download recorded responses"
+        return json;
+      } catch (fetchErr) {
+        clearTimeout(timeoutId);
+        if (fetchErr.name === 'AbortError') {
+          throw new Error(`Request timeout after ${timeoutMs}ms`);
+        }
+        throw fetchErr;
+      }
+    } catch (e) {
+      if (attempt < retries) {
+        attempt++;
+        await delayWithJitter(baseDelayMs, attempt);
+        continue;
+      }
+      throw e;// Rethrow error if max retries reached
+    }
+  }
+}
+
+// Waits with random jitter (prevents thundering herd)
+function delayWithJitter(base, attempt) {// base = base delay in ms, attempt = current attempt number
+  const jitter = Math.random() * 400;// Random jitter up to 400ms
+  const wait = Math.min(800, base * attempt) + jitter;// Calculate total wait time with max cap at 800ms
+  return new Promise(r => setTimeout(r, wait));// Return promise that resolves after wait time
+}
+
+// ============ RECORDED RESPONSES (FIXTURES) ============
+// A fixture directory holds one file per query, named after a hash of the exact query text
+// (`fixtureName`), containing the SPARQL JSON response as the endpoint returned it.
+// Every live response of the current page session is also kept in `recordedResponses`,
+// so the "Download recorded responses" button can save the files for a fixture directory.
+const recordedResponses = new Map();  // fixture file name -> SPARQL JSON
+
+// File name for a query: "q-" + FNV-1a 32-bit hash of the query text, e.g. "q-1a2b3c4d.json"
+function fixtureName(query) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < query.length; i++) {
+    hash ^= query.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `q-${hash.toString(16).padStart(8, '0')}.json`;
+}
+
+// Reads the recorded response for a query from the fixture directory
+async function loadRecordedResponse(query, dir) {
+  const name = fixtureName(query);
+  const url = dir.replace(/\/?$/, '/') + name;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`No recorded response ${name} in ${dir} (HTTP ${res.status})`);
+  return res.json();
+}
+
+// Downloads every response recorded on this page as its own fixture file; returns how many there were
+function downloadRecordedResponses() {
+  const files = [...recordedResponses];
+  files.forEach(([name, json], i) => {
+    setTimeout(() => downloadText(name, JSON.stringify(json), 'application/json'), i * 250);  // Browsers drop bursts of downloads
+  });
+  return files.length;
+}
+
+// ============ DATA SOURCE PANEL ============
+// Wires the "Data source" settings (both pages): endpoint and basemap inputs, back-to-default and recording download.
+// Changing either source reloads the page so every table and map file comes from the new source.
+const INVALID_ENDPOINT_HINT = 'enter an http(s) URL, or a folder of recorded responses starting with ./, ../ or /.';
+const INVALID_BASEMAP_HINT = 'enter an http(s) URL, or a folder of world-atlas files starting with ./, ../ or /.';
+
+function setupEndpointSettings() {
+  const input = document.getElementById('endpointInput');
+  if (!input) return;
+  const status = document.getElementById('endpointStatus');
+  input.value = getEndpoint();
+  input.placeholder = QLEVER;
+  setupSourceField({
+    input, status, param: 'endpoint', hint: INVALID_ENDPOINT_HINT, store: setEndpoint, describe: () => describeEndpoint(),
+    apply: document.getElementById('endpointApply'), reset: document.getElementById('endpointReset')
+  });
+  document.getElementById('recordDownload')?.addEventListener('click', () => {
+    const count = downloadRecordedResponses();
+    if (status) {
+      status.textContent = count
+        ? `Saving ${count} recorded response${count === 1 ? '' : 's'}; put them in a folder and use it as the endpoint.`
+        : 'Nothing recorded yet: responses are recorded while data loads from a live endpoint.';
+    }
+  });
+
+  const basemapInput = document.getElementById('basemapInput');
+  if (!basemapInput) return;
+  const base = getBasemapBase();
+  basemapInput.value = base === WORLD_ATLAS_CDN ? '' : base;
+  basemapInput.placeholder = WORLD_ATLAS_CDN;
+  setupSourceField({
+    input: basemapInput, status: document.getElementById('basemapStatus'), param: 'basemap', hint: INVALID_BASEMAP_HINT,
+    store: setBasemapBase, describe: () => (getBasemapBase() === WORLD_ATLAS_CDN ? 'the world-atlas CDN' : getBasemapBase()),
+    apply: document.getElementById('basemapApply'), reset: document.getElementById('basemapReset')
+  });
+}
+
+// One source field: says which source is in use (and ignores an invalid URL parameter), refuses invalid input,
+// and stores a valid value only when "Use" (or Enter) is pressed. An empty value or the reset button goes back to the default.
+function setupSourceField({ input, status, param, hint, store, describe, apply, reset }) {
+  const fromUrl = (new URLSearchParams(window.location.search).get(param) || '').trim();
+  if (status) {
+    status.textContent = fromUrl && !isValidEndpoint(fromUrl)
+      ? `Ignoring ?${param}=${fromUrl}: ${hint} Using ${describe()}.`
+      : `Using ${describe()}${fromUrl ? ' for this visit; press "Use" to keep it' : ''}.`;
+  }
+
+  const applyAndReload = (value) => {
+    if (value.trim() && !isValidEndpoint(value.trim())) {
+      if (status) status.textContent = `Not applied: ${hint}`;
+      input.setAttribute('aria-invalid', 'true');
+      return;
+    }
+    store(value);
+    const url = new URL(window.location.href);
+    url.searchParams.delete(param);  // Otherwise the old URL parameter would win again
+    history.replaceState(null, '', url);
+    window.location.reload();
+  };
+  apply?.addEventListener('click', () => applyAndReload(input.value));
+  input.addEventListener('keydown', event => { if (event.key === 'Enter') applyAndReload(input.value); });
+  reset?.addEventListener('click', () => applyAndReload(''));
+}
+
+// ============================================
+// OFFLINE CACHE (IndexedDB)
+// ============================================
+// The parsed tables are stored in IndexedDB together with the time they were fetched.
+// Pages read the snapshot first (instant load, works offline), and only hit QLever when
+// there is no snapshot yet or when it is older than the TTL (then the refresh runs in the background).
+const CACHE_DB_NAME = 'endemic-explorer';  // IndexedDB database name
+const CACHE_STORE = 'snapshots';  // Object store holding table snapshots
+const CACHE_KEY = 'sparql-tables';  // Record key for the default endpoint (see cacheKey)
+const DEFAULT_CACHE_TTL_HOURS = 24;  // Refresh cached data once it is older than this
+
+let backgroundRefresh = null;  // Promise of the running background refresh (avoids duplicate refreshes)
+
+// Returns the cache TTL in ms. A `?cacheTtl=<hours>` URL parameter overrides the default for this visit only.
+function getCacheTtlMs() {
+  let hours = parseFloat(new URLSearchParams(window.location.search).get('cacheTtl'));
+  if (!Number.isFinite(hours) || hours < 0) hours = DEFAULT_CACHE_TTL_HOURS;
+  return hours * 60 * 60 * 1000;
+}
+
+// Snapshots are stored per endpoint, so switching endpoints never shows another source's tables
+function cacheKey() {
+  const endpoint = getEndpoint();
+  return endpoint === QLEVER ? CACHE_KEY : `${CACHE_KEY}@${endpoint}`;
+}
+
+// Opens (and on first use creates) the cache database. Resolves to null when IndexedDB is unavailable.
+function openCacheDb() {
+  return new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') { resolve(null); return; }
+    const req = indexedDB.open(CACHE_DB_NAME, 1);
+    req.onupgradeneeded = () => { req.result.createObjectStore(CACHE_STORE); };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+}
+
+// Reads the last stored snapshot: { tables, fetchedAt } or null
+async function readCachedTables() {
+  const db = await openCacheDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    const req = db.transaction(CACHE_STORE, 'readonly').objectStore(CACHE_STORE).get(cacheKey());
+    req.onsuccess = () => {
+      const snap = req.result;
+      // Only accept snapshots that contain every registered table
+      const complete = snap && DATASETS.every(ds => snap.tables?.[ds.key]);
+      resolve(complete ? snap : null);
+    };
+    req.onerror = () => resolve(null);
+  });
+}
+
+// Stores a snapshot (Maps are structured-cloneable, so they go in as-is)
+async function writeCachedTables(snapshot) {
+  const db = await openCacheDb();
+  if (!db) return;
+  await new Promise((resolve) => {
+    const tx = db.transaction(CACHE_STORE, 'readwrite');
+    tx.objectStore(CACHE_STORE).put(snapshot, cacheKey());
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => resolve();  // A failed write only costs us the next instant load
+  });
+}
+
+// Fetches fresh tables from the endpoint and stores them in the cache
+async function fetchAndCacheTables() {
+  const tables = await loadAllTables();
+  const snapshot = { tables, fetchedAt: Date.now() };
+  await writeCachedTables(snapshot);
+  return snapshot;
+}
+
+// ============ CACHED TABLE LOADING ============
+// Resolves to { tables, fetchedAt, fromCache, stale }.
+// - Snapshot present: returned immediately, whatever its age (so the explorer keeps working offline).
+//   If it is older than the TTL, a refresh starts in the background and `onRefresh(snapshot)` is called
+//   with the fresh data once it arrives. A failed refresh calls `onRefreshFailed(err)` and the old snapshot stays in use.
+// - No snapshot: waits for the endpoint; errors are thrown to the caller (nothing is remembered, so the next call retries).
+// - Fixture directory: always read from the files (they are local, and a cache would hide edits to them).
+async function loadTablesCached({ onRefresh = null, onRefreshFailed = null, ttlMs = getCacheTtlMs() } = {}) {
+  if (isFixtureEndpoint()) {
+    const tables = await loadAllTables();
+    return { tables, fetchedAt: Date.now(), fromCache: false, stale: false };
+  }
+  let cached = null;
+  try {
+    cached = await readCachedTables();
+  } catch (err) {
+    console.warn('Reading the offline cache failed', err);
+  }
+
+  if (cached) {
+    const stale = Date.now() - cached.fetchedAt > ttlMs;
+    if (stale && !backgroundRefresh) {
+      backgroundRefresh = fetchAndCacheTables()
+        .then(fresh => { if (onRefresh) onRefresh({ ...fresh, fromCache: false, stale: false }); })
+        .catch(err => {
+          console.warn('Background refresh failed; keeping the cached snapshot', err);
+          if (onRefreshFailed) onRefreshFailed(err);
+        })
+        .finally(() => { backgroundRefresh = null; });
+    }
+    return { ...cached, fromCache: true, stale };
+  }
+
+  const fresh = await fetchAndCacheTables();
+  return { ...fresh, fromCache: false, stale: false };
+}
+
+// Human-readable "data as of …" text for a snapshot timestamp
+function formatDataAsOf(fetchedAt) {
+  if (!fetchedAt) return '';
+  const when = new Date(fetchedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  const source = getEndpoint() === QLEVER ? '' : ` · ${describeEndpoint()}`;  // Name non-default sources
+  return `Data as of ${when}${source}`;
+}
+
+// Status text when a background refresh fails and the cached snapshot stays in use (both pages)
+function refreshFailedMessage(endpoint = getEndpoint()) {
+  const source = endpoint === QLEVER ? 'QLever' : describeEndpoint(endpoint);
+  return `${source} unreachable, using the last saved snapshot`;
+}
+
+// ============================================
+// EXPORT HELPERS
+// ============================================
+// Used by the "Export data" buttons on both pages. Every export carries the snapshot timestamp
+// and the endpoint, so an analysis can be reproduced outside the browser.
+
+// Quotes one CSV cell (RFC 4180: wrap in quotes when needed, double inner quotes)
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turns an array of flat objects into CSV text with the given column order
+function rowsToCsv(rows, columns) {
+  const lines = [columns.map(csvCell).join(',')];
+  rows.forEach(row => lines.push(columns.map(col => csvCell(row[col])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Triggers a browser download for a text blob
+function downloadText(filename, text, mime) {
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);  // Let the click start before releasing the blob
+}
+
+// Downloads rows as CSV or JSON. `meta` (scope, filters, …) is added to the JSON header;
+// the CSV repeats the snapshot timestamp on every row so it stays self-describing.
+function exportRows({ rows, columns, format, baseName, fetchedAt, meta = {} }) {
+  const fetchedIso = fetchedAt ? new Date(fetchedAt).toISOString() : '';
+  const stamp = new Date().toISOString().slice(0, 10);  // YYYY-MM-DD for the file name
+  if (format === 'json') {
+    const payload = {
+      exportedAt: new Date().toISOString(),
+      dataFetchedAt: fetchedIso,
+      endpoint: getEndpoint(),
+      ...meta,
+      columns,
+      rows: rows.map(row => Object.fromEntries(columns.map(col => [col, row[col] ?? null])))
+    };
+    downloadText(`${baseName}-${stamp}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    return;
+  }
+  const withStamp = rows.map(row => ({ ...row, dataFetchedAt: fetchedIso }));
+  downloadText(`${baseName}-${stamp}.csv`, rowsToCsv(withStamp, [...columns, 'dataFetchedAt']), 'text/csv;charset=utf-8');
+}
+
+// ============================================
+// COUNTRY CODES (ISO 3166-1)
+// ============================================
+// Map features are joined to the tables by their numeric id ("004" = Afghanistan), never by name:
+// TopoJSON names ("Dem. Rep. Congo", "Côte d'Ivoire") do not match Wikidata labels.
+// The alpha-3 code comes from the SPARQL rows when a country has data, else from this bundled table
+// (all 249 ISO 3166-1 entries as numeric + alpha-3, sorted by numeric code).
+const ISO3166_TABLE = [
+  '004AFG 008ALB 010ATA 012DZA 016ASM 020AND 024AGO 028ATG 031AZE 032ARG 036AUS 040AUT 044BHS 048BHR 050BGD 051ARM',
+  '052BRB 056BEL 060BMU 064BTN 068BOL 070BIH 072BWA 074BVT 076BRA 084BLZ 086IOT 090SLB 092VGB 096BRN 100BGR 104MMR',
+  '108BDI 112BLR 116KHM 120CMR 124CAN 132CPV 136CYM 140CAF 144LKA 148TCD 152CHL 156CHN 158TWN 162CXR 166CCK 170COL',
+  '174COM 175MYT 178COG 180COD 184COK 188CRI 191HRV 192CUB 196CYP 203CZE 204BEN 208DNK 212DMA 214DOM 218ECU 222SLV',
+  '226GNQ 231ETH 232ERI 233EST 234FRO 238FLK 239SGS 242FJI 246FIN 248ALA 250FRA 254GUF 258PYF 260ATF 262DJI 266GAB',
+  '268GEO 270GMB 275PSE 276DEU 288GHA 292GIB 296KIR 300GRC 304GRL 308GRD 312GLP 316GUM 320GTM 324GIN 328GUY 332HTI',
+  '334HMD 336VAT 340HND 344HKG 348HUN 352ISL 356IND 360IDN 364IRN 368IRQ 372IRL 376ISR 380ITA 384CIV 388JAM 392JPN',
+  '398KAZ 400JOR 404KEN 408PRK 410KOR 414KWT 417KGZ 418LAO 422LBN 426LSO 428LVA 430LBR 434LBY 438LIE 440LTU 442LUX',
+  '446MAC 450MDG 454MWI 458MYS 462MDV 466MLI 470MLT 474MTQ 478MRT 480MUS 484MEX 492MCO 496MNG 498MDA 499MNE 500MSR',
+  '504MAR 508MOZ 512OMN 516NAM 520NRU 524NPL 528NLD 531CUW 533ABW 534SXM 535BES 540NCL 548VUT 554NZL 558NIC 562NER',
+  '566NGA 570NIU 574NFK 578NOR 580MNP 581UMI 583FSM 584MHL 585PLW 586PAK 591PAN 598PNG 600PRY 604PER 608PHL 612PCN',
+  '616POL 620PRT 624GNB 626TLS 630PRI 634QAT 638REU 642ROU 643RUS 646RWA 652BLM 654SHN 659KNA 660AIA 662LCA 663MAF',
+  '666SPM 670VCT 674SMR 678STP 682SAU 686SEN 688SRB 690SYC 694SLE 702SGP 703SVK 704VNM 705SVN 706SOM 710ZAF 716ZWE',
+  '724ESP 728SSD 729SDN 732ESH 740SUR 744SJM 748SWZ 752SWE 756CHE 760SYR 762TJK 764THA 768TGO 772TKL 776TON 780TTO',
+  '784ARE 788TUN 792TUR 795TKM 796TCA 798TUV 800UGA 804UKR 807MKD 818EGY 826GBR 831GGY 832JEY 833IMN 834TZA 840USA',
+  '850VIR 854BFA 858URY 860UZB 862VEN 876WLF 882WSM 887YEM 894ZMB'
+].join(' ');
+const ISO3_BY_ISO_NUM = new Map(ISO3166_TABLE.split(' ').map(code => [parseInt(code.slice(0, 3), 10), code.slice(3)]));  // 4 -> 'AFG'
+
+// Alpha-3 code for a numeric id (feature.id or isoNum). `tables` are Maps keyed by ISO numeric whose rows
+// carry iso3 (endemic, GDP, population); they win over the bundled table. Returns '' when unknown.
+function iso3ForIsoNum(id, ...tables) {
+  const iso = parseInt(id, 10);
+  if (!Number.isFinite(iso)) return '';  // Features without an ISO code (Kosovo, N. Cyprus, Somaliland)
+  for (const table of tables) {
+    const code = table?.get(iso)?.iso3;
+    if (code) return code;
+  }
+  return ISO3_BY_ISO_NUM.get(iso) || '';
+}
+
+// Features that cannot be joined to any table: no numeric id, or an id that is not an ISO 3166-1 code.
+// Returns [{ id, name }] so the pages can list them.
+function findUnmatchedFeatures(features, ...tables) {
+  return features
+    .filter(feature => !iso3ForIsoNum(feature.id, ...tables))
+    .map(feature => ({ id: feature.id ?? null, name: feature.properties?.name || 'Unnamed feature' }));
+}
+
+// ============================================
+// BASEMAP (WORLD-ATLAS)
+// ============================================
+// The map starts from the 110m countries file and swaps in 50m or 10m geometry as the user zooms in.
+// `?basemap=<folder or URL>` loads the files from a copy of the world-atlas package instead of the CDN for one visit
+// (e.g. `?basemap=./basemap/` after copying node_modules/world-atlas/countries-*.json there). The endpoint rules apply:
+// an http(s) URL or a folder starting with ./, ../ or /, kept only when stored with "Use" in the Data source panel.
+const WORLD_ATLAS_CDN = 'https://cdn.jsdelivr.net/npm/world-atlas@2/';  // Default source of the TopoJSON files
+const BASEMAP_STORAGE_KEY = 'explorer.basemap';  // localStorage key for a local basemap folder
+const BASEMAP_LEVELS = [  // Level of detail by zoom factor: the finest level whose minZoom is reached is drawn
+  { id: '110m', minZoom: 1 },
+  { id: '50m', minZoom: 2 },
+  { id: '10m', minZoom: 5 }
+];
+
+// Folder (ending in '/') that holds countries-110m.json, countries-50m.json and countries-10m.json:
+// a valid `?basemap=` for this visit, else the stored choice, else the CDN
+function getBasemapBase() {
+  const fromUrl = (new URLSearchParams(window.location.search).get('basemap') || '').trim();
+  let base = fromUrl && isValidEndpoint(fromUrl) ? fromUrl : null;
+  if (!base) {
+    try {
+      const stored = localStorage.getItem(BASEMAP_STORAGE_KEY);
+      if (stored && isValidEndpoint(stored)) base = stored;
+    } catch (err) {
+      // localStorage can be blocked (privacy mode); fall back to the CDN
+    }
+  }
+  return base ? base.replace(/\/?$/, '/') : WORLD_ATLAS_CDN;
+}
+
+// Stores a basemap folder or URL; an empty value (or the CDN) goes back to the CDN
+function setBasemapBase(value) {
+  const base = (value || '').trim();
+  try {
+    if (!base || base.replace(/\/?$/, '/') === WORLD_ATLAS_CDN) localStorage.removeItem(BASEMAP_STORAGE_KEY);
+    else localStorage.setItem(BASEMAP_STORAGE_KEY, base);
+  } catch (err) {
+    // Not persisted; the URL parameter still works for this visit
+  }
+}
+
+// URL of the countries file for a level of detail ('110m', '50m' or '10m')
+function basemapUrl(level = '110m') {
+  return `${getBasemapBase()}countries-${level}.json`;
+}
+
+// Sovereign states the 110m file leaves out (too small at that scale; Tuvalu is only in the 10m file).
+// The map draws them as clickable markers at these points (capital or main island, [ISO numeric, name, lon, lat]),
+// so their figures count towards the continents and they can be selected at any zoom.
+const SMALL_STATES = [
+  ['020', 'Andorra', 1.6, 42.5], ['028', 'Antigua and Barbuda', -61.8, 17.1], ['048', 'Bahrain', 50.6, 26.1],
+  ['052', 'Barbados', -59.6, 13.2], ['132', 'Cabo Verde', -23.5, 14.9], ['174', 'Comoros', 43.3, -11.7],
+  ['212', 'Dominica', -61.4, 15.4], ['296', 'Kiribati', 173.0, 1.4], ['308', 'Grenada', -61.7, 12.1],
+  ['336', 'Vatican', 12.45, 41.9], ['438', 'Liechtenstein', 9.55, 47.15], ['462', 'Maldives', 73.5, 4.2],
+  ['470', 'Malta', 14.4, 35.9], ['480', 'Mauritius', 57.6, -20.3], ['492', 'Monaco', 7.4, 43.7],
+  ['520', 'Nauru', 166.9, -0.5], ['583', 'Micronesia', 158.2, 6.9], ['584', 'Marshall Is.', 171.4, 7.1],
+  ['585', 'Palau', 134.5, 7.5], ['659', 'St. Kitts and Nevis', -62.7, 17.3], ['662', 'Saint Lucia', -61.0, 13.9],
+  ['670', 'St. Vin. and Gren.', -61.2, 13.2], ['674', 'San Marino', 12.45, 43.94], ['678', 'São Tomé and Principe', 6.7, 0.3],
+  ['690', 'Seychelles', 55.5, -4.6], ['702', 'Singapore', 103.8, 1.35], ['776', 'Tonga', -175.2, -21.1],
+  ['798', 'Tuvalu', 179.2, -8.5], ['882', 'Samoa', -172.0, -13.8]
+];
+
+// Point features (properties.marker = true) for the small states missing from `features`
+function smallStateFeatures(features) {
+  const present = new Set(features.map(feature => feature.id));
+  return SMALL_STATES
+    .filter(([id]) => !present.has(id))
+    .map(([id, name, lon, lat]) => ({
+      type: 'Feature',
+      id,
+      properties: { name, marker: true },
+      geometry: { type: 'Point', coordinates: [lon, lat] }
+    }));
+}
+
+// ============================================
+// CONTINENTS
+// ============================================
+// The map groups countries into continents (or another grouping scheme) from the world-atlas basemap;
+// the correlations page uses the same table (via loadContinentLookup) so both pages agree on membership.
+
+// ============ REGION TABLE (UN M49 + WORLD BANK) ============
+// Primary source for every grouping scheme: one token per ISO 3166-1 country,
+// ISO numeric (3) + M49 subregion (3) + World Bank region (3, '---' = not classified), e.g. '450014SSF' = Madagascar.
+// Antarctica has no M49 subregion; it gets its own pseudo-subregion '010'.
+const M49_REGION_TABLE = [
+  '004034SAS 008039ECS 010010--- 012015MEA 016061EAS 020039ECS 024017SSF 028029LCN 031145ECS 032005LCN 036053EAS 040155ECS',
+  '044029LCN 048145MEA 050034SAS 051145ECS 052029LCN 056155ECS 060021NAC 064034SAS 068005LCN 070039ECS 072018SSF 074005---',
+  '076005LCN 084013LCN 086014--- 090054EAS 092029LCN 096035EAS 100151ECS 104035EAS 108014SSF 112151ECS 116035EAS 120017SSF',
+  '124021NAC 132011SSF 136029LCN 140017SSF 144034SAS 148017SSF 152005LCN 156030EAS 158030EAS 162053--- 166053--- 170005LCN',
+  '174014SSF 175014--- 178017SSF 180017SSF 184061--- 188013LCN 191039ECS 192029LCN 196145ECS 203151ECS 204011SSF 208154ECS',
+  '212029LCN 214029LCN 218005LCN 222013LCN 226017SSF 231014SSF 232014SSF 233154ECS 234154ECS 238005--- 239005--- 242054EAS',
+  '246154ECS 248154--- 250155ECS 254005--- 258061EAS 260014--- 262014MEA 266017SSF 268145ECS 270011SSF 275145MEA 276155ECS',
+  '288011SSF 292039ECS 296057EAS 300039ECS 304021ECS 308029LCN 312029--- 316057EAS 320013LCN 324011SSF 328005LCN 332029LCN',
+  '334053--- 336039--- 340013LCN 344030EAS 348151ECS 352154ECS 356034SAS 360035EAS 364034MEA 368145MEA 372154ECS 376145MEA',
+  '380039ECS 384011SSF 388029LCN 392030EAS 398143ECS 400145MEA 404014SSF 408030EAS 410030EAS 414145MEA 417143ECS 418035EAS',
+  '422145MEA 426018SSF 428154ECS 430011SSF 434015MEA 438155ECS 440154ECS 442155ECS 446030EAS 450014SSF 454014SSF 458035EAS',
+  '462034SAS 466011SSF 470039MEA 474029--- 478011SSF 480014SSF 484013LCN 492155ECS 496030EAS 498151ECS 499039ECS 500029---',
+  '504015MEA 508014SSF 512145MEA 516018SSF 520057EAS 524034SAS 528155ECS 531029LCN 533029LCN 534029LCN 535029--- 540054EAS',
+  '548054EAS 554053EAS 558013LCN 562011SSF 566011SSF 570061--- 574053--- 578154ECS 580057EAS 581057--- 583057EAS 584057EAS',
+  '585057EAS 586034SAS 591013LCN 598054EAS 600005LCN 604005LCN 608035EAS 612061--- 616151ECS 620039ECS 624011SSF 626035EAS',
+  '630029LCN 634145MEA 638014--- 642151ECS 643151ECS 646014SSF 652029--- 654011--- 659029LCN 660029--- 662029LCN 663029LCN',
+  '666021--- 670029LCN 674039ECS 678017SSF 682145MEA 686011SSF 688039ECS 690014SSF 694011SSF 702035EAS 703151ECS 704035EAS',
+  '705039ECS 706014SSF 710018SSF 716014SSF 724039ECS 728014SSF 729015SSF 732015--- 740005LCN 744154--- 748018SSF 752154ECS',
+  '756155ECS 760145MEA 762143ECS 764035EAS 768011SSF 772061--- 776061EAS 780029LCN 784145MEA 788015MEA 792145ECS 795143ECS',
+  '796029LCN 798061EAS 800014SSF 804151ECS 807039ECS 818015MEA 826154ECS 831154ECS 832154ECS 833154ECS 834014SSF 840021NAC',
+  '850029LCN 854011SSF 858005LCN 860143ECS 862005LCN 876061--- 882061EAS 887145MEA 894014SSF'
+].join(' ');
+const REGION_BY_ISO_NUM = new Map(M49_REGION_TABLE.split(' ').map(token => [
+  parseInt(token.slice(0, 3), 10),
+  { subregion: token.slice(3, 6), worldBank: token.slice(6) === '---' ? '' : token.slice(6) }
+]));
+
+// Basemap features without an ISO id, placed by name (same token layout without the ISO part)
+const REGION_BY_FEATURE_NAME = new Map([
+  ['Kosovo', { subregion: '039', worldBank: 'ECS' }], ['N. Cyprus', { subregion: '145', worldBank: 'ECS' }],
+  ['Somaliland', { subregion: '014', worldBank: 'SSF' }], ['Indian Ocean Ter.', { subregion: '053', worldBank: '' }],
+  ['Siachen Glacier', { subregion: '034', worldBank: 'SAS' }]
+]);
+
+// M49 subregion code → name and continent (the Americas are split at the Panama–Colombia border)
+const M49_SUBREGIONS = new Map([
+  ['011', { name: 'Western Africa', continent: 'Africa' }], ['014', { name: 'Eastern Africa', continent: 'Africa' }],
+  ['015', { name: 'Northern Africa', continent: 'Africa' }], ['017', { name: 'Middle Africa', continent: 'Africa' }],
+  ['018', { name: 'Southern Africa', continent: 'Africa' }],
+  ['021', { name: 'Northern America', continent: 'North America' }], ['013', { name: 'Central America', continent: 'North America' }],
+  ['029', { name: 'Caribbean', continent: 'North America' }], ['005', { name: 'South America', continent: 'South America' }],
+  ['143', { name: 'Central Asia', continent: 'Asia' }], ['030', { name: 'Eastern Asia', continent: 'Asia' }],
+  ['035', { name: 'South-eastern Asia', continent: 'Asia' }], ['034', { name: 'Southern Asia', continent: 'Asia' }],
+  ['145', { name: 'Western Asia', continent: 'Asia' }],
+  ['151', { name: 'Eastern Europe', continent: 'Europe' }], ['154', { name: 'Northern Europe', continent: 'Europe' }],
+  ['039', { name: 'Southern Europe', continent: 'Europe' }], ['155', { name: 'Western Europe', continent: 'Europe' }],
+  ['053', { name: 'Australia and New Zealand', continent: 'Oceania' }], ['054', { name: 'Melanesia', continent: 'Oceania' }],
+  ['057', { name: 'Micronesia', continent: 'Oceania' }], ['061', { name: 'Polynesia', continent: 'Oceania' }],
+  ['010', { name: 'Antarctica', continent: 'Antarctica' }]
+]);
+
+// World Bank region code → name
+const WORLD_BANK_REGIONS = new Map([
+  ['EAS', 'East Asia & Pacific'], ['ECS', 'Europe & Central Asia'], ['LCN', 'Latin America & Caribbean'],
+  ['MEA', 'Middle East & North Africa'], ['NAC', 'North America'], ['SAS', 'South Asia'], ['SSF', 'Sub-Saharan Africa']
+]);
+
+// ============ GROUPING SCHEMES ============
+// Selectable on the map ("Regions"); every scheme reads the table above first.
+// Only the continent scheme has a fallback (the centroid rules below) for features the table does not cover.
+const REGION_SCHEMES = [
+  { id: 'continents', label: 'Continents' },
+  { id: 'subregions', label: 'UN subregions (M49)' },
+  { id: 'worldBank', label: 'World Bank regions' }
+];
+
+// At least n distinct colours: the map's region fills and the correlations page's category colours
+function categoryPalette(n) {
+  if (n <= 8) return d3.schemeSet2;
+  if (n <= 10) return d3.schemeTableau10;
+  return d3.quantize(t => d3.interpolateSinebow(t * (n - 1) / n), n);  // Sinebow wraps around; stop short of 1
+}
+
+// Group name of a basemap feature under a scheme, or 'Unassigned'
+function regionFor(feature, scheme = 'continents') {
+  const iso = parseInt(feature?.id, 10);
+  const entry = (Number.isFinite(iso) && REGION_BY_ISO_NUM.get(iso)) || REGION_BY_FEATURE_NAME.get(feature?.properties?.name);
+  const subregion = entry && M49_SUBREGIONS.get(entry.subregion);
+  if (scheme === 'subregions') return subregion?.name || 'Unassigned';
+  if (scheme === 'worldBank') return WORLD_BANK_REGIONS.get(entry?.worldBank) || 'Unassigned';
+  return subregion?.continent || inferContinent(feature);  // Centroid rules only when the table has no entry
+}
+
+// ============ CENTROID FALLBACK ============
+// Hard-coded overrides for edge cases (countries on continent borders, disputed territories)
+// These are applied BEFORE geographic centroid checking to guarantee correct continent.
+// Only used for features that are missing from the region table.
+const NAME_OVERRIDES = new Map([
+  ['Türkiye', 'Europe'], ['Turkey', 'Europe'], ['Cyprus', 'Europe'], ['Georgia', 'Europe'],
+  ['Kazakhstan', 'Asia'], ['Azerbaijan', 'Asia'], ['Armenia', 'Asia'], ['Egypt', 'Africa'],
+  ['Madagascar', 'Africa'], ['Cabo Verde', 'Africa'], ['Seychelles', 'Africa'], ['Mauritius', 'Africa'],
+  ['Greenland', 'North America'], ['Mexico', 'North America'], ['Guatemala', 'North America'],
+  ['Belize', 'North America'], ['El Salvador', 'North America'], ['Honduras', 'North America'],
+  ['Nicaragua', 'North America'], ['Costa Rica', 'North America'], ['Panama', 'North America'],
+  ['Cuba', 'North America'], ['Jamaica', 'North America'], ['Haiti', 'North America'],
+  ['Dominican Republic', 'North America'], ['Bahamas', 'North America'], ['The Bahamas', 'North America'],
+  ['Barbados', 'North America'], ['Trinidad and Tobago', 'North America'], ['Grenada', 'North America'],
+  ['Saint Lucia', 'North America'], ['Saint Vincent and the Grenadines', 'North America'],
+  ['Dominica', 'North America'], ['Antigua and Barbuda', 'North America'], ['Saint Kitts and Nevis', 'North America'],
+  ['Puerto Rico', 'North America'], ['Saudi Arabia', 'Asia'], ['United Arab Emirates', 'Asia'],
+  ['Oman', 'Asia'], ['Yemen', 'Asia'], ['Qatar', 'Asia'], ['Bahrain', 'Asia'], ['Kuwait', 'Asia'],
+  ['Israel', 'Asia'], ['Lebanon', 'Asia'], ['Jordan', 'Asia'], ['State of Palestine', 'Asia'],
+  ['Papua New Guinea', 'Oceania'], ['New Caledonia', 'Oceania'], ['New Zealand', 'Oceania'],
+  ['Fiji', 'Oceania'], ['Solomon Islands', 'Oceania'], ['Vanuatu', 'Oceania'], ['Samoa', 'Oceania'],
+  ['Tonga', 'Oceania'], ['Kiribati', 'Oceania'], ['Micronesia', 'Oceania'], ['Palau', 'Oceania'],
+  ['Marshall Islands', 'Oceania'], ['Nauru', 'Oceania'], ['Tuvalu', 'Oceania'], ['Timor-Leste', 'Asia'],
+  ['Indonesia', 'Asia'], ['Philippines', 'Asia'], ['Japan', 'Asia'], ['Sri Lanka', 'Asia'],
+  ['French Southern Territories', 'Antarctica']
+]);
+
+// ============ INFER CONTINENT FROM COORDINATES ============
+// Uses geographic centroid (center point) + hardcoded NAME_OVERRIDES to determine continent
+// This runs after NAME_OVERRIDES are checked, so edge cases are already handled
+function inferContinent(feature) {
+  // Get the country name from feature properties (if it exists)
+  const name = feature?.properties?.name;
+  
+  // Step 1: Check hard-coded overrides first (highest priority)
+  if (NAME_OVERRIDES.has(name)) return NAME_OVERRIDES.get(name);
+  
+  // Step 2: Get geographic center (centroid) of the country
+  const [lon, lat] = d3.geoCentroid(feature);
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) return 'Unassigned';  // Handle invalid coords
+  
+  // Step 3: Use coordinate ranges to determine continent
+  // These ranges are approximate but work well for most countries
+  if (lat <= -50) return 'Antarctica';
+  
+  // Rule 2: Western hemisphere → North or South America
+  if (lon < -30) {
+    return lat >= 15 ? 'North America' : 'South America';  // Divide Americas by latitude
+  }
+  
+  // Rule 3: Europe zone (specific longitude/latitude box)
+  if (lon >= -25 && lon <= 60 && lat >= 35) return 'Europe';
+  
+  // Rule 4: Africa zone (complex bounding box excluding Middle East)
+  if (lon >= -20 && lon <= 52 && lat < 35 && lat > -40 && !(lon > 40 && lat > 20)) return 'Africa';
+  
+  // Rule 5: Oceania rules (Pacific islands)
+  if ((lon >= 110 && lat <= -10) || lon >= 150) return 'Oceania';
+  if (lon >= 95 && lat <= -15) return 'Oceania';
+  
+  // Rule 6: Eastern hemisphere → Asia
+  if (lon >= 25) return 'Asia';
+  
+  // Rule 7: Northern hemisphere default → Europe
+  if (lat >= 0) return 'Europe';
+  return 'Africa';  // Default fallback
+}
+
+// ISO numeric → group name for every basemap country (needs d3 + topojson-client on the page)
+async function loadContinentLookup(scheme = 'continents') {
+  const topo = await d3.json(basemapUrl('110m'));// Same file the map draws (browser-cached after the first visit)
+  const features = topojson.feature(topo, topo.objects.countries).features;// TopoJSON → GeoJSON
+  const lookup = new Map();// ISO numeric → continent
+  for (const feature of [...features, ...smallStateFeatures(features)]) {// Small states are markers on the map
+    const iso = parseInt(feature.id, 10);// Feature ids are zero-padded strings like "004"
+    const continent = regionFor(feature, scheme);
+    if (Number.isFinite(iso) && continent !== 'Unassigned') lookup.set(iso, continent);
+  }
+  return lookup;
+}
+
+// ============================================
+// BIOMES
+// ============================================
+// Share of each country's land area per WWF biome class, bundled as data/biomes.json.
+// The file ships with the biome classes only; scripts/build-biomes.js measures the shares from the
+// WWF ecoregion polygons and rewrites it. Countries without shares show as "No biome data".
+const BIOMES_URL = 'data/biomes.json';  // Relative to the page, like the recorded responses
+
+// JSON → { biomes: Map code → { code, id, label, short, color }, byIso: Map ISO numeric → [{ code, id, label, share }] }
+// Shares are fractions of the country (0–1), largest first, so byIso.get(iso)[0] is the dominant biome.
+function buildBiomeTable(json) {
+  const biomes = new Map((json.biomes || []).map(b => [b.code, b]));
+  const byIso = new Map();
+  for (const [id, shares] of Object.entries(json.countries || {})) {
+    const iso = parseInt(id, 10);
+    const rows = Object.entries(shares)
+      .map(([code, pct]) => ({ ...biomes.get(Number(code)), share: Number(pct) / 100 }))
+      .filter(row => row.id && row.share > 0)  // Unknown biome codes are dropped
+      .sort((a, b) => b.share - a.share || a.code - b.code);
+    if (Number.isFinite(iso) && rows.length) byIso.set(iso, rows);
+  }
+  return { biomes, byIso, source: json.source || '' };
+}
+
+async function loadBiomeTable() {
+  return buildBiomeTable(await d3.json(BIOMES_URL));
+}
+
+// Dominant biome row for a numeric id (feature.id or isoNum), or null when the country has no shares
+function dominantBiome(biomeTable, id) {
+  return biomeTable?.byIso.get(parseInt(id, 10))?.[0] || null;
+}
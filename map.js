@@ -1,7 +1,5 @@
 // ============ API & DATA ENDPOINTS ============
-const QLEVER = 'https://qlever.dev/api/wikidata';  // QLever endpoint for SPARQL queries
-const ACCEPT_JSON = { 'Accept': 'application/sparql-results+json' };  // Header to request JSON responses from SPARQL
-const worldUrl = 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json';  // World map in TopoJSON format
+// QLEVER, the SPARQL queries, their parsers, the basemap URLs and the continent rules live in data.js (shared with correlations.js)
 
 // ============ D3 FORMATTERS ============
 // These format numbers for display (e.g., 1000000 → "1,000,000")
@@ -17,17 +15,25 @@ const dataContextEl = document.getElementById('dataContext');  // Explanatory te
 const backBtn = document.getElementById('backToWorld');  // "Back to continents" button
 
 // ============ DATA CACHES ============
-// These Maps store fetched SPARQL data. Lazy-loaded on first interaction.
+// These Maps store fetched SPARQL data. Loaded from the IndexedDB snapshot (data.js) on boot,
+// or from QLever when no snapshot exists yet.
 // Key = ISO numeric code (e.g., 840 for USA), Value = { countryLabel, endemic count, threatened counts, etc. }
 let endemicTable = null;  // Endemic & threatened species data by country
 let gdpTable = null;  // GDP data by country
 let populationTable = null;  // Population data by country
-let preloadError = null;  // Stores error if SPARQL fetch fails, so we don't retry
+let taxonTable = null;  // Endemic counts per taxonomic group by country
+let biomeTable = null;  // Biome shares by country from data/biomes.json (loadBiomeTable in data.js); null if missing
+let gdpSeriesTable = null;  // GDP by year: ISO numeric → [{ year, value }]
+let popSeriesTable = null;  // Population by year: ISO numeric → [{ year, value }]
+let preloadError = null;  // Error of the last failed load (cleared on the next attempt)
+let dataFetchedAt = null;  // Timestamp of the snapshot currently in use
+let dataReadyPromise = null;  // Shared promise while a load is running (boot + first click share it)
+const $dataAsOf = document.getElementById('dataAsOf');  // "Data as of …" badge in the sidebar
 
 // ============ GEOGRAPHIC DATA ============
 // Populated when world map loads
-let worldTopo = null;  // TopoJSON topology (raw map data from CDN)
-let countries = [];  // Array of country features extracted from TopoJSON
+let worldTopo = null;  // TopoJSON topology (raw map data from CDN), 110m: the level the data is bound to
+let countries = [];  // Array of country features extracted from TopoJSON, followed by the small-state markers
 let continents = [];  // Array of continent features (merged from countries)
 
 // ============ LOOKUP TABLES FOR FAST QUERYING ============
@@ -39,7 +45,14 @@ const countriesByContinent = new Map();  // Maps continent name → array of cou
 // these values change, which triggers D3 styling updates and panel refreshes.
 const state = {
   continentName: null,  // Which continent is selected? null = none (showing world overview)
-  countryId: null  // Which country is selected? null = none (showing continent view)
+  countryId: null,  // Which country is selected? null = none (showing continent view)
+  metric: 'biome',  // Choropleth metric id (see METRICS); 'biome' = static biome colours
+  scaleType: 'linear',  // Choropleth classification: 'linear', 'log' or 'quantile'
+  pinned: [],  // ISO numeric codes pinned for side-by-side comparison (shift+click)
+  taxonGroup: null,  // Taxonomic group id the choropleth is filtered to (see TAXON_GROUPS); null = all taxa
+  year: null,  // GDP / population as of this year (from the series tables); null = latest value per country
+  regionScheme: 'continents',  // Grouping scheme id (see REGION_SCHEMES in data.js): 'continents', 'subregions', 'worldBank'
+  projection: 'equalEarth'  // Map projection id (see PROJECTIONS): 'equalEarth', 'naturalEarth', 'robinson', 'mercator', 'globe'
 };
 
 // ============ D3 RENDERING STATE ============
@@ -67,6 +80,15 @@ const mapWrap = document.querySelector('.map-wrap');  // Container div (for meas
 // Sets up button used by the user to interact with the map If the start button exists, attach a listener that, when clicked, finds the 'explorer' element and smoothly scrolls it into view.)
 function setupButtons() {
   backBtn?.addEventListener('click', () => { resetToContinents(); });
+  setupChoroplethControls();
+  setupComparePanel();
+  setupExportControls();
+  setupSpeciesControls();
+  setupYearControls();
+  setupRegionControls();
+  setupProjectionControls();
+  setupCountrySearch();
+  setupEndpointSettings();// "Data source" panel (data.js)
 }
 
 // ============ RESPONSIVE SIZING ============
@@ -80,199 +102,97 @@ function resize() {
 // ============ LOAD & PROCESS GEOGRAPHIC DATA ============
 // Fetches world map from CDN and assigns countries to continents
 async function loadGeoData() {
-  // Fetch TopoJSON from CDN (compressed geographic format, much smaller than GeoJSON)
-  worldTopo = await d3.json(worldUrl);
+  // Fetch TopoJSON from CDN or the local copy (compressed geographic format, much smaller than GeoJSON)
+  worldTopo = await d3.json(basemapUrl(BASEMAP_LEVELS[0].id));
   
   // Convert TopoJSON topology to GeoJSON features (each feature = one country)
   // topojson.feature() "unrolls" the compressed TopoJSON into usable GeoJSON
-  countries = topojson.feature(worldTopo, worldTopo.objects.countries).features;
+  const base = createBasemapLevel(worldTopo);
+  basemapLevels.set(BASEMAP_LEVELS[0].id, base);
   
-  // Use geographic coordinates to determine which continent each country belongs to
+  // States too small for the 110m file become point markers (SMALL_STATES in data.js)
+  countries = [...base.features, ...smallStateFeatures(base.features)];
+  
+  // Use the region table (data.js) to determine which continent each country belongs to
   // Populates continentByCountryId and countriesByContinent Maps
   assignContinents();
 }
 
-// ============ CONTINENT ASSIGNMENT LOGIC ============
-// Hard-coded overrides for edge cases (countries on continent borders, disputed territories)
-// These are applied BEFORE geographic centroid checking to guarantee correct continent
-const NAME_OVERRIDES = new Map([
-  ['Türkiye', 'Europe'], ['Turkey', 'Europe'], ['Cyprus', 'Europe'], ['Georgia', 'Europe'],
-  ['Kazakhstan', 'Asia'], ['Azerbaijan', 'Asia'], ['Armenia', 'Asia'], ['Egypt', 'Africa'],
-  ['Madagascar', 'Africa'], ['Cabo Verde', 'Africa'], ['Seychelles', 'Africa'], ['Mauritius', 'Africa'],
-  ['Greenland', 'North America'], ['Mexico', 'North America'], ['Guatemala', 'North America'],
-  ['Belize', 'North America'], ['El Salvador', 'North America'], ['Honduras', 'North America'],
-  ['Nicaragua', 'North America'], ['Costa Rica', 'North America'], ['Panama', 'North America'],
-  ['Cuba', 'North America'], ['Jamaica', 'North America'], ['Haiti', 'North America'],
-  ['Dominican Republic', 'North America'], ['Bahamas', 'North America'], ['The Bahamas', 'North America'],
-  ['Barbados', 'North America'], ['Trinidad and Tobago', 'North America'], ['Grenada', 'North America'],
-  ['Saint Lucia', 'North America'], ['Saint Vincent and the Grenadines', 'North America'],
-  ['Dominica', 'North America'], ['Antigua and Barbuda', 'North America'], ['Saint Kitts and Nevis', 'North America'],
-  ['Puerto Rico', 'North America'], ['Saudi Arabia', 'Asia'], ['United Arab Emirates', 'Asia'],
-  ['Oman', 'Asia'], ['Yemen', 'Asia'], ['Qatar', 'Asia'], ['Bahrain', 'Asia'], ['Kuwait', 'Asia'],
-  ['Israel', 'Asia'], ['Lebanon', 'Asia'], ['Jordan', 'Asia'], ['State of Palestine', 'Asia'],
-  ['Papua New Guinea', 'Oceania'], ['New Caledonia', 'Oceania'], ['New Zealand', 'Oceania'],
-  ['Fiji', 'Oceania'], ['Solomon Islands', 'Oceania'], ['Vanuatu', 'Oceania'], ['Samoa', 'Oceania'],
-  ['Tonga', 'Oceania'], ['Kiribati', 'Oceania'], ['Micronesia', 'Oceania'], ['Palau', 'Oceania'],
-  ['Marshall Islands', 'Oceania'], ['Nauru', 'Oceania'], ['Tuvalu', 'Oceania'], ['Timor-Leste', 'Asia'],
-  ['Indonesia', 'Asia'], ['Philippines', 'Asia'], ['Japan', 'Asia'], ['Sri Lanka', 'Asia'],
-  ['French Southern Territories', 'Antarctica']
-]);
 // ============ COUNTRY-TO-ISO3 MAPPING ============
-// Maps country names from TopoJSON to ISO 3166-1 alpha-3 codes (used in biome detection)
-// Only includes countries that need special mapping; others are looked up dynamically
+// Resolves a map feature to its ISO 3166-1 alpha-3 code through the numeric feature.id
+// (SPARQL rows first, then the bundled ISO table in data.js); '' for features without an ISO code
 function getCountryISO3(country) {
-  const countryName = country.properties?.name;
-  const isoMap = {
-    'Russia': 'RUS', 'United States': 'USA', 'Canada': 'CAN', 'China': 'CHN', 'Australia': 'AUS',
-    'Brazil': 'BRA', 'India': 'IND', 'Argentina': 'ARG', 'Saudi Arabia': 'SAU', 'Egypt': 'EGY',
-    'South Africa': 'ZAF', 'France': 'FRA', 'Germany': 'DEU', 'United Kingdom': 'GBR', 'Japan': 'JPN',
-    'Mexico': 'MEX', 'Greenland': 'GRL', 'Antarctica': 'ATA', 'Libya': 'LBY', 'Algeria': 'DZA',
-    'Colombia': 'COL', 'Indonesia': 'IDN', 'Malaysia': 'MYS', 'Norway': 'NOR', 'Sweden': 'SWE',
-    'Finland': 'FIN', 'Iceland': 'ISL', 'Nepal': 'NPL', 'Bhutan': 'BTN', 'Switzerland': 'CHE',
-    'Austria': 'AUT', 'Spain': 'ESP', 'Italy': 'ITA', 'Greece': 'GRC', 'Turkey': 'TUR',
-    'Portugal': 'PRT', 'Kenya': 'KEN', 'Tanzania': 'TZA', 'Nigeria': 'NGA', 'Ethiopia': 'ETH',
-    'Afghanistan': 'AFG', 'Albania': 'ALB', 'Andorra': 'AND', 'Angola': 'AGO',
-    'Antigua and Barbuda': 'ATG', 'Armenia': 'ARM', 'Aruba': 'ABW', 'Azerbaijan': 'AZE',
-    'Bahamas': 'BHS', 'Bahrain': 'BHR', 'Bangladesh': 'BGD', 'Barbados': 'BRB',
-    'Belarus': 'BLR', 'Belgium': 'BEL', 'Belize': 'BLZ', 'Benin': 'BEN',
-    'Bermuda': 'BMU', 'Bhutan': 'BTN', 'Bolivia': 'BOL', 'Bosnia and Herzegovina': 'BIH',
-    'Botswana': 'BWA', 'British Indian Ocean Territory': 'IOT', 'Brunei': 'BRN',
-    'Bulgaria': 'BGR', 'Burkina Faso': 'BFA', 'Burundi': 'BDI', 'Cabo Verde': 'CPV',
-    'Cambodia': 'KHM', 'Cameroon': 'CMR', 'Central African Republic': 'CAF',
-    'Chad': 'TCD', 'Chile': 'CHL', 'Christmas Island': 'CXR', 'Cocos (Keeling) Islands': 'CCK',
-    'Comoros': 'COM', 'Democratic Republic of the Congo': 'COD', 'Republic of the Congo': 'COG',
-    'Cook Islands': 'COK', 'Costa Rica': 'CRI', 'Croatia': 'HRV', 'Cuba': 'CUB',
-    'Curaçao': 'CUW', 'Cyprus': 'CYP', 'Czech Republic': 'CZE', 'Côte d\'Ivoire': 'CIV',
-    'Denmark': 'DNK', 'Djibouti': 'DJI', 'Dominica': 'DMA', 'Dominican Republic': 'DOM',
-    'Ecuador': 'ECU', 'El Salvador': 'SLV', 'Equatorial Guinea': 'GNQ', 'Eritrea': 'ERI',
-    'Estonia': 'EST', 'Eswatini': 'SWZ', 'Fiji': 'FJI', 'French Guiana': 'GUF',
-    'French Polynesia': 'PYF', 'French Southern Territories': 'ATF', 'Gabon': 'GAB',
-    'Gambia': 'GMB', 'Georgia': 'GEO', 'Ghana': 'GHA', 'Gibraltar': 'GIB',
-    'Greece': 'GRC', 'Grenada': 'GRD', 'Guadeloupe': 'GLP', 'Guam': 'GUM',
-    'Guatemala': 'GTM', 'Guernsey': 'GGY', 'Guinea': 'GIN', 'Guinea-Bissau': 'GNB',
-    'Guyana': 'GUY', 'Haiti': 'HTI', 'Heard Island and McDonald Islands': 'HMD',
-    'Holy See': 'VAT', 'Honduras': 'HND', 'Hong Kong': 'HKG', 'Hungary': 'HUN',
-    'Iran': 'IRN', 'Iraq': 'IRQ', 'Ireland': 'IRL', 'Isle of Man': 'IMN',
-    'Israel': 'ISR', 'Jamaica': 'JAM', 'Jersey': 'JEY', 'Jordan': 'JOR',
-    'Kazakhstan': 'KAZ', 'Kiribati': 'KIR', 'Kuwait': 'KWT', 'Kyrgyzstan': 'KGZ',
-    'Laos': 'LAO', 'Latvia': 'LVA', 'Lebanon': 'LBN', 'Lesotho': 'LSO',
-    'Liberia': 'LBR', 'Libya': 'LBY', 'Liechtenstein': 'LIE', 'Lithuania': 'LTU',
-    'Luxembourg': 'LUX', 'Macao': 'MAC', 'Madagascar': 'MDG', 'Malawi': 'MWI',
-    'Maldives': 'MDV', 'Mali': 'MLI', 'Malta': 'MLT', 'Marshall Islands': 'MHL',
-    'Martinique': 'MTQ', 'Mauritania': 'MRT', 'Mauritius': 'MUS', 'Mayotte': 'MYT',
-    'Micronesia': 'FSM', 'Moldova': 'MDA', 'Monaco': 'MCO', 'Mongolia': 'MNG',
-    'Montenegro': 'MNE', 'Montserrat': 'MSR', 'Morocco': 'MAR', 'Mozambique': 'MOZ',
-    'Myanmar': 'MMR', 'Namibia': 'NAM', 'Nauru': 'NRU', 'Nepal': 'NPL',
-    'Netherlands': 'NLD', 'New Caledonia': 'NCL', 'New Zealand': 'NZL',
-    'Nicaragua': 'NIC', 'Niger': 'NER', 'Nigeria': 'NGA', 'Niue': 'NIU',
-    'Norfolk Island': 'NFK', 'North Korea': 'PRK', 'North Macedonia': 'MKD',
-    'Northern Mariana Islands': 'MNP', 'Oman': 'OMN', 'Pakistan': 'PAK',
-    'Palau': 'PLW', 'Palestine': 'PSE', 'Panama': 'PAN', 'Papua New Guinea': 'PNG',
-    'Paraguay': 'PRY', 'Peru': 'PER', 'Philippines': 'PHL', 'Pitcairn Islands': 'PCN',
-    'Poland': 'POL', 'Puerto Rico': 'PRI', 'Qatar': 'QAT', 'Romania': 'ROU',
-    'Rwanda': 'RWA', 'Réunion': 'REU', 'Saint Barthélemy': 'BLM',
-    'Saint Helena, Ascension and Tristan da Cunha': 'SHN', 'Saint Kitts and Nevis': 'KNA',
-    'Saint Lucia': 'LCA', 'Saint Martin': 'MAF', 'Saint Pierre and Miquelon': 'SPM',
-    'Saint Vincent and the Grenadines': 'VCT', 'Samoa': 'WSM', 'San Marino': 'SMR',
-    'Sao Tome and Principe': 'STP', 'Senegal': 'SEN', 'Serbia': 'SRB',
-    'Seychelles': 'SYC', 'Sierra Leone': 'SLE', 'Singapore': 'SGP', 'Sint Maarten': 'SXM',
-    'Slovakia': 'SVK', 'Slovenia': 'SVN', 'Solomon Islands': 'SLB', 'Somalia': 'SOM',
-    'South Korea': 'KOR', 'South Sudan': 'SSD', 'Sri Lanka': 'LKA', 'Sudan': 'SDN',
-    'Suriname': 'SUR', 'Svalbard and Jan Mayen': 'SJM', 'Sweden': 'SWE',
-    'Switzerland': 'CHE', 'Syria': 'SYR', 'Taiwan': 'TWN', 'Tajikistan': 'TJK',
-    'Tanzania': 'TZA', 'Thailand': 'THA', 'Timor-Leste': 'TLS', 'Togo': 'TGO',
-    'Tokelau': 'TKL', 'Tonga': 'TON', 'Trinidad and Tobago': 'TTO', 'Tunisia': 'TUN',
-    'Turkmenistan': 'TKM', 'Turks and Caicos Islands': 'TCA', 'Tuvalu': 'TUV',
-    'Uganda': 'UGA', 'Ukraine': 'UKR', 'United Arab Emirates': 'ARE',
-    'Uruguay': 'URY', 'Uzbekistan': 'UZB', 'Vanuatu': 'VUT', 'Venezuela': 'VEN',
-    'Vietnam': 'VNM', 'Virgin Islands (British)': 'VGB', 'Virgin Islands (U.S.)': 'VIR',
-    'Wallis and Futuna': 'WLF', 'Western Sahara': 'ESH', 'Yemen': 'YEM',
-    'Zambia': 'ZMB', 'Zimbabwe': 'ZWE'
-  };
-  return isoMap[countryName] || '';// Return the corresponding ISO code or an empty string if not found
+  return iso3ForIsoNum(country?.id, endemicTable, gdpTable, populationTable);
+}
+
+// Lists the basemap features that cannot be joined to the tables (console + sidebar note)
+function reportUnmatchedFeatures() {
+  const unmatched = findUnmatchedFeatures(countries, endemicTable, gdpTable, populationTable);
+  const note = document.getElementById('unmatchedNote');
+  if (note) {
+    note.style.display = unmatched.length ? '' : 'none';
+    note.textContent = unmatched.length
+      ? `Not linked to data (no ISO 3166 code in the basemap): ${unmatched.map(f => f.name).join(', ')}.`
+      : '';
+  }
+  if (unmatched.length) console.warn('Map features without an ISO 3166 match', unmatched);
+  return unmatched;
 }
 
 // ============ BIOME DETECTION ============
-// Determines which biome color to apply to each country based on name/geography
-// Biomes are displayed in map legend and styled with different colors
+// Dominant WWF biome of a country (largest share in data/biomes.json), used as the data-biome attribute.
+// '' for features without shares (no ISO id, or the file failed to load); style.css hatches those.
 function getCountryBiome(country) {
-  const countryName = country.properties?.name;//Looks at the country's properties list, finds the one called 'name' and tells what name it has to encode for the variable.
-  const continent = continentByCountryId.get(country.id);//Looks up which continent the country belongs to using its unique identifier (ID) and stores that continent name in the variable continent.( this is used later if the country is not found in any specific biome list)
-  
-  // Extreme biomes that override everything (highest priority)
-  if (countryName === 'Greenland') return 'ice';
-  if (countryName === 'Antarctica') return 'ice';
-  if (countryName === 'Iceland') return 'tundra';
-  
-  // Check specific biome lists in order of priority (most specific first)
-  const desertCountries = ['Saudi Arabia', 'Egypt', 'Libya', 'Algeria', 'Australia', 'United Arab Emirates', 
-                          'Oman', 'Yemen', 'Kuwait', 'Qatar', 'Bahrain', 'Mauritania', 'Niger', 'Chad', 
-                          'Sudan', 'Mali', 'Western Sahara', 'Jordan', 'Israel', 'Iraq', 'Iran', 'Pakistan',
-                          'Afghanistan', 'Turkmenistan', 'Uzbekistan', 'Kazakhstan', 'Mongolia'];
-  if (desertCountries.includes(countryName)) return 'desert';// If the country name is contained in the list above then the biome of the country is dessert
-  
-  // Rainforest biome countries
-  const rainforestCountries = ['Brazil', 'Colombia', 'Indonesia', 'Malaysia', 'Democratic Republic of the Congo', 
-                              'Peru', 'Venezuela', 'Ecuador', 'Republic of the Congo', 'Gabon', 'Cameroon', 
-                              'Central African Republic', 'Equatorial Guinea', 'Ghana', 'Ivory Coast', 'Liberia', 
-                              'Sierra Leone', 'Guinea', 'Nigeria', 'Uganda', 'Rwanda', 'Burundi', 'Tanzania',
-                              'Papua New Guinea', 'Philippines', 'Vietnam', 'Cambodia', 'Laos', 'Thailand',
-                              'Myanmar', 'Sri Lanka', 'Bangladesh'];
-  if (rainforestCountries.includes(countryName)) return 'rainforest';
-  
-  // Tundra biome countries
-  const tundraCountries = ['Russia', 'Canada', 'Norway', 'Sweden', 'Finland'];
-  if (tundraCountries.includes(countryName)) return 'tundra';
-  
-  // Mountain biome countries
-  const mountainCountries = ['Nepal', 'Bhutan', 'Switzerland', 'Austria', 'Bolivia'];
-  if (mountainCountries.includes(countryName)) return 'mountain';
-  
-  // Mediterranean biome countries
-  const mediterraneanCountries = ['Spain', 'Italy', 'Greece', 'Turkey', 'Portugal', 'Israel', 'Lebanon', 
-                                 'Morocco', 'Tunisia', 'Algeria', 'Syria', 'Jordan', 'Cyprus', 'Malta',
-                                 'Croatia', 'Albania', 'Montenegro'];
-  if (mediterraneanCountries.includes(countryName)) return 'mediterranean';
-  
-  // Grassland biome countries
-  const grasslandCountries = ['Argentina', 'South Africa', 'Kenya', 'Zambia', 'Zimbabwe', 'Botswana', 
-                             'Namibia', 'Mozambique', 'Madagascar', 'Malawi', 'Angola', 'Ethiopia',
-                             'Somalia', 'Eritrea', 'Djibouti', 'Paraguay', 'Uruguay'];
-  if (grasslandCountries.includes(countryName)) return 'grassland';
-  
-  // Forest biome countries
-  const forestCountries = ['United States', 'China', 'Japan', 'South Korea', 'North Korea', 'France', 
-                          'Germany', 'United Kingdom', 'Poland', 'Ukraine', 'Belarus', 'Romania',
-                          'Bulgaria', 'Serbia', 'Hungary', 'Czech Republic', 'Slovakia', 'Austria',
-                          'Switzerland', 'Chile', 'New Zealand'];
-  if (forestCountries.includes(countryName)) return 'forest';
-  
-  // Continent-based fallbacks (lowest priority; used if country not in specific lists)
-  // These provide reasonable defaults if a country wasn't explicitly categorized
-  if (continent === 'Europe') return 'forest';
-  if (continent === 'North America') return 'forest';
-  if (continent === 'Asia') return 'forest';
-  if (continent === 'Africa') return 'grassland';
-  if (continent === 'South America') return 'rainforest';
-  if (continent === 'Oceania') return 'desert';
-  if (continent === 'Antarctica') return 'ice';
-  
-  // Ultimate fallback
-  return 'forest';
+  return dominantBiome(biomeTable, country.id)?.id || '';
+}
+
+// Fill of a country in biome mode: its dominant biome's colour from data/biomes.json (null = no-data hatch)
+function biomeFill(country) {
+  return dominantBiome(biomeTable, country.id)?.color || null;
+}
+
+// Loads the biome shares; the map still works without them (countries keep the no-data fill)
+async function loadBiomes() {
+  try {
+    biomeTable = await loadBiomeTable();
+  } catch (err) {
+    console.warn('Biome shares unavailable', err);
+    biomeTable = null;
+  }
+}
+
+// Legend for biome mode: one swatch per biome that is dominant somewhere on the map, in WWF order
+function drawBiomeLegend() {
+  const box = d3.select('#biomeLegend');
+  box.selectAll('.biome-item, .biome-source').remove();
+  const present = new Set(countries.map(getCountryBiome));
+  const shown = Array.from(biomeTable?.biomes.values() || []).filter(b => present.has(b.id));
+  const items = box.selectAll('.biome-item')
+    .data(shown)
+    .join('div')
+    .attr('class', 'biome-item')
+    .attr('title', d => d.label);  // Full WWF name; the legend shows the short one
+  items.append('div').attr('class', 'biome-color').style('background', d => d.color);
+  items.append('span').text(d => d.short || d.label);
+  if (present.has('')) {  // Features without shares
+    const noData = box.append('div').attr('class', 'biome-item');
+    noData.append('div').attr('class', 'biome-color nodata-swatch');
+    noData.append('span').text('No biome data');
+  }
+  if (biomeTable && !biomeTable.byIso.size) box.append('div').attr('class', 'biome-source').text('Biome shares not generated yet');
 }
 // ============ ASSIGN COUNTRIES TO CONTINENTS ============
-// Called once at startup. Groups countries by continent for aggregation and queries.
+// Called at startup and whenever the grouping scheme changes. Groups countries by continent
+// (or UN subregion / World Bank region, see state.regionScheme) for aggregation and queries.
+// regionFor() and the bundled M49 / World Bank table live in data.js (the correlations page uses them too)
 // Creates two Maps: (1) country ID → continent, (2) continent → array of countries
 function assignContinents() {
   continentByCountryId.clear();  // Reset maps
   countriesByContinent.clear();
   
-  const buckets = new Map();  // Temp storage: continent → array of TopoJSON geometries
-  const geometries = worldTopo?.objects?.countries?.geometries || [];
-  
   // For each country, determine its continent and add to lookup tables
-  countries.forEach((feature, index) => {
-    const continent = inferContinent(feature) || 'Unassigned';  // Infer continent from lat/lon
+  countries.forEach((feature) => {
+    const continent = regionFor(feature, state.regionScheme);  // Region table first, centroid rules as fallback
     feature.properties = feature.properties || {};
     feature.properties.continent = continent;  // Attach continent to feature for later use
     continentByCountryId.set(feature.id, continent);  // Fast lookup: country ID → continent
@@ -282,64 +202,34 @@ function assignContinents() {
     // Add country to its continent's list
     if (!countriesByContinent.has(continent)) countriesByContinent.set(continent, []);
     countriesByContinent.get(continent).push(feature);
-    
-    // Also track geometries so we can merge them later
-    if (!buckets.has(continent)) buckets.set(continent, []);
-    const geom = geometries[index];
-    if (geom) buckets.get(continent).push(geom);
   });
 
-  // Merge each continent's country geometries into a single continent polygon
-  continents = Array.from(buckets.entries())
-    .filter(([name]) => name && name !== 'Unassigned')
-    .map(([name, geoms]) => ({
-      type: 'Feature',
-      properties: { name },
-      // topojson.merge() combines multiple geometries into one (used for continent boundaries)
-      geometry: topojson.merge(worldTopo, geoms)
-    }));
-}
-
-// ============ INFER CONTINENT FROM COORDINATES ============
-// Uses geographic centroid (center point) + hardcoded NAME_OVERRIDES to determine continent
-// This runs after NAME_OVERRIDES are checked, so edge cases are already handled
-function inferContinent(feature) {
-  // Get the country name from feature properties (if it exists)
-  const name = feature?.properties?.name;
-  
-  // Step 1: Check hard-coded overrides first (highest priority)
-  if (NAME_OVERRIDES.has(name)) return NAME_OVERRIDES.get(name);
-  
-  // Step 2: Get geographic center (centroid) of the country
-  const [lon, lat] = d3.geoCentroid(feature);
-  if (!Number.isFinite(lon) || !Number.isFinite(lat)) return 'Unassigned';  // Handle invalid coords
-  
-  // Step 3: Use coordinate ranges to determine continent
-  // These ranges are approximate but work well for most countries
-  if (lat <= -50) return 'Antarctica';
-  
-  // Rule 2: Western hemisphere → North or South America
-  if (lon < -30) {
-    return lat >= 15 ? 'North America' : 'South America';  // Divide Americas by latitude
-  }
-  
-  // Rule 3: Europe zone (specific longitude/latitude box)
-  if (lon >= -25 && lon <= 60 && lat >= 35) return 'Europe';
-  
-  // Rule 4: Africa zone (complex bounding box excluding Middle East)
-  if (lon >= -20 && lon <= 52 && lat < 35 && lat > -40 && !(lon > 40 && lat > 20)) return 'Africa';
-  
-  // Rule 5: Oceania rules (Pacific islands)
-  if ((lon >= 110 && lat <= -10) || lon >= 150) return 'Oceania';
-  if (lon >= 95 && lat <= -15) return 'Oceania';
-  
-  // Rule 6: Eastern hemisphere → Asia
-  if (lon >= 25) return 'Asia';
-  
-  // Rule 7: Northern hemisphere default → Europe
-  if (lat >= 0) return 'Europe';
-  return 'Africa';  // Default fallback
+  // Merge each continent's country geometries into a single continent polygon (markers have none)
+  continents = mergeRegions(worldTopo, countries);
+  basemapLevels.forEach(level => { level.regions = null; });  // Finer levels re-merge on their next draw
+}
+
+// One polygon per region of the current scheme from a topology and its features (in the order of its geometries;
+// features past the geometries are small-state markers). A region made only of markers (Micronesia and Polynesia
+// among the UN subregions) is drawn as those markers, so it can still be clicked at world scale.
+function mergeRegions(topo, features) {
+  const geometries = topo?.objects?.countries?.geometries || [];
+  const buckets = new Map();  // Temp storage: continent → { geoms: TopoJSON geometries, points: marker coordinates }
+  features.forEach((feature, index) => {
+    const continent = regionFor(feature, state.regionScheme);
+    if (!continent || continent === 'Unassigned') return;
+    if (!buckets.has(continent)) buckets.set(continent, { geoms: [], points: [] });
+    if (geometries[index]) buckets.get(continent).geoms.push(geometries[index]);
+    else if (feature.geometry?.type === 'Point') buckets.get(continent).points.push(feature.geometry.coordinates);
+  });
+  return Array.from(buckets, ([name, { geoms, points }]) => ({
+    type: 'Feature',
+    properties: { name },
+    // topojson.merge() combines multiple geometries into one (used for continent boundaries)
+    geometry: geoms.length ? topojson.merge(topo, geoms) : { type: 'MultiPoint', coordinates: points }
+  }));
 }
+
 // ============================================
 // MAP RENDERING FUNCTIONS
 // ============================================
@@ -356,6 +246,16 @@ function inferContinent(feature) {
 function initMapLayers() {
   svg.selectAll('*').remove();  // Clear any existing content
   
+  // Hatch pattern used by the choropleth for countries without data
+  const hatch = svg.append('defs').append('pattern')
+    .attr('id', 'nodata-hatch')
+    .attr('width', 5)
+    .attr('height', 5)
+    .attr('patternUnits', 'userSpaceOnUse')
+    .attr('patternTransform', 'rotate(45)');
+  hatch.append('rect').attr('width', 5).attr('height', 5).attr('fill', '#2a3340');
+  hatch.append('line').attr('x1', 0).attr('y1', 0).attr('x2', 0).attr('y2', 5).attr('stroke', '#6b7785').attr('stroke-width', 2);
+
   // Create root group that will be transformed for zoom/pan
   rootLayer = svg.append('g').attr('class', 'map-root');
   
@@ -376,14 +276,29 @@ function initMapLayers() {
   
   // Zoom behavior: lets users pan and zoom the map (scale 1x to 8x)
   // When zoom changes, rootLayer gets transformed to show the new view
+  // On the globe, dragging turns the sphere (createGlobeDrag), so the zoom only listens to the wheel and double-clicks
   zoomBehavior = d3.zoom()
     .scaleExtent([1, 8])  // Min zoom = 1x, max zoom = 8x
+    .filter(event => state.projection === 'globe'
+      ? event.type === 'wheel' || event.type === 'dblclick'
+      : (!event.ctrlKey || event.type === 'wheel') && !event.button)  // d3's default filter
     .on('zoom', (event) => {
+      const rescaled = event.transform.k !== currentTransform.k;
       currentTransform = event.transform;  // Save current transform state
       rootLayer.attr('transform', currentTransform);  // Apply transform to all layers
+      if (rescaled) {  // Markers keep their screen size
+        countryLayer.selectAll('path.country-marker').attr('d', countryPath);
+        continentLayer.selectAll('path.continent-marker').attr('d', regionPath);
+      }
+    })
+    .on('end', () => {
+      syncUrlState();  // Remember the zoom in the URL (replaces, doesn't add history)
+      updateDetailLevel();  // Finer geometry once zoomed in far enough
     });
   
   svg.call(zoomBehavior);  // Attach zoom behavior to SVG
+  svg.call(createGlobeDrag());  // Only active while the globe is shown
+  svg.on('keydown', handleMapKeydown);  // Arrow keys / Enter / Escape on the focused path
 }
 
 // ============ RENDER MAP ============
@@ -396,11 +311,12 @@ function renderMap() {
   const { w, h } = resize();
   svg.attr('width', w).attr('height', h);
   
-  // Step 2: Create geographic projection (Mercator: converts lat/lon to x/y pixels)
-  projection = d3.geoMercator().fitExtent([[10, 10], [w - 10, h - 10]], { type: 'Sphere' });
+  // Step 2: Create geographic projection (see PROJECTIONS: converts lat/lon to x/y pixels), fitted to the whole sphere
+  projection = PROJECTION_BY_ID.get(state.projection).create().fitExtent([[10, 10], [w - 10, h - 10]], { type: 'Sphere' });
+  svg.classed('globe', state.projection === 'globe');  // Grab cursor
   
-  // Step 3: Create path generator (converts GeoJSON to SVG path strings)
-  path = d3.geoPath(projection);
+  // Step 3: Create path generator (converts GeoJSON to SVG path strings; points become markers of constant screen size)
+  path = d3.geoPath(projection).pointRadius(() => MARKER_RADIUS / currentTransform.k);
 
   // Step 4: Draw ocean background
   sphereLayer.attr('d', path({ type: 'Sphere' }));
@@ -412,14 +328,21 @@ function renderMap() {
   .join(
     enter => enter.append('path')
       .attr('class', 'continent')
+      .classed('continent-marker', d => d.geometry?.type === 'MultiPoint')  // Region of small states only
       .attr('data-continent', d => d.properties?.name?.toLowerCase().replace(' ', '-') || '')
-      .attr('d', path)
+      .style('fill', d => regionFill(d.properties?.name))
+      .attr('d', regionPath)
+      .attr('role', 'button')  // Focusable through the roving tabindex (updateKeyboardNav)
       .on('mousemove', handleMouseMove)
       .on('mouseleave', handleMouseLeave)
+      .on('focus', handlePathFocus)
+      .on('blur', handleMouseLeave)
       .on('click', (event, d) => { event.stopPropagation(); handleContinentClick(d); }),
     update => update
+      .classed('continent-marker', d => d.geometry?.type === 'MultiPoint')
       .attr('data-continent', d => d.properties?.name?.toLowerCase().replace(' ', '-') || '')
-      .attr('d', path),
+      .style('fill', d => regionFill(d.properties?.name))
+      .attr('d', regionPath),
     exit => exit.remove()
   );
 
@@ -429,44 +352,57 @@ function renderMap() {
   .join(
     enter => enter.append('path')
       .attr('class', 'country')
+      .classed('country-marker', d => Boolean(d.properties?.marker))  // Small state drawn as a dot
       .attr('data-country', d => getCountryISO3(d))
-      .attr('data-biome', d => getCountryBiome(d))  // Biome affects CSS styling/color
-      .attr('d', path)
+      .attr('data-biome', d => getCountryBiome(d))  // Biome id; applyChoropleth fills it with the biome colour
+      .attr('d', countryPath)
+      .attr('role', 'button')
       .on('mousemove', handleMouseMove)
       .on('mouseleave', handleMouseLeave)
-      .on('click', (event, d) => { event.stopPropagation(); handleCountryClick(d); }),
+      .on('focus', handlePathFocus)
+      .on('blur', handleMouseLeave)
+      .on('click', (event, d) => {
+        event.stopPropagation();
+        if (event.shiftKey) togglePinnedCountry(d);  // Shift+click pins for comparison
+        else handleCountryClick(d);
+      }),
     update => update
       .attr('data-country', d => getCountryISO3(d))
       .attr('data-biome', d => getCountryBiome(d))
-      .attr('d', path),
+      .attr('d', countryPath),
     exit => exit.remove()
   );
   
   // Step 7: Draw country borders (topojson.mesh extracts border lines from countries)
-  const mesh = topojson.mesh(worldTopo, worldTopo.objects.countries, (a, b) => a !== b);
-  borderLayer.attr('d', path(mesh));
+  borderLayer.attr('d', path(borderShape()));
 
   // Step 8: Apply zoom/pan transform to all layers
   rootLayer.attr('transform', currentTransform);
   svg.call(zoomBehavior.transform, currentTransform);
   
-  // Step 9: Update styling based on current state (selected continent/country)
+  // Step 9: Update styling based on current state (selected continent/country, choropleth metric)
   updateContinentLayerState();
   updateCountryLayerState();
+  applyChoropleth();
 }
 
 // ============ MOUSE INTERACTIONS ============
 // Show tooltip with country/continent name on hover
 function handleMouseMove(event, feature) {
+  showTooltip(feature, event.offsetX, event.offsetY);
+}
+
+// Shows the tooltip for a feature at (x, y) in map pixels (cursor, or the centroid of a focused path)
+function showTooltip(feature, x, y) {
   const props = feature?.properties || {};
   // Try multiple name fields to find a label
   const name = props.name || props.admin || props.sovereignt || props.brk_name || `ISO ${feature?.id}`;
   
   // Position tooltip near cursor
   $tooltip.style.opacity = 1;
-  $tooltip.style.left = (event.offsetX + 14) + 'px';
-  $tooltip.style.top = (event.offsetY + 14) + 'px';
-  $tooltip.textContent = name;
+  $tooltip.style.left = (x + 14) + 'px';
+  $tooltip.style.top = (y + 14) + 'px';
+  $tooltip.textContent = feature.id !== undefined ? name + metricTooltipText(feature) : name;  // Countries also show the choropleth value
   
   // Style tooltip differently for continents vs. countries
   if (feature.geometry && feature.geometry.type === 'MultiPolygon' || 
@@ -493,6 +429,355 @@ function handleMouseLeave() {
   $tooltip.style.fontWeight = 'normal';
   $tooltip.style.borderColor = '#1f2a50';
 }
+// ============ KEYBOARD & SCREEN READER NAVIGATION ============
+// Roving tabindex: one path per level is in the tab order (tabindex 0), the others are reachable with the
+// arrow keys. Continents form the first level; after Enter, the countries of the selected continent do.
+// Enter / Space selects (Shift+Enter pins a country), Escape returns to the continents.
+let rovingContinent = null;  // Name of the continent that holds tabindex 0
+let rovingCountryId = null;  // Feature id of the country that holds tabindex 0
+const byLabel = (a, b) => (a.properties?.name || '').localeCompare(b.properties?.name || '');
+
+// Paths of the active level, in alphabetical order (the order a screen reader announces them in)
+function keyboardTargets() {
+  if (!continentLayer || !countryLayer) return [];
+  const nodes = state.continentName
+    ? countryLayer.selectAll('path').filter(d => continentByCountryId.get(d.id) === state.continentName).nodes()
+    : continentLayer.selectAll('path').nodes();
+  return nodes.sort((a, b) => byLabel(d3.select(a).datum(), d3.select(b).datum()));
+}
+
+function continentAriaLabel(d) {
+  const n = countriesByContinent.get(d.properties?.name)?.length || 0;
+  return `${d.properties?.name}, ${n} ${n === 1 ? 'country' : 'countries'}`;
+}
+
+function countryAriaLabel(d) {
+  const iso = parseInt(d.id, 10);
+  const parts = [countryLabelFor(iso, d)];
+  const biome = dominantBiome(biomeTable, d.id);
+  if (biome) parts.push(`mostly ${(biome.short || biome.label).toLowerCase()}`);
+  if (state.pinned.includes(iso)) parts.push('pinned for comparison');
+  return parts.join(', ');
+}
+
+// Sets tabindex, aria-label, aria-current and aria-hidden on both layers for the current selection
+function updateKeyboardNav() {
+  if (!continentLayer || !countryLayer) return;
+  const countryLevel = Boolean(state.continentName);
+  const inContinent = d => continentByCountryId.get(d.id) === state.continentName;
+  const targets = keyboardTargets().map(node => d3.select(node).datum());
+  if (countryLevel) {
+    if (!targets.some(d => d.id === rovingCountryId)) {  // Start on the selected country, else the first one
+      rovingCountryId = targets.find(d => parseInt(d.id, 10) === state.countryId)?.id ?? targets[0]?.id ?? null;
+    }
+  } else if (!targets.some(d => d.properties?.name === rovingContinent)) {
+    rovingContinent = targets[0]?.properties?.name ?? null;
+  }
+
+  continentLayer.selectAll('path')
+    .attr('tabindex', d => (countryLevel ? null : d.properties?.name === rovingContinent ? 0 : -1))
+    .attr('aria-hidden', countryLevel ? 'true' : null)
+    .attr('aria-label', continentAriaLabel);
+  countryLayer.selectAll('path')
+    .attr('tabindex', d => (!countryLevel || !inContinent(d) ? null : d.id === rovingCountryId ? 0 : -1))
+    .attr('aria-hidden', d => (countryLevel && inContinent(d) ? null : 'true'))
+    .attr('aria-current', d => (state.countryId === parseInt(d.id, 10) ? 'true' : null))
+    .attr('aria-label', countryAriaLabel);
+}
+
+// Moves the roving tabindex to a path and focuses it
+function focusPath(node) {
+  if (!node) return;
+  const d = d3.select(node).datum();
+  if (state.continentName) rovingCountryId = d.id;
+  else rovingContinent = d.properties?.name;
+  updateKeyboardNav();
+  node.focus();
+}
+
+// Focuses the path holding tabindex 0 on the active level (after a selection changes the level)
+function focusRovingPath() {
+  const layer = state.continentName ? countryLayer : continentLayer;
+  focusPath(layer?.select('path[tabindex="0"]').node());
+}
+
+// Keyboard focus shows the same tooltip as the mouse, anchored at the path's centroid
+function handlePathFocus(event, feature) {
+  const [x, y] = currentTransform.apply(path.centroid(feature));
+  if (Number.isFinite(x) && Number.isFinite(y)) showTooltip(feature, x, y);
+}
+
+async function handleMapKeydown(event) {
+  const node = event.target;
+  if (!node?.matches?.('path.continent, path.country')) return;
+  const d = d3.select(node).datum();
+  const targets = keyboardTargets();
+  const index = targets.indexOf(node);
+  const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[event.key];
+
+  if (step && index !== -1) {
+    focusPath(targets[(index + step + targets.length) % targets.length]);  // Wraps around
+  } else if (event.key === 'Home' || event.key === 'End') {
+    focusPath(event.key === 'Home' ? targets[0] : targets[targets.length - 1]);
+  } else if (event.key === 'Enter' || event.key === ' ') {
+    if (node.matches('.continent')) {
+      await handleContinentClick(d);
+      if (state.continentName) focusRovingPath();  // Continue with the countries
+    } else if (event.shiftKey) {
+      const wasPinned = state.pinned.includes(parseInt(d.id, 10));
+      togglePinnedCountry(d);
+      const pinned = state.pinned.includes(parseInt(d.id, 10));
+      if (pinned !== wasPinned) announce(`${countryLabelFor(parseInt(d.id, 10), d)} ${pinned ? 'pinned for comparison' : 'unpinned'}.`);
+    } else {
+      await handleCountryClick(d);
+    }
+  } else if (event.key === 'Escape' && state.continentName) {
+    const previous = state.continentName;
+    resetToContinents();
+    rovingContinent = previous;  // Back on the continent we came from
+    focusRovingPath();
+  } else {
+    return;
+  }
+  event.preventDefault();
+}
+
+// Polite live region under the sidebar: reads the panel values after each selection
+function announceSelection() {
+  const el = document.getElementById('mapAnnouncer');
+  if (!el) return;
+  const value = id => document.getElementById(id)?.textContent.trim() || '—';
+  const title = document.getElementById('country-title')?.textContent.trim() || '';
+  el.textContent = [
+    `${title}.`,
+    `Total endemic species: ${value('totalEndemic')}.`,
+    `Threatened endemic species: ${value('endangeredEndemic')}.`,
+    `GDP: ${value('gdp')}.`,
+    `Population: ${value('population')}.`
+  ].join(' ');
+}
+
+function announce(text) {
+  const el = document.getElementById('mapAnnouncer');
+  if (el) el.textContent = text;
+}
+
+// ============ REGION SCHEMES ============
+// Continents keep their CSS colours (data-continent); the other schemes use the earthy palette when it has
+// enough colours (World Bank regions) and categoryPalette (data.js) otherwise, so no two regions share a fill
+const REGION_FILLS = ['#3e6b35', '#8a9c5a', '#2d5a27', '#d6bc7a', '#5c8a4a', '#a3a86a', '#6f7f3f', '#4a7b3d'];
+
+function regionFill(name) {
+  if (state.regionScheme === 'continents' || !name) return null;
+  const index = continents.findIndex(c => c.properties?.name === name);
+  const palette = continents.length <= REGION_FILLS.length ? REGION_FILLS : categoryPalette(continents.length);
+  return palette[Math.max(0, index)];
+}
+
+// Fills the "Regions" select and regroups the map when it changes
+function setupRegionControls() {
+  const select = document.getElementById('regionSelect');
+  if (!select) return;
+  d3.select(select).selectAll('option')
+    .data(REGION_SCHEMES).join('option')
+    .attr('value', d => d.id)
+    .text(d => d.label);
+  select.value = state.regionScheme;
+  select.addEventListener('change', () => {
+    if (state.continentName) resetToContinents();  // The selected group may not exist in the new scheme
+    applyRegionScheme(select.value);
+    syncUrlState();
+  });
+}
+
+// Switches the grouping scheme: regroups countries, re-merges the polygons and redraws
+function applyRegionScheme(scheme) {
+  const next = REGION_SCHEMES.some(s => s.id === scheme) ? scheme : 'continents';
+  const select = document.getElementById('regionSelect');
+  if (select) select.value = next;
+  if (next === state.regionScheme && continents.length) return;
+  state.regionScheme = next;
+  if (!worldTopo) return;  // Basemap not loaded yet; loadGeoData will group with the new scheme
+  assignContinents();
+  renderMap();
+}
+
+// ============ PROJECTIONS ============
+// Equal Earth is the default because it keeps areas comparable (Mercator inflates Greenland, Russia and Antarctica;
+// it stays in the list for comparison). 'globe' is an orthographic projection that turns when dragged instead of panning.
+// renderMap fits every projection to the sphere, so zoomToFeature, the merged regions and the border mesh only re-project.
+const PROJECTIONS = [
+  { id: 'equalEarth', label: 'Equal Earth', create: () => d3.geoEqualEarth() },
+  { id: 'naturalEarth', label: 'Natural Earth', create: () => d3.geoNaturalEarth1() },
+  { id: 'robinson', label: 'Robinson', create: () => d3.geoProjection(robinsonRaw) },
+  { id: 'mercator', label: 'Mercator', create: () => d3.geoMercator() },
+  { id: 'globe', label: 'Globe', create: () => d3.geoOrthographic().rotate(globeRotation) }
+];
+const PROJECTION_BY_ID = new Map(PROJECTIONS.map(p => [p.id, p]));  // Fast lookup: projection id → projection
+const GLOBE_START = [-10, -15];  // Globe rotation on first use: 10°E 15°N (Africa and Europe) faces the viewer
+let globeRotation = GLOBE_START.slice();  // Current [λ, φ] rotation of the globe, kept across projection switches
+
+// Robinson's table: length of each parallel and its distance from the equator, every 5° from -5° to 90°
+const ROBINSON_TABLE = [
+  [0.9986, -0.062], [1.0000, 0.0000], [0.9986, 0.0620], [0.9954, 0.1240], [0.9900, 0.1860],
+  [0.9822, 0.2480], [0.9730, 0.3100], [0.9600, 0.3720], [0.9427, 0.4340], [0.9216, 0.4958],
+  [0.8962, 0.5571], [0.8679, 0.6176], [0.8350, 0.6769], [0.7986, 0.7346], [0.7597, 0.7903],
+  [0.7186, 0.8435], [0.6732, 0.8936], [0.6213, 0.9394], [0.5722, 0.9761], [0.5322, 1.0000]
+].map(([x, y]) => [x, y * 1.0144]);  // Scales the pole line to Robinson's 1 : 1.97 height-to-width ratio
+
+// Robinson projection (forward only; d3 doesn't need the inverse to fit or draw), with the quadratic
+// interpolation between table rows used by d3-geo-projection
+function robinsonRaw(lambda, phi) {
+  const i = Math.min(18, Math.abs(phi) * 36 / Math.PI);  // Row of |φ| in 5° steps
+  const i0 = Math.floor(i);
+  const di = i - i0;
+  const [ax, ay] = ROBINSON_TABLE[i0];
+  const [bx, by] = ROBINSON_TABLE[i0 + 1];
+  const [cx, cy] = ROBINSON_TABLE[Math.min(19, i0 + 2)];
+  return [
+    lambda * (bx + di * (cx - ax) / 2 + di * di * (cx - 2 * bx + ax) / 2),
+    Math.sign(phi) * (Math.PI / 2) * (by + di * (cy - ay) / 2 + di * di * (cy - 2 * by + ay) / 2)
+  ];
+}
+
+// Fills the "Projection" select and redraws the map when it changes
+function setupProjectionControls() {
+  const select = document.getElementById('projectionSelect');
+  if (!select) return;
+  d3.select(select).selectAll('option')
+    .data(PROJECTIONS).join('option')
+    .attr('value', d => d.id)
+    .text(d => d.label);
+  select.value = state.projection;
+  select.addEventListener('change', () => {
+    applyProjection(select.value);
+    syncUrlState();
+  });
+}
+
+// Switches the projection: redraws at world scale, then zooms back to the selection (if any)
+function applyProjection(id) {
+  const next = PROJECTION_BY_ID.has(id) ? id : 'equalEarth';
+  const select = document.getElementById('projectionSelect');
+  if (select) select.value = next;
+  if (next === state.projection) return;
+  state.projection = next;
+  svg.interrupt();  // A running zoom or globe turn belongs to the old projection
+  currentTransform = d3.zoomIdentity;  // Pixel offsets of the old projection mean nothing in the new one
+  renderMap();
+  const selected = state.countryId !== null
+    ? findCountryFeature(state.countryId)
+    : continents.find(c => c.properties?.name === state.continentName);
+  if (selected) zoomToFeature(selected);
+}
+
+// Re-projects every layer in place (while the globe turns and on a new level of detail; renderMap rebinds the data instead)
+function redrawPaths() {
+  sphereLayer.attr('d', path({ type: 'Sphere' }));
+  continentLayer.selectAll('path').attr('d', regionPath);
+  countryLayer.selectAll('path').attr('d', countryPath);
+  borderLayer.attr('d', path(borderShape()));
+}
+
+// Turns the globe to [λ, φ] (φ clamped so the poles don't flip over); remembered for the other projections too
+function rotateGlobe([lambda, phi]) {
+  globeRotation = [((lambda + 540) % 360) - 180, Math.max(-90, Math.min(90, phi))];
+  if (state.projection !== 'globe' || !projection) return;
+  projection.rotate(globeRotation);
+  redrawPaths();
+}
+
+// Dragging the globe turns it; one pixel is one pixel of arc at the current zoom, so the grabbed point follows the cursor
+function createGlobeDrag() {
+  return d3.drag()
+    .filter(event => state.projection === 'globe' && !event.button)
+    .on('drag', (event) => {
+      const degreesPerPixel = 180 / (Math.PI * projection.scale() * currentTransform.k);
+      rotateGlobe([globeRotation[0] + event.dx * degreesPerPixel, globeRotation[1] - event.dy * degreesPerPixel]);
+    })
+    .on('end', () => syncUrlState());
+}
+
+// ============ LEVEL OF DETAIL ============
+// The paths stay bound to the 110m features and the small-state markers; zooming in past a BASEMAP_LEVELS
+// threshold (data.js) only changes the geometry they are drawn with. The finer file is fetched the first time
+// it is needed, and its countries are matched to the bound features by ISO id (by name for the few without one).
+const MARKER_RADIUS = 4;  // Screen radius of a small-state marker in pixels, whatever the zoom
+const basemapLevels = new Map();  // Level id → { topo, features, byKey, regions, mesh } once loaded
+const basemapRequests = new Map();  // Level id → promise while its file is loading
+let detailLevel = BASEMAP_LEVELS[0].id;  // Level the paths are currently drawn with
+
+const featureKey = feature => feature.id ?? feature.properties?.name;
+
+// Features of a topology plus lazily built region polygons and border mesh
+function createBasemapLevel(topo) {
+  const features = topojson.feature(topo, topo.objects.countries).features;
+  return { topo, features, byKey: new Map(features.map(f => [featureKey(f), f])), regions: null, mesh: null };
+}
+
+// Finest level whose minimum zoom is reached
+function detailLevelFor(k) {
+  return BASEMAP_LEVELS.filter(level => k >= level.minZoom).pop().id;
+}
+
+// Loads a level once; a failed file is tried again on the next zoom
+function loadBasemapLevel(id) {
+  if (basemapLevels.has(id)) return Promise.resolve(basemapLevels.get(id));
+  if (!basemapRequests.has(id)) {
+    const request = d3.json(basemapUrl(id))
+      .then(topo => {
+        const level = createBasemapLevel(topo);
+        basemapLevels.set(id, level);
+        return level;
+      })
+      .finally(() => basemapRequests.delete(id));
+    basemapRequests.set(id, request);
+  }
+  return basemapRequests.get(id);
+}
+
+// Switches to the level that fits the current zoom, once its file is loaded (after every zoom gesture)
+async function updateDetailLevel() {
+  const wanted = detailLevelFor(currentTransform.k);
+  if (wanted === detailLevel) return;
+  try {
+    await loadBasemapLevel(wanted);
+  } catch (err) {
+    console.warn(`Basemap ${wanted} unavailable; keeping ${detailLevel}`, err);
+    return;
+  }
+  if (wanted !== detailLevelFor(currentTransform.k)) return;  // Zoomed again while loading
+  detailLevel = wanted;
+  svg.attr('data-detail', detailLevel);
+  redrawPaths();
+}
+
+// Geometry a country is drawn with: the feature from the current level, or the bound one if that level lacks it.
+// Markers stay markers: at any scale they are easier to hit than the islands they stand for.
+function countryShape(d) {
+  if (d.properties?.marker) return d;
+  return basemapLevels.get(detailLevel)?.byKey.get(featureKey(d)) || d;
+}
+
+// Geometry a region is drawn with (merged from the current level on first use, per grouping scheme)
+function regionShape(d) {
+  const level = basemapLevels.get(detailLevel);
+  if (!level || detailLevel === BASEMAP_LEVELS[0].id) return d;
+  if (!level.regions) level.regions = new Map(mergeRegions(level.topo, level.features).map(r => [r.properties.name, r]));
+  return level.regions.get(d.properties?.name) || d;
+}
+
+// Borders between countries at the current level
+function borderShape() {
+  const level = basemapLevels.get(detailLevel) || basemapLevels.get(BASEMAP_LEVELS[0].id);
+  if (!level.mesh) level.mesh = topojson.mesh(level.topo, level.topo.objects.countries, (a, b) => a !== b);
+  return level.mesh;
+}
+
+// SVG path data at the current level of detail
+const regionPath = d => path(regionShape(d));
+const countryPath = d => path(countryShape(d));
+
 // ============ CONTINENT CLICK HANDLER ============
 // User clicked a continent: fetch data, zoom to it, and show aggregated stats
 async function handleContinentClick(feature) {
@@ -529,6 +814,10 @@ async function handleContinentClick(feature) {
     
     // Step 6: Display the aggregated data in the sidebar
     applyContinentSummary(summary, contName);
+    announceSelection();  // Screen readers hear the new totals
+
+    // Step 7: New history entry, so the browser back button returns to the previous selection
+    syncUrlState({ push: true });
   } catch (err) {
     console.error(err);
     setAllStatuses('Request failed: unexpected error.');
@@ -550,23 +839,35 @@ async function handleCountryClick(feature) {
   
   const contName = continentByCountryId.get(feature.id);
   if (!contName || contName !== state.continentName) return;  // Country not in current continent
-  
+  await showCountry(feature);
+}
+
+// Shows one country: selection state, panel, announcement and URL (click inside the open continent and selectCountry).
+// zoom = also open the country's continent and zoom to the country, for selections made from anywhere on the map.
+async function showCountry(feature, { zoom = false } = {}) {
   inFlight = true;
   showLoading(true);
   
   try {
-    // Fetch data if not already cached
+    // Fetch data if not already cached (rethrows a failed load)
     await ensureDataReady();
-    if (preloadError) throw preloadError;
     
     // Update state to reflect selected country
+    if (zoom) {
+      state.continentName = continentByCountryId.get(feature.id);
+      toggleBackButton(true);
+      updateContinentLayerState();
+    }
     state.countryId = parseInt(feature.id, 10);
     updateCountryLayerState();  // Highlight selected country
+    if (zoom) zoomToFeature(feature);
     
     // Populate sidebar with country-specific data
     await hydrateCountryPanel(feature);
     setPanelMode('Country profile');
     dataContextEl.textContent = 'Country-level figures pulled directly from cached Wikidata tables.';
+    announceSelection();
+    syncUrlState({ push: true });  // Bookmarkable "continent → country" link
   } catch (err) {
     console.error(err);
     setAllStatuses('Request failed: unexpected error.');
@@ -594,7 +895,9 @@ function summarizeContinent(name) {
     gdpUSD: 0,  // Sum of GDP
     population: 0,  // Sum of population
     gdpYears: new Set(),  // Track which years are represented
-    popYears: new Set()
+    popYears: new Set(),
+    taxa: {},  // Sum per taxonomic group: { groupId: { total, threatened } }
+    biomes: {}  // Per dominant biome: { biomeId: { countries, totalEndemic, threatened } }
   };
   
   // Loop through each country in the continent and aggregate its data
@@ -613,15 +916,31 @@ function summarizeContinent(name) {
       summary.cr += cr;
       summary.threatened += nt + vu + en + cr;
     }
+
+    const biome = dominantBiome(biomeTable, iso);  // Whole country counted under its dominant biome
+    if (biome) {
+      const acc = summary.biomes[biome.id] || (summary.biomes[biome.id] = { countries: 0, totalEndemic: 0, threatened: 0 });
+      acc.countries++;
+      const counts = endemicCountsFor(eRow, null, null);  // null when the country has no endemic data
+      acc.totalEndemic += counts?.total || 0;
+      acc.threatened += counts?.threatened || 0;
+    }
+
+    const taxa = taxonTable?.get(iso) || {};  // Per-group counts (absent groups = 0)
+    for (const [groupId, counts] of Object.entries(taxa)) {
+      const acc = summary.taxa[groupId] || (summary.taxa[groupId] = { total: 0, threatened: 0 });
+      acc.total += counts.total;
+      acc.threatened += counts.threatened;
+    }
     
-    const gRow = gdpTable?.get(iso);  // Look up GDP data
+    const gRow = gdpRowFor(iso);  // Look up GDP data (as of the selected year)
     if (gRow) {
       summary.gdpCount++;
       summary.gdpUSD += gRow.gdpUSD || 0;
       if (gRow.gdpYear) summary.gdpYears.add(gRow.gdpYear);
     }
     
-    const pRow = populationTable?.get(iso);  // Look up population data
+    const pRow = popRowFor(iso);  // Look up population data (as of the selected year)
     if (pRow) {
       summary.popCount++;
       summary.population += pRow.population || 0;
@@ -652,6 +971,8 @@ function formatYearNote(set) {// set = Set of years
 // Displays continent summary in side panel
 function applyContinentSummary(summary, name) {// summary = Aggregated continent data, name = Continent name
   setTitle(name);// Set panel title to continent name
+  hideSpeciesPanel();// Species list belongs to a single country
+  drawSeriesChart(null);// Time series belong to a single country
   
   if (!summary.totalCountries) {// No countries case
     clearPanel();// Clear existing panel data
@@ -672,6 +993,8 @@ function applyContinentSummary(summary, name) {// summary = Aggregated continent
   } else {// No endemic data case
     applyEndemicResult({ status: 'empty' });// Show empty status
   }
+  drawTaxonBreakdown(summary.endemicCount ? summary.taxa : null, summary.totalEndemic);// Per-group bars for the whole continent
+  drawBiomeBreakdown(summary.endemicCount ? continentBiomeRows(summary.biomes) : null, 'Endemic species by dominant biome');
   
   // Display GDP data
   if (summary.gdpCount) {// If there is GDP data
@@ -700,21 +1023,38 @@ function applyContinentSummary(summary, name) {// summary = Aggregated continent
   countryLayer.classed('active', true);// Activate country layer for interaction
 }
 
-// Loads and displays country data
-async function hydrateCountryPanel(feature) {// feature = GeoJSON feature of selected country
-  const isoNumeric = parseInt(feature.id, 10);// Get ISO numeric code of country
-  if (!Number.isFinite(isoNumeric)) return;// Exit if invalid ISO code
-  
-  // Get best available name
-  const topoName = (feature.properties || {}).name || feature.properties?.admin ||// Get name from properties
-                   feature.properties?.sovereignt || feature.properties?.brk_name || '';// Fallback to various property names
-  const lbl = endemicTable?.get(isoNumeric)?.countryLabel // Get country label from endemic data
+// Finds the TopoJSON feature for an ISO numeric code (feature ids are zero-padded strings like "004")
+function findCountryFeature(isoNumeric) {// isoNumeric = ISO numeric code as a number
+  return countries.find(c => parseInt(c.id, 10) === isoNumeric);// undefined when the basemap has no such country
+}
+
+// Best available name for a country: Wikidata label, then TopoJSON name, then ISO code
+function countryLabelFor(isoNumeric, feature = findCountryFeature(isoNumeric)) {// isoNumeric = ISO numeric code, feature = optional GeoJSON feature
+  const props = feature?.properties || {};// TopoJSON properties (may be missing)
+  const topoName = props.name || props.admin || props.sovereignt || props.brk_name || '';// Fallback to various property names
+  return endemicTable?.get(isoNumeric)?.countryLabel // Get country label from endemic data
     || gdpTable?.get(isoNumeric)?.countryLabel// Get country label from GDP data
     || populationTable?.get(isoNumeric)?.countryLabel// Get country label from population data
     || topoName// Fallback to TopoJSON name
     || `ISO numeric ${isoNumeric}`;// Final fallback to ISO code
+}
+
+// GDP / population rows honouring the year selector (rowAsOf in data.js); null = no value for that year
+function gdpRowFor(isoNumeric) {// isoNumeric = ISO numeric code
+  return rowAsOf(gdpTable?.get(isoNumeric), gdpSeriesTable?.get(isoNumeric), state.year, 'gdpUSD', 'gdpYear');
+}
+
+function popRowFor(isoNumeric) {// isoNumeric = ISO numeric code
+  return rowAsOf(populationTable?.get(isoNumeric), popSeriesTable?.get(isoNumeric), state.year, 'population', 'popYear');
+}
+
+// Loads and displays country data
+async function hydrateCountryPanel(feature) {// feature = GeoJSON feature of selected country
+  const isoNumeric = parseInt(feature.id, 10);// Get ISO numeric code of country
+  if (!Number.isFinite(isoNumeric)) return;// Exit if invalid ISO code
   
-  setTitle(lbl);// Set panel title to country name
+  setTitle(countryLabelFor(isoNumeric, feature));// Set panel title to country name
+  drawBiomeBreakdown(countryBiomeRows(isoNumeric), 'Biome shares');// Static file, shown even when the tables failed
 
   // Handle errors
   if (preloadError) {// If there was a preload error
@@ -736,9 +1076,10 @@ async function hydrateCountryPanel(feature) {// feature = GeoJSON feature of sel
   } else {// No endemic data case
     applyEndemicResult({ status: 'empty' });// Show empty status
   }
+  drawTaxonBreakdown(endemicRow ? taxonTable?.get(isoNumeric) || {} : null, endemicRow?.totalEndemicSpecies || 0);// Per-group bars
 
   // Display GDP data
-  const gRow = gdpTable?.get(isoNumeric);// Get GDP data row for country
+  const gRow = gdpRowFor(isoNumeric);// Get GDP data row for country (as of the selected year)
   if (gRow) {// If GDP data exists
     applyGdpResult({ status: 'ok', gdpUSD: gRow.gdpUSD, gdpYear: gRow.gdpYear });// Show GDP summary
   } else {// No GDP data case
@@ -746,7 +1087,7 @@ async function hydrateCountryPanel(feature) {// feature = GeoJSON feature of sel
   }
 
   // Display population data
-  const pRow = populationTable?.get(isoNumeric);// Get population data row for country
+  const pRow = popRowFor(isoNumeric);// Get population data row for country (as of the selected year)
   if (pRow) {// If population data exists
     applyPopResult({ status: 'ok', population: pRow.population, popYear: pRow.popYear });// Show population summary
   } else {// No population data case
@@ -754,6 +1095,8 @@ async function hydrateCountryPanel(feature) {// feature = GeoJSON feature of sel
   }// No population data case
 
   setStatuses('', '', '');// Clear status messages
+  drawSeriesChart(isoNumeric);// GDP + population over time
+  loadSpeciesList(isoNumeric);// Species table fills in on its own (not awaited, so the panel shows immediately)
 }
 
 // ============ UPDATE D3 STYLING BASED ON STATE ============
@@ -774,7 +1117,785 @@ function updateCountryLayerState() {
   countryLayer.classed('active', active);  // Show countries only if continent selected
   countryLayer.selectAll('path')
     .classed('country-muted', d => active && continentByCountryId.get(d.id) !== state.continentName)  // Fade if in different continent
-    .classed('country-selected', d => state.countryId === parseInt(d.id, 10));  // Highlight if selected
+    .classed('country-selected', d => state.countryId === parseInt(d.id, 10))  // Highlight if selected
+    .classed('country-pinned', d => state.pinned.includes(parseInt(d.id, 10)));  // Outline if pinned for comparison
+  updateKeyboardNav();  // Tab order and labels follow the selection
+  renderRankingTable();  // Scope (world / continent) and selected row follow it too
+}
+
+// ============ CHOROPLETH MODE ============
+// Colours the country paths by any loaded metric instead of the dominant biome.
+// Each metric reads from getCountryFigures(), so new metrics only need one entry here.
+const fmtPct = d3.format('.1%');  // Percent formatter (threatened fraction)
+const fmtDec = d3.format(',.1f');  // One-decimal formatter (per-million rates)
+const fmtShare = d3.format('.0%');  // Whole-percent formatter (biome shares)
+const METRICS = [
+  { id: 'biome', label: 'Dominant biome' },  // Default: biome colours from data/biomes.json
+  { id: 'totalEndemic', label: 'Total endemic species', value: f => f.totalEndemic, format: fmtInt, taxon: true },
+  { id: 'threatened', label: 'Threatened endemic species', value: f => f.threatened, format: fmtInt, taxon: true },
+  { id: 'fraction', label: 'Threatened fraction', value: f => f.fraction, format: fmtPct, taxon: true },
+  { id: 'gdp', label: 'GDP (USD)', value: f => f.gdpUSD, format: v => `${fmtMoney(v)} USD` },
+  { id: 'population', label: 'Population', value: f => f.population, format: fmtInt },
+  { id: 'gdpPerCapita', label: 'GDP per capita (USD)', value: f => f.gdpPerCapita, format: v => `${fmtInt(Math.round(v))} USD` },
+  { id: 'endemicPerMillion', label: 'Endemic species per million people', value: f => f.endemicPerMillion, format: fmtDec, taxon: true }
+];  // taxon: true = the metric follows the taxonomic group filter
+const METRIC_BY_ID = new Map(METRICS.map(m => [m.id, m]));  // Fast lookup: metric id → metric
+const CHOROPLETH_INTERPOLATOR = d3.interpolateYlGn;  // Sequential palette that fits the green theme
+const QUANTILE_CLASSES = 5;  // Number of colour classes in quantile mode
+
+// Collects every figure we know about one country (raw + derived); missing values are null.
+// groupId limits the endemic figures to one taxonomic group (null = all taxa).
+function getCountryFigures(iso, groupId = null) {
+  const counts = endemicCountsFor(endemicTable?.get(iso), taxonTable?.get(iso), groupId);
+  const g = gdpRowFor(iso);
+  const p = popRowFor(iso);
+  const totalEndemic = counts ? counts.total : null;
+  const threatened = counts ? counts.threatened : null;
+  const gdpUSD = g && g.gdpUSD > 0 ? g.gdpUSD : null;
+  const population = p && p.population > 0 ? p.population : null;
+  return {
+    totalEndemic,
+    threatened,
+    fraction: totalEndemic ? threatened / totalEndemic : null,  // Undefined when there are no endemic species
+    gdpUSD,
+    population,
+    gdpPerCapita: gdpUSD !== null && population !== null ? gdpUSD / population : null,
+    endemicPerMillion: totalEndemic !== null && population !== null ? totalEndemic / (population / 1e6) : null
+  };
+}
+
+// Metric label plus the active taxonomic group, e.g. "Threatened fraction (Amphibians)"
+function metricTitle(metric) {
+  const group = TAXON_GROUPS.find(g => g.id === state.taxonGroup);
+  return metric.taxon && group ? `${metric.label} (${group.label})` : metric.label;
+}
+
+// Returns the active metric's value for a feature (null = no data)
+function metricValueFor(metric, feature) {
+  const iso = parseInt(feature.id, 10);
+  if (!Number.isFinite(iso)) return null;
+  const v = metric.value(getCountryFigures(iso, state.taxonGroup));
+  return Number.isFinite(v) ? v : null;
+}
+
+// Builds the colour scale for the chosen classification (linear, log or quantile)
+function buildChoroplethScale(values, type) {
+  if (type === 'quantile') {
+    return d3.scaleQuantile()
+      .domain(values)
+      .range(d3.quantize(CHOROPLETH_INTERPOLATOR, QUANTILE_CLASSES));
+  }
+  if (type === 'log') {
+    const positive = values.filter(v => v > 0);  // log(0) is undefined; zeros take the lowest colour
+    const [lo, hi] = d3.extent(positive);
+    return d3.scaleSequentialLog(CHOROPLETH_INTERPOLATOR).domain([lo || 1, hi > lo ? hi : (lo || 1) * 10]).clamp(true);
+  }
+  const [lo, hi] = d3.extent(values);
+  return d3.scaleSequential(CHOROPLETH_INTERPOLATOR).domain([lo, hi > lo ? hi : lo + 1]);
+}
+
+// Recolours the country layer for the active metric (or restores biome colours)
+function applyChoropleth() {
+  if (!countryLayer) return;
+  const metric = METRIC_BY_ID.get(state.metric);
+  const paths = countryLayer.selectAll('path');
+  const biomeMode = !metric || !metric.value || !endemicTable;  // Biome mode, or tables not loaded yet
+
+  d3.select('.biome-legend').style('display', biomeMode ? null : 'none');
+  if (biomeMode) {
+    paths.style('fill', biomeFill).classed('country-nodata', false);
+    drawChoroplethLegend(null);
+    return;
+  }
+
+  const values = countries.map(f => metricValueFor(metric, f)).filter(v => v !== null);
+  if (!values.length) {
+    paths.style('fill', 'url(#nodata-hatch)').classed('country-nodata', true);
+    drawChoroplethLegend(null);
+    return;
+  }
+  const scale = buildChoroplethScale(values, state.scaleType);
+  paths
+    .style('fill', d => {
+      const v = metricValueFor(metric, d);
+      if (v === null) return 'url(#nodata-hatch)';
+      return scale(state.scaleType === 'log' && v <= 0 ? scale.domain()[0] : v);
+    })
+    .classed('country-nodata', d => metricValueFor(metric, d) === null);
+  drawChoroplethLegend(metric, scale, state.scaleType);
+}
+
+// Draws the colour legend: a gradient bar (linear/log) or class swatches (quantile), plus the no-data swatch
+function drawChoroplethLegend(metric, scale, type) {
+  const box = d3.select('#choroplethLegend');
+  box.selectAll('*').remove();
+  box.style('display', metric ? null : 'none');
+  if (!metric) return;
+
+  const width = 180;  // Bar width in px
+  const pad = 12;  // Side padding so end labels are not clipped
+  box.append('h4').text(metricTitle(metric));
+  const svgL = box.append('svg').attr('width', width + pad * 2).attr('height', 34);
+  const bar = svgL.append('g').attr('transform', `translate(${pad},0)`);
+  let axisScale;
+
+  if (type === 'quantile') {
+    const colors = scale.range();
+    const step = width / colors.length;
+    bar.selectAll('rect').data(colors).join('rect')
+      .attr('x', (d, i) => i * step).attr('width', step).attr('height', 10)
+      .attr('fill', d => d);
+    // Ticks sit on the class boundaries: min, quantile thresholds, max
+    const bounds = [d3.min(scale.domain()), ...scale.quantiles(), d3.max(scale.domain())];
+    axisScale = d3.scalePoint().domain(d3.range(bounds.length)).range([0, width]);
+    bar.append('g').attr('transform', 'translate(0,10)')
+      .call(d3.axisBottom(axisScale).tickSize(4).tickFormat(i => (i % 2 === 0 ? metric.format(bounds[i]) : '')));
+  } else {
+    axisScale = (type === 'log' ? d3.scaleLog() : d3.scaleLinear()).domain(scale.domain()).range([0, width]);
+    const gradient = svgL.append('defs').append('linearGradient').attr('id', 'choroplethGradient');
+    gradient.selectAll('stop').data(d3.range(0, 1.0001, 0.1)).join('stop')
+      .attr('offset', t => `${t * 100}%`)
+      .attr('stop-color', t => scale(axisScale.invert(t * width)));
+    bar.append('rect').attr('width', width).attr('height', 10).attr('fill', 'url(#choroplethGradient)');
+    const [d0, d1] = scale.domain();
+    const ticks = [d0, axisScale.invert(width / 2), d1];  // Start, middle, end keeps labels readable
+    bar.append('g').attr('transform', 'translate(0,10)')
+      .call(d3.axisBottom(axisScale).tickValues(ticks).tickSize(4).tickFormat(metric.format));
+  }
+  svgL.selectAll('.tick text').attr('fill', 'var(--muted)').style('font-size', '9px');
+  svgL.selectAll('.domain, .tick line').attr('stroke', 'var(--muted)');
+
+  const noData = box.append('div').attr('class', 'biome-item');
+  noData.append('div').attr('class', 'biome-color nodata-swatch');
+  noData.append('span').text('No data');
+}
+
+// Tooltip suffix with the active metric's value (the dominant biome and its share in biome mode)
+function metricTooltipText(feature) {
+  const metric = METRIC_BY_ID.get(state.metric);
+  if (!metric?.value || !endemicTable) {
+    const biome = dominantBiome(biomeTable, feature.id);
+    return biome ? ` · ${biome.short || biome.label} (${fmtShare(biome.share)})` : '';
+  }
+  const v = metricValueFor(metric, feature);
+  return ` · ${metricTitle(metric)}: ${v === null ? 'no data' : metric.format(v)}`;
+}
+
+// Metric + classification dropdowns in the map toolbar
+function setupChoroplethControls() {
+  const metricSelect = document.getElementById('metricSelect');
+  const scaleSelect = document.getElementById('scaleSelect');
+  const groupSelect = document.getElementById('groupSelect');
+  if (!metricSelect || !scaleSelect) return;
+  d3.select(metricSelect).selectAll('option')
+    .data(METRICS).join('option')
+    .attr('value', d => d.id)
+    .text(d => d.label);
+  metricSelect.value = state.metric;
+  if (groupSelect) {
+    d3.select(groupSelect).selectAll('option')
+      .data([{ id: '', label: 'All taxa' }, ...TAXON_GROUPS]).join('option')
+      .attr('value', d => d.id)
+      .text(d => d.label);
+    groupSelect.value = state.taxonGroup || '';
+    groupSelect.addEventListener('change', () => {
+      state.taxonGroup = groupSelect.value || null;
+      applyChoropleth();
+      renderRankingTable();
+      syncUrlState();
+    });
+  }
+  scaleSelect.value = state.scaleType;
+  scaleSelect.disabled = state.metric === 'biome';
+
+  metricSelect.addEventListener('change', async () => {
+    state.metric = metricSelect.value;
+    scaleSelect.disabled = state.metric === 'biome';
+    if (state.metric !== 'biome') {
+      try {
+        await ensureDataReady();  // Instant once tables are loaded
+      } catch (err) {
+        console.error(err);
+        dataContextEl.textContent = 'Unable to load data for the choropleth right now.';
+      }
+    }
+    applyChoropleth();
+    syncUrlState();
+  });
+  scaleSelect.addEventListener('change', () => {
+    state.scaleType = scaleSelect.value;
+    applyChoropleth();
+    syncUrlState();
+  });
+}
+
+// ============ RANKING TABLE ============
+// Every country of the world (or of the selected continent) with the choropleth figures side by side.
+// Values come from METRICS, so the year selector and the taxonomic group apply here too.
+const RANKING_COLUMNS = [  // Sortable figures: METRICS id + short header (the full title is the tooltip)
+  { key: 'totalEndemic', label: 'Endemic' },
+  { key: 'threatened', label: 'Threatened' },
+  { key: 'fraction', label: 'Thr. fraction' },
+  { key: 'endemicPerMillion', label: 'Endemic / M people' },
+  { key: 'gdp', label: 'GDP' },
+  { key: 'population', label: 'Population' },
+  { key: 'gdpPerCapita', label: 'GDP / capita' }
+];
+const rankingView = { sortKey: 'totalEndemic', sortDir: -1, renderedKey: null };  // Column, direction (-1 = largest first), what the table shows
+
+// One row per country in scope that appears in any of the three tables
+function buildRankingRows() {
+  if (!endemicTable) return [];
+  const inTables = new Set([...endemicTable.keys(), ...gdpTable.keys(), ...populationTable.keys()]);
+  const isoList = state.continentName
+    ? (countriesByContinent.get(state.continentName) || []).map(f => parseInt(f.id, 10)).filter(iso => inTables.has(iso))
+    : [...inTables];
+  return isoList.map(iso => {
+    const feature = findCountryFeature(iso);
+    const figures = getCountryFigures(iso, state.taxonGroup);
+    const values = {};
+    for (const { key } of RANKING_COLUMNS) {
+      const v = METRIC_BY_ID.get(key).value(figures);
+      values[key] = Number.isFinite(v) ? v : null;
+    }
+    return { iso, feature, label: countryLabelFor(iso, feature), values };
+  });
+}
+
+// Sorted copy: missing values always sink to the bottom, ties fall back to the country name
+function sortRankingRows(rows, sortKey = rankingView.sortKey, sortDir = rankingView.sortDir) {
+  const valueOf = row => (sortKey === 'label' ? row.label : row.values[sortKey]);
+  return rows.slice().sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    if (va === null || vb === null) return (va === null) - (vb === null) || a.label.localeCompare(b.label);
+    const cmp = sortKey === 'label' ? va.localeCompare(vb) : va - vb;
+    return cmp * sortDir || a.label.localeCompare(b.label);
+  });
+}
+
+// Outlines one country path while its row is hovered (null clears)
+function highlightCountry(iso) {
+  countryLayer?.selectAll('path').classed('country-highlight', d => iso !== null && parseInt(d.id, 10) === iso);
+}
+
+// Row click: select the country and its continent in one step (one history entry, zoom to the country)
+async function openRankingRow(row) {
+  if (!row.feature) return;  // Not on the basemap (small islands at 110m)
+  await selectCountry(row.feature);
+}
+
+// Everything the rows and their order depend on; the selected country is not part of it
+function rankingRenderKey() {
+  const { sortKey, sortDir } = rankingView;
+  return JSON.stringify([countries.length, state.regionScheme, state.continentName, state.taxonGroup, state.year, sortKey, sortDir, dataFetchedAt, Boolean(endemicTable)]);
+}
+
+// Called on every map update: rebuilds the table only when its rows or order changed, then marks the selected row
+function renderRankingTable() {
+  const table = d3.select('#rankingTable');
+  if (table.empty()) return;
+  const key = rankingRenderKey();
+  if (key !== rankingView.renderedKey) {
+    rankingView.renderedKey = key;
+    drawRankingTable(table);
+  }
+  table.selectAll('tbody tr').classed('ranking-selected', row => Boolean(row.feature) && state.countryId === row.iso);
+}
+
+function drawRankingTable(table) {
+  const scope = state.continentName || 'World';
+  const rows = sortRankingRows(buildRankingRows());
+  d3.select('#rankingTitle').text(`Country ranking · ${scope}`);
+  d3.select('#rankingStatus').text(endemicTable ? `${fmtInt(rows.length)} countries · click a header to sort` : 'Loading tables…');
+
+  const { sortKey, sortDir } = rankingView;
+  const headers = [{ key: 'rank', label: '#' }, { key: 'label', label: 'Country' }, ...RANKING_COLUMNS];
+  table.selectAll('*').remove();
+  if (!rows.length) return;
+  table.append('thead').append('tr')
+    .selectAll('th')
+    .data(headers)
+    .join('th')
+    .attr('class', c => (c.key === 'rank' ? 'num' : c.key === 'label' ? 'sortable' : 'sortable num'))
+    .attr('title', c => (METRIC_BY_ID.has(c.key) ? metricTitle(METRIC_BY_ID.get(c.key)) : null))
+    .attr('aria-sort', c => (c.key === 'rank' ? null : c.key === sortKey ? (sortDir > 0 ? 'ascending' : 'descending') : 'none'))
+    .text(c => c.label + (c.key === sortKey ? (sortDir > 0 ? ' ▲' : ' ▼') : ''))
+    .on('click', (event, c) => {
+      if (c.key === 'rank') return;
+      rankingView.sortDir = c.key === rankingView.sortKey ? -rankingView.sortDir : (c.key === 'label' ? 1 : -1);
+      rankingView.sortKey = c.key;
+      renderRankingTable();
+    });
+
+  const tr = table.append('tbody').selectAll('tr')
+    .data(rows)
+    .join('tr')
+    .attr('class', row => (row.feature ? null : 'ranking-nomap'))
+    .attr('tabindex', row => (row.feature ? 0 : null))
+    .attr('title', row => (row.feature ? null : 'Not on the basemap'))
+    .on('mouseenter', (event, row) => highlightCountry(row.iso))
+    .on('mouseleave', () => highlightCountry(null))
+    .on('click', (event, row) => openRankingRow(row))
+    .on('keydown', (event, row) => {
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      openRankingRow(row);
+    });
+  const hasValue = row => sortKey === 'label' || row.values[sortKey] !== null;
+  tr.append('td').attr('class', 'num').text((row, i) => (hasValue(row) ? i + 1 : '—'));  // Rank in the current order
+  tr.append('td').text(row => row.label);
+  for (const { key } of RANKING_COLUMNS) {
+    const { format } = METRIC_BY_ID.get(key);
+    tr.append('td').attr('class', 'num').text(row => (row.values[key] === null ? '—' : format(row.values[key])));
+  }
+}
+
+// ============ SPECIES LIST DRILL-DOWN ============
+// When a country panel opens, its endemic species are fetched (once per country) with
+// buildSpeciesQuery() and shown as a sortable, filterable, paginated table.
+const SPECIES_PAGE_SIZE = 25;  // Rows per page
+const SPECIES_COLUMNS = [  // Table columns; statusRank sorts by IUCN severity
+  { key: 'label', label: 'Species' },
+  { key: 'taxonName', label: 'Taxon' },
+  { key: 'statusRank', label: 'IUCN' }
+];
+const speciesCache = new Map();  // ISO numeric → species array (kept for the session)
+const speciesView = { iso: null, rows: [], sortKey: 'statusRank', sortDir: -1, filter: '', page: 0 };  // What the table shows
+
+// Fetches (or reuses) a country's species list and renders it; ignores late answers for other countries
+async function loadSpeciesList(isoNumeric) {
+  Object.assign(speciesView, { iso: isoNumeric, rows: [], filter: '', page: 0 });
+  const filterInput = document.getElementById('speciesFilter');
+  if (filterInput) filterInput.value = '';
+  d3.select('#speciesPanel').style('display', null);
+  d3.select('#speciesTable').selectAll('*').remove();
+  setSpeciesStatus('Loading endemic species…');
+
+  try {
+    let list = speciesCache.get(isoNumeric);
+    if (!list) {
+      const isoNum = endemicTable?.get(isoNumeric)?.isoNum || isoNumeric;  // Wikidata's zero-padded string when known
+      const json = await runSparqlGETWithRetry(buildSpeciesQuery(isoNum), { timeoutMs: 30000 });  // Long lists take a while
+      list = buildSpeciesList(json);
+      speciesCache.set(isoNumeric, list);
+    }
+    if (speciesView.iso !== isoNumeric) return;  // User already moved on to another country
+    speciesView.rows = list;
+    renderSpeciesTable();
+  } catch (err) {
+    console.error(err);
+    if (speciesView.iso === isoNumeric) setSpeciesStatus('Species list unavailable: request failed.', true);
+  }
+}
+
+// Hides the species section (continent view / reset)
+function hideSpeciesPanel() {
+  speciesView.iso = null;
+  d3.select('#speciesPanel').style('display', 'none');
+}
+
+// Status line under the species heading
+function setSpeciesStatus(text, isError = false) {
+  const el = document.getElementById('speciesStatus');
+  if (!el) return;
+  el.textContent = text;
+  el.classList.toggle('err', isError);
+}
+
+// Applies filter → sort → page and redraws the table + pager
+function renderSpeciesTable() {
+  const needle = speciesView.filter.trim().toLowerCase();
+  const filtered = speciesView.rows.filter(sp => !needle
+    || sp.label.toLowerCase().includes(needle)
+    || sp.taxonName.toLowerCase().includes(needle)
+    || sp.status.toLowerCase() === needle);
+  const { sortKey, sortDir } = speciesView;
+  filtered.sort((a, b) => {
+    const cmp = sortKey === 'statusRank' ? a.statusRank - b.statusRank : a[sortKey].localeCompare(b[sortKey]);
+    return cmp * sortDir || a.label.localeCompare(b.label);  // Ties fall back to the species name
+  });
+
+  const pageCount = Math.max(1, Math.ceil(filtered.length / SPECIES_PAGE_SIZE));
+  speciesView.page = Math.min(speciesView.page, pageCount - 1);
+  const start = speciesView.page * SPECIES_PAGE_SIZE;
+  const pageRows = filtered.slice(start, start + SPECIES_PAGE_SIZE);
+
+  if (!speciesView.rows.length) setSpeciesStatus('No endemic species listed in Wikidata.');
+  else if (!filtered.length) setSpeciesStatus(`No species match "${speciesView.filter}".`);
+  else setSpeciesStatus(`${fmtInt(filtered.length)} species · showing ${fmtInt(start + 1)}–${fmtInt(start + pageRows.length)}`);
+
+  const table = d3.select('#speciesTable');
+  table.selectAll('*').remove();
+  if (pageRows.length) {
+    table.append('thead').append('tr')
+      .selectAll('th')
+      .data(SPECIES_COLUMNS)
+      .join('th')
+      .attr('class', 'sortable')
+      .attr('aria-sort', c => (c.key === sortKey ? (sortDir > 0 ? 'ascending' : 'descending') : 'none'))
+      .text(c => c.label + (c.key === sortKey ? (sortDir > 0 ? ' ▲' : ' ▼') : ''))
+      .on('click', (event, c) => {
+        speciesView.sortDir = c.key === speciesView.sortKey ? -speciesView.sortDir : (c.key === 'statusRank' ? -1 : 1);
+        speciesView.sortKey = c.key;
+        renderSpeciesTable();
+      });
+    const tr = table.append('tbody').selectAll('tr').data(pageRows).join('tr');
+    tr.append('td').append('a')
+      .attr('href', sp => `https://www.wikidata.org/wiki/${sp.qid}`)
+      .attr('target', '_blank')
+      .attr('rel', 'noopener')
+      .text(sp => sp.label);
+    tr.append('td').attr('class', 'taxon').text(sp => sp.taxonName);
+    tr.append('td').attr('title', sp => sp.statusLabel).text(sp => sp.status || '—');
+  }
+
+  document.getElementById('speciesPage').textContent = `Page ${speciesView.page + 1} of ${pageCount}`;
+  document.getElementById('speciesPrev').disabled = speciesView.page === 0;
+  document.getElementById('speciesNext').disabled = speciesView.page >= pageCount - 1;
+}
+
+// Filter box and pager buttons
+function setupSpeciesControls() {
+  document.getElementById('speciesFilter')?.addEventListener('input', (event) => {
+    speciesView.filter = event.target.value;
+    speciesView.page = 0;
+    renderSpeciesTable();
+  });
+  document.getElementById('speciesPrev')?.addEventListener('click', () => { speciesView.page--; renderSpeciesTable(); });
+  document.getElementById('speciesNext')?.addEventListener('click', () => { speciesView.page++; renderSpeciesTable(); });
+}
+
+// ============ YEAR SELECTOR & TIME SERIES ============
+// The full dated GDP / population series (gdpSeriesTable, popSeriesTable) drive a line chart in the
+// country panel, and the year selector makes every GDP / population figure use its value as of that year.
+const SERIES_MIN_YEAR = 1960;  // Older statements are too sparse to be worth offering
+
+// Fills #yearSelect with "Latest" + every year present in the series tables
+function populateYearSelect() {
+  const select = document.getElementById('yearSelect');
+  if (!select) return;
+  const years = seriesYears(gdpSeriesTable, popSeriesTable).filter(y => y >= SERIES_MIN_YEAR);
+  if (state.year !== null && !years.includes(state.year)) years.unshift(state.year);  // Keep a bookmarked year selectable
+  d3.select(select).selectAll('option')
+    .data([{ value: '', label: 'Latest' }, ...years.map(y => ({ value: String(y), label: String(y) }))])
+    .join('option')
+    .attr('value', d => d.value)
+    .text(d => d.label);
+  select.value = state.year === null ? '' : String(state.year);
+}
+
+function setupYearControls() {
+  const select = document.getElementById('yearSelect');
+  if (!select) return;
+  populateYearSelect();
+  select.addEventListener('change', async () => {
+    const year = parseInt(select.value, 10);
+    state.year = Number.isFinite(year) ? year : null;
+    try {
+      await ensureDataReady();
+    } catch (err) {
+      console.error(err);
+      return;
+    }
+    applyChoropleth();
+    renderComparePanel();
+    renderRankingTable();
+    refreshOpenPanel();
+    syncUrlState();
+  });
+}
+
+// Two small line charts (GDP, population) for one country; null hides the section
+function drawSeriesChart(isoNumeric) {
+  const box = d3.select('#seriesPanel');
+  const cont = d3.select('#seriesChart');
+  cont.selectAll('*').remove();
+  const gdp = isoNumeric === null ? [] : gdpSeriesTable?.get(isoNumeric) || [];
+  const pop = isoNumeric === null ? [] : popSeriesTable?.get(isoNumeric) || [];
+  if (isoNumeric === null) {
+    box.style('display', 'none');
+    return;
+  }
+  box.style('display', null);
+  if (!gdp.length && !pop.length) {
+    cont.append('div').attr('class', 'small').text('No dated GDP or population statements on Wikidata.');
+    return;
+  }
+
+  const all = [...gdp, ...pop];
+  const x = d3.scaleLinear()  // Shared year axis so both lines line up
+    .domain(d3.extent(all, d => d.year))
+    .range([44, 270]);
+  const series = [
+    { label: 'GDP (USD)', points: gdp, color: '#f6c177' },
+    { label: 'Population', points: pop, color: '#58BB43' }
+  ].filter(s => s.points.length);
+
+  series.forEach(s => {
+    const width = 280;
+    const height = 92;
+    const y = d3.scaleLinear()
+      .domain([0, d3.max(s.points, d => d.value)]).nice()
+      .range([height - 20, 14]);
+    const svgS = cont.append('svg').attr('width', width).attr('height', height).attr('class', 'series-chart');
+    svgS.append('text').attr('x', 44).attr('y', 10).attr('class', 'series-label').text(s.label);
+    svgS.append('g')
+      .attr('transform', `translate(0,${height - 20})`)
+      .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format('d')));
+    svgS.append('g')
+      .attr('transform', 'translate(44,0)')
+      .call(d3.axisLeft(y).ticks(3).tickFormat(fmtMoney));
+    svgS.append('path')
+      .datum(s.points)
+      .attr('fill', 'none')
+      .attr('stroke', s.color)
+      .attr('stroke-width', 2)
+      .attr('d', d3.line().x(d => x(d.year)).y(d => y(d.value)));
+    svgS.selectAll('circle')  // Dots show where the statements actually are (series are often gappy)
+      .data(s.points)
+      .join('circle')
+      .attr('cx', d => x(d.year))
+      .attr('cy', d => y(d.value))
+      .attr('r', 2)
+      .attr('fill', s.color)
+      .append('title')
+      .text(d => `${d.year}: ${fmtInt(Math.round(d.value))}`);
+    if (state.year !== null) {  // Marker for the selected year
+      svgS.append('line')
+        .attr('class', 'series-year')
+        .attr('x1', x(state.year)).attr('x2', x(state.year))
+        .attr('y1', 14).attr('y2', height - 20);
+    }
+  });
+}
+
+// ============ COUNTRY COMPARISON ============
+// Shift+click pins up to MAX_PINNED countries; with two or more pinned, the sidebar shows their
+// figures side by side plus grouped IUCN bars (NT/VU/EN/CR straight from buildEndemicMap).
+const MAX_PINNED = 5;  // Upper limit keeps the grouped bars readable in the sidebar
+const PIN_COLORS = ['#9BE931', '#f6c177', '#6fb1ff', '#ff9aa2', '#c9a0ff'];  // One colour per pinned slot
+const IUCN_GROUPS = [  // Bar groups and the endemic-table field each one reads
+  { key: 'nearThreatenedEndemicSpecies', label: 'NT' },
+  { key: 'vulnerableEndemicSpecies', label: 'VU' },
+  { key: 'endangeredEndemicSpecies', label: 'EN' },
+  { key: 'criticallyEndangeredEndemicSpecies', label: 'CR' }
+];
+
+// Pins or unpins a country (shift+click on a country path)
+function togglePinnedCountry(feature) {
+  const iso = parseInt(feature?.id, 10);
+  if (!Number.isFinite(iso)) return;
+  const idx = state.pinned.indexOf(iso);
+  if (idx >= 0) {
+    state.pinned.splice(idx, 1);
+  } else if (state.pinned.length >= MAX_PINNED) {
+    setCompareHint(`You can compare at most ${MAX_PINNED} countries. Unpin one first.`);
+    return;
+  } else {
+    state.pinned.push(iso);
+  }
+  updateCountryLayerState();
+  renderComparePanel();
+  syncUrlState();
+}
+
+// Short message under the comparison heading
+function setCompareHint(text) {
+  const hint = document.getElementById('compareHint');
+  if (hint) hint.textContent = text;
+}
+
+// Redraws chips, table and bars for the pinned countries
+function renderComparePanel() {
+  const panel = d3.select('#comparePanel');
+  if (panel.empty()) return;
+  panel.style('display', state.pinned.length ? null : 'none');
+  setCompareHint(state.pinned.length < 2
+    ? 'Shift+click another country to compare (up to 5).'
+    : `Comparing ${state.pinned.length} countries. Shift+click a pinned country to remove it.`);
+
+  const rows = state.pinned.map((iso, i) => ({
+    iso,
+    label: countryLabelFor(iso),
+    color: PIN_COLORS[i],
+    figures: getCountryFigures(iso),
+    endemic: endemicTable?.get(iso) || null
+  }));
+
+  // Chips: one per pinned country, click to unpin
+  d3.select('#compareChips').selectAll('button')
+    .data(rows, d => d.iso)
+    .join('button')
+    .attr('class', 'compare-chip')
+    .attr('type', 'button')
+    .attr('title', 'Unpin')
+    .style('border-color', d => d.color)
+    .text(d => `${d.label} ×`)
+    .on('click', (event, d) => {
+      state.pinned = state.pinned.filter(iso => iso !== d.iso);
+      updateCountryLayerState();
+      renderComparePanel();
+      syncUrlState();
+    });
+
+  const table = d3.select('#compareTable');
+  const bars = d3.select('#compareBars');
+  table.selectAll('*').remove();
+  bars.selectAll('*').remove();
+  if (rows.length < 2) return;
+
+  // Side-by-side table: metrics down, countries across
+  const fields = [
+    { label: 'Total endemic', value: f => f.totalEndemic, format: fmtInt },
+    { label: 'Threatened endemic', value: f => f.threatened, format: fmtInt },
+    { label: 'Threatened fraction', value: f => f.fraction, format: fmtPct },
+    { label: 'GDP', value: f => f.gdpUSD, format: v => `${fmtMoney(v)} USD` },
+    { label: 'Population', value: f => f.population, format: fmtInt }
+  ];
+  const head = table.append('thead').append('tr');
+  head.append('th').text('');
+  head.selectAll('th.country-col').data(rows).join('th')
+    .attr('class', 'country-col')
+    .style('color', d => d.color)
+    .text(d => d.label);
+  const body = table.append('tbody');
+  fields.forEach(field => {
+    const tr = body.append('tr');
+    tr.append('th').text(field.label);
+    tr.selectAll('td').data(rows).join('td')
+      .text(d => {
+        const v = field.value(d.figures);
+        return v === null || v === undefined ? '—' : field.format(v);
+      });
+  });
+
+  drawCompareBars(bars, rows);
+}
+
+// Grouped bars: one group per IUCN category, one bar per pinned country
+function drawCompareBars(container, rows) {
+  const width = 280;
+  const height = 170;
+  const margin = { top: 8, right: 6, bottom: 22, left: 40 };
+  const svgB = container.append('svg').attr('width', width).attr('height', height);
+
+  const x0 = d3.scaleBand().domain(IUCN_GROUPS.map(g => g.label)).range([margin.left, width - margin.right]).padding(0.2);
+  const x1 = d3.scaleBand().domain(rows.map(r => r.iso)).range([0, x0.bandwidth()]).padding(0.08);
+  const maxVal = d3.max(rows, r => d3.max(IUCN_GROUPS, g => r.endemic?.[g.key] || 0)) || 1;
+  const y = d3.scaleLinear().domain([0, maxVal]).nice().range([height - margin.bottom, margin.top]);
+
+  svgB.append('g')
+    .selectAll('g')
+    .data(IUCN_GROUPS)
+    .join('g')
+    .attr('transform', g => `translate(${x0(g.label)},0)`)
+    .selectAll('rect')
+    .data(g => rows.map(r => ({ row: r, value: r.endemic?.[g.key] || 0, group: g.label })))
+    .join('rect')
+    .attr('x', d => x1(d.row.iso))
+    .attr('y', d => y(d.value))
+    .attr('width', x1.bandwidth())
+    .attr('height', d => y(0) - y(d.value))
+    .attr('fill', d => d.row.color)
+    .append('title')
+    .text(d => `${d.row.label} · ${d.group}: ${fmtInt(d.value)}`);
+
+  svgB.append('g')
+    .attr('transform', `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x0).tickSize(0))
+    .call(g => g.selectAll('text').attr('fill', 'var(--muted)'))
+    .call(g => g.select('.domain').attr('stroke', '#275c32'));
+  svgB.append('g')
+    .attr('transform', `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('~s')))
+    .call(g => g.selectAll('text').attr('fill', 'var(--muted)'))
+    .call(g => g.selectAll('line,path').attr('stroke', '#275c32'));
+}
+
+// Clear button + initial (hidden) state
+function setupComparePanel() {
+  document.getElementById('compareClear')?.addEventListener('click', () => {
+    state.pinned = [];
+    updateCountryLayerState();
+    renderComparePanel();
+    syncUrlState();
+  });
+  renderComparePanel();
+}
+
+// ============ DATA EXPORT ============
+// "Export data" in the sidebar: the joined endemic/GDP/population tables as CSV or JSON,
+// for the selected continent or the whole world.
+const MAP_EXPORT_COLUMNS = [
+  'isoNumeric', 'iso3', 'countryLabel', 'continent',
+  'totalEndemicSpecies', 'nearThreatenedEndemicSpecies', 'vulnerableEndemicSpecies',
+  'endangeredEndemicSpecies', 'criticallyEndangeredEndemicSpecies', 'threatenedEndemicSpecies', 'threatenedFraction',
+  'gdpUSD', 'gdpYear', 'population', 'popYear', 'dominantBiome', 'dominantBiomeShare'
+];
+
+// Joins the three tables into one flat row per country (optionally limited to one continent)
+function buildMapExportRows(continentName) {
+  const isoSet = new Set([...endemicTable.keys(), ...gdpTable.keys(), ...populationTable.keys()]);
+  const rows = [];
+  isoSet.forEach(iso => {
+    const feature = findCountryFeature(iso);
+    const continent = feature ? continentByCountryId.get(feature.id) : '';
+    if (continentName && continent !== continentName) return;
+    const e = endemicTable.get(iso);
+    const g = gdpRowFor(iso);
+    const p = popRowFor(iso);
+    const figures = getCountryFigures(iso);
+    const biome = dominantBiome(biomeTable, iso);
+    rows.push({
+      isoNumeric: iso,
+      iso3: iso3ForIsoNum(iso, endemicTable, gdpTable, populationTable),
+      countryLabel: countryLabelFor(iso, feature),
+      continent: continent || '',
+      totalEndemicSpecies: e?.totalEndemicSpecies ?? null,
+      nearThreatenedEndemicSpecies: e?.nearThreatenedEndemicSpecies ?? null,
+      vulnerableEndemicSpecies: e?.vulnerableEndemicSpecies ?? null,
+      endangeredEndemicSpecies: e?.endangeredEndemicSpecies ?? null,
+      criticallyEndangeredEndemicSpecies: e?.criticallyEndangeredEndemicSpecies ?? null,
+      threatenedEndemicSpecies: figures.threatened,
+      threatenedFraction: figures.fraction,
+      gdpUSD: figures.gdpUSD,
+      gdpYear: g?.gdpYear || '',
+      population: figures.population,
+      popYear: p?.popYear || '',
+      dominantBiome: biome ? biome.short || biome.label : '',
+      dominantBiomeShare: biome ? biome.share : null
+    });
+  });
+  return rows.sort((a, b) => a.countryLabel.localeCompare(b.countryLabel));
+}
+
+// Runs one export (format = 'csv' | 'json'); scope comes from the sidebar dropdown
+async function exportMapData(format) {
+  try {
+    await ensureDataReady();
+  } catch (err) {
+    console.error(err);
+    dataContextEl.textContent = 'Unable to export: the data tables could not be loaded.';
+    return;
+  }
+  const scopeSelect = document.getElementById('exportScope');
+  const continentName = scopeSelect?.value === 'continent' ? state.continentName : null;  // No continent selected → world
+  const slug = continentName ? continentName.toLowerCase().replace(/\s+/g, '-') : 'world';
+  exportRows({
+    rows: buildMapExportRows(continentName),
+    columns: MAP_EXPORT_COLUMNS,
+    format,
+    baseName: `endemic-economy-${slug}`,
+    fetchedAt: dataFetchedAt,
+    meta: { scope: continentName || 'World' }
+  });
+}
+
+// Export buttons in the sidebar
+function setupExportControls() {
+  document.getElementById('exportCsv')?.addEventListener('click', () => exportMapData('csv'));
+  document.getElementById('exportJson')?.addEventListener('click', () => exportMapData('json'));
 }
 
 // ============ ZOOM & NAVIGATION ============
@@ -783,7 +1904,16 @@ function zoomToFeature(feature) {
   if (!feature || !path) return;
   
   // Step 1: Calculate bounding box of the feature
+  // On the globe, the feature is first turned to face the viewer, so it is measured at that rotation
+  let rotation = null;
+  if (state.projection === 'globe') {
+    const [lon, lat] = d3.geoCentroid(feature);
+    const turn = ((-lon - globeRotation[0] + 540) % 360) - 180;  // Shortest way round
+    rotation = [globeRotation[0] + turn, -lat];
+    projection.rotate(rotation);
+  }
   const [[x0, y0], [x1, y1]] = path.bounds(feature);  // Get pixel bounds
+  if (rotation) projection.rotate(globeRotation);
   const w = parseFloat(svg.attr('width')) || 800;
   const h = parseFloat(svg.attr('height')) || 500;
   
@@ -797,10 +1927,13 @@ function zoomToFeature(feature) {
   // Step 3: Calculate translation to center the feature
   const translate = [w / 2 - scale * x, h / 2 - scale * y];
   
-  // Step 4: Animate zoom transition over 850ms
-  svg.transition()
-    .duration(850)
-    .call(zoomBehavior.transform, d3.zoomIdentity.translate(translate[0], translate[1]).scale(scale));
+  // Step 4: Animate zoom transition over 850ms (turning the globe at the same time)
+  const transition = svg.transition().duration(850);
+  if (rotation) {
+    const turnTo = d3.interpolate(globeRotation, rotation);
+    transition.tween('rotate', () => t => rotateGlobe(turnTo(t)));
+  }
+  transition.call(zoomBehavior.transform, d3.zoomIdentity.translate(translate[0], translate[1]).scale(scale));
 }
 
 // Reset zoom back to world view
@@ -808,6 +1941,116 @@ function resetZoom() {
   svg.transition().duration(650).call(zoomBehavior.transform, d3.zoomIdentity);
 }
 
+// ============ COUNTRY SEARCH ============
+// Autocomplete over the country labels (Wikidata labels once the tables are loaded, TopoJSON names and
+// ISO alpha-3 codes before that). Choosing a result selects its continent and country in one step.
+const SEARCH_LIMIT = 8;  // Suggestions shown at once
+let searchResults = [];  // Current suggestions: [{ feature, label, continent }]
+let searchActive = -1;  // Index of the highlighted suggestion (-1 = none)
+
+// Lower case without accents, so "cote" finds "Côte d'Ivoire"
+function normalizeForSearch(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Countries whose label, basemap name or alpha-3 code matches the query: name prefixes first, then
+// word prefixes, then any substring. Features without an ISO id or a region cannot be selected and are skipped.
+function searchCountries(query, limit = SEARCH_LIMIT) {
+  const q = normalizeForSearch(query);
+  if (!q) return [];
+  const matches = [];
+  for (const feature of countries) {
+    const iso = parseInt(feature.id, 10);
+    const continent = continentByCountryId.get(feature.id);
+    if (!Number.isFinite(iso) || !continent || continent === 'Unassigned') continue;
+    const label = countryLabelFor(iso, feature);
+    const names = [label, feature.properties?.name, getCountryISO3(feature)].map(normalizeForSearch).filter(Boolean);
+    let rank = Infinity;
+    for (const name of names) {
+      if (name.startsWith(q)) rank = Math.min(rank, 0);
+      else if (name.split(/[\s\-'.()]+/).some(word => word.startsWith(q))) rank = Math.min(rank, 1);
+      else if (name.includes(q)) rank = Math.min(rank, 2);
+    }
+    if (rank < Infinity) matches.push({ feature, label, continent, rank });
+  }
+  return matches
+    .sort((a, b) => a.rank - b.rank || a.label.localeCompare(b.label))
+    .slice(0, limit);
+}
+
+// Selects a country from anywhere on the map: its continent and the country in state, zoom, panel
+async function selectCountry(feature) {
+  const contName = continentByCountryId.get(feature?.id);
+  if (!feature || !contName || contName === 'Unassigned' || inFlight) return;
+  await showCountry(feature, { zoom: true });
+}
+
+// Draws the suggestion list under the search box (ARIA combobox + listbox)
+function renderSearchResults() {
+  const input = document.getElementById('countrySearch');
+  const list = d3.select('#countrySearchList');
+  if (!input || list.empty()) return;
+  const open = searchResults.length > 0;
+  list.property('hidden', !open);
+  input.setAttribute('aria-expanded', String(open));
+  const items = list.selectAll('li')
+    .data(searchResults)
+    .join('li')
+    .attr('id', (d, i) => `countrySearchOption${i}`)
+    .attr('role', 'option')
+    .attr('aria-selected', (d, i) => String(i === searchActive))
+    .on('mousedown', event => event.preventDefault())  // Keep focus in the input until the click lands
+    .on('click', (event, d) => chooseSearchResult(d));
+  items.selectAll('*').remove();
+  items.append('span').text(d => d.label);
+  items.append('span').attr('class', 'small').text(d => d.continent);
+  if (searchActive >= 0) input.setAttribute('aria-activedescendant', `countrySearchOption${searchActive}`);
+  else input.removeAttribute('aria-activedescendant');
+}
+
+function closeSearchResults() {
+  searchResults = [];
+  searchActive = -1;
+  renderSearchResults();
+}
+
+function chooseSearchResult(result) {
+  const input = document.getElementById('countrySearch');
+  if (input) input.value = result.label;
+  closeSearchResults();
+  selectCountry(result.feature);
+}
+
+// Wires the search box in the map toolbar
+function setupCountrySearch() {
+  const input = document.getElementById('countrySearch');
+  if (!input) return;
+  input.addEventListener('input', () => {
+    searchResults = searchCountries(input.value);
+    searchActive = searchResults.length ? 0 : -1;
+    renderSearchResults();
+  });
+  input.addEventListener('keydown', event => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (!searchResults.length) return;
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      searchActive = (searchActive + step + searchResults.length) % searchResults.length;
+      renderSearchResults();
+    } else if (event.key === 'Enter') {
+      const result = searchResults[Math.max(searchActive, 0)];
+      if (!result) return;
+      chooseSearchResult(result);
+    } else if (event.key === 'Escape') {
+      if (!searchResults.length) return;
+      closeSearchResults();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+  input.addEventListener('blur', closeSearchResults);
+}
+
 // ============ "BACK" BUTTON & RESET ============
 // Clear selection and return to world overview
 function resetToContinents() {
@@ -822,6 +2065,130 @@ function resetToContinents() {
   toggleBackButton(false);  // Disable back button (we're at root)
   countryLayer?.classed('active', false);
   resetZoom();  // Zoom back to world view
+  announce('Back to continents.');
+  syncUrlState({ push: true });  // Back from here returns to the previous selection
+}
+
+// ============ URL STATE (BOOKMARKS & HISTORY) ============
+// The selection, choropleth metric and zoom live in the URL hash, e.g.
+//   map.html#continent=Africa&country=450&metric=gdp&scale=log&compare=450,174&zoom=2.4,0.1,-0.3
+//   map.html#projection=globe&rotate=-20.0,-5.0  (the globe also keeps its rotation)
+// Selections push a history entry (so back/forward step through them); metric and zoom changes
+// only replace the current entry. Zoom x/y are stored as fractions of the SVG size so links
+// survive a different window size.
+let urlSyncPaused = true;  // True until boot has read the hash, and while applying one (so we don't write history back)
+
+// Serialises the current view into a hash string (without the leading '#')
+function encodeUrlState() {
+  const params = new URLSearchParams();
+  if (state.continentName) params.set('continent', state.continentName);
+  if (state.countryId !== null) params.set('country', String(state.countryId));
+  if (state.metric !== 'biome') params.set('metric', state.metric);
+  if (state.metric !== 'biome' && state.scaleType !== 'linear') params.set('scale', state.scaleType);
+  if (state.taxonGroup) params.set('group', state.taxonGroup);
+  if (state.year !== null) params.set('year', String(state.year));
+  if (state.regionScheme !== 'continents') params.set('regions', state.regionScheme);
+  if (state.projection !== 'equalEarth') params.set('projection', state.projection);
+  if (state.projection === 'globe') params.set('rotate', globeRotation.map(v => v.toFixed(1)).join(','));
+  if (state.pinned.length) params.set('compare', state.pinned.join(','));
+  if (currentTransform.k !== 1 || currentTransform.x || currentTransform.y) {
+    const w = parseFloat(svg.attr('width')) || 800;
+    const h = parseFloat(svg.attr('height')) || 500;
+    params.set('zoom', [currentTransform.k.toFixed(3), (currentTransform.x / w).toFixed(4), (currentTransform.y / h).toFixed(4)].join(','));
+  }
+  return params.toString().replace(/%2C/g, ',');  // Keep the zoom triple readable
+}
+
+// Parses the hash into { continent, country, metric, scale, group, year, regions, projection, rotate, zoom, compare }
+// (missing parts are null / empty)
+function decodeUrlState(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const country = parseInt(params.get('country'), 10);
+  const year = parseInt(params.get('year'), 10);
+  const zoom = (params.get('zoom') || '').split(',').map(Number);
+  const rotate = (params.get('rotate') || '').split(',').map(Number);
+  const compare = (params.get('compare') || '').split(',').map(v => parseInt(v, 10)).filter(Number.isFinite);
+  return {
+    continent: params.get('continent'),
+    country: Number.isFinite(country) ? country : null,
+    metric: METRIC_BY_ID.has(params.get('metric')) ? params.get('metric') : 'biome',
+    scale: ['linear', 'log', 'quantile'].includes(params.get('scale')) ? params.get('scale') : 'linear',
+    group: TAXON_GROUPS.some(g => g.id === params.get('group')) ? params.get('group') : null,
+    year: Number.isFinite(year) ? year : null,
+    regions: REGION_SCHEMES.some(s => s.id === params.get('regions')) ? params.get('regions') : 'continents',
+    projection: PROJECTION_BY_ID.has(params.get('projection')) ? params.get('projection') : 'equalEarth',
+    rotate: rotate.length === 2 && rotate.every(Number.isFinite) ? rotate : null,
+    zoom: zoom.length === 3 && zoom.every(Number.isFinite) ? zoom : null,
+    compare: compare.slice(0, MAX_PINNED)
+  };
+}
+
+// Writes the current view to the URL: push = new history entry (selections), otherwise replace
+function syncUrlState({ push = false } = {}) {
+  if (urlSyncPaused) return;
+  const hash = encodeUrlState();
+  if (hash === window.location.hash.replace(/^#/, '')) return;  // Nothing changed
+  const url = `${window.location.pathname}${window.location.search}${hash ? '#' + hash : ''}`;
+  if (push) history.pushState(null, '', url);
+  else history.replaceState(null, '', url);
+}
+
+// Restores a view from the hash (on boot and on back/forward)
+async function applyUrlState(hash) {
+  const target = decodeUrlState(hash);
+  urlSyncPaused = true;
+  try {
+    // Metric first, so the choropleth is right as soon as data arrives
+    state.metric = target.metric;
+    state.scaleType = target.scale;
+    state.taxonGroup = target.group;
+    state.year = target.year;
+    populateYearSelect();
+    const metricSelect = document.getElementById('metricSelect');
+    const scaleSelect = document.getElementById('scaleSelect');
+    const groupSelect = document.getElementById('groupSelect');
+    if (metricSelect) metricSelect.value = state.metric;
+    if (groupSelect) groupSelect.value = state.taxonGroup || '';
+    if (scaleSelect) { scaleSelect.value = state.scaleType; scaleSelect.disabled = state.metric === 'biome'; }
+    applyChoropleth();
+    if (target.regions !== state.regionScheme) {
+      if (state.continentName) resetToContinents();
+      applyRegionScheme(target.regions);  // Before the continent lookup below: names depend on the scheme
+    }
+    if (target.rotate) rotateGlobe(target.rotate);
+    applyProjection(target.projection);
+    state.pinned = target.compare;
+    updateCountryLayerState();
+    renderComparePanel();
+
+    const continent = continents.find(c => c.properties?.name === target.continent);
+    if (!continent) {
+      if (state.continentName) resetToContinents();
+      else if (!target.zoom) resetZoom();
+    } else {
+      if (continent.properties.name !== state.continentName || target.country === null) {
+        await handleContinentClick(continent);
+      }
+      const country = target.country !== null && findCountryFeature(target.country);
+      if (country) await handleCountryClick(country);
+    }
+
+    if (target.zoom) {
+      const [k, fx, fy] = target.zoom;
+      const w = parseFloat(svg.attr('width')) || 800;
+      const h = parseFloat(svg.attr('height')) || 500;
+      svg.interrupt();  // Cancel the zoom-to-selection animation; the stored zoom wins
+      if (target.rotate) rotateGlobe(target.rotate);  // Including a half-finished globe turn
+      svg.call(zoomBehavior.transform, d3.zoomIdentity.translate(fx * w, fy * h).scale(k));
+    }
+  } finally {
+    urlSyncPaused = false;
+  }
+}
+
+// Back/forward buttons (and hand-edited hashes) re-apply the stored view
+function setupUrlState() {
+  window.addEventListener('popstate', () => { applyUrlState(window.location.hash); });
 }
 
 // Enable/disable the back button
@@ -839,323 +2206,72 @@ function onResize() {// Debounced resize handler
   }, 150);// 150ms debounce delay
 }
 
-// ============ LAZY DATA LOADING ============
-// Fetch SPARQL data only when user first clicks a continent
-// Data is cached so subsequent clicks are instant
+// ============ DATA LOADING ============
+// Started on boot; clicks await the same promise. Once loaded, subsequent clicks are instant.
+// A failure is not remembered: the next click simply tries again.
 async function ensureDataReady() {
-  // If all three tables are already loaded, return immediately
-  if (endemicTable && gdpTable && populationTable) return;
+  // If all tables are already loaded, return immediately
+  if (endemicTable && gdpTable && populationTable && taxonTable && gdpSeriesTable && popSeriesTable) return;
   
-  try {
-    await preloadAllTables();
-  } catch (err) {
-    preloadError = err;  // Cache error so we don't retry
-    throw err;
+  if (!dataReadyPromise) {
+    preloadError = null;
+    dataReadyPromise = preloadAllTables()
+      .catch(err => { preloadError = err; throw err; })
+      .finally(() => { dataReadyPromise = null; });
   }
+  await dataReadyPromise;
 }
 
-// ============ FETCH ALL SPARQL DATA IN PARALLEL ============
-// Runs three SPARQL queries simultaneously to get endemic, GDP, and population data
-// Results are transformed into lookup Maps for fast O(1) access
+// ============ FETCH ALL SPARQL DATA ============
+// Reads the cached snapshot (or runs the shared query registry from data.js when there is none)
+// Results come back as lookup Maps keyed by ISO numeric code for fast O(1) access
 async function preloadAllTables() {
-  // Query 1: Endemic species + IUCN threat categories
-  const endData = await runSparqlGETWithRetry(Q_END_EMD);
-  endemicTable = buildEndemicMap(endData);
-
-  // Query 2: GDP data (latest year per country)
-  const gdpData = await runSparqlGETWithRetry(Q_GDP);
-  gdpTable = buildGdpMap(gdpData);
-
-  // Query 3: Population data (latest year per country)
-  const popData = await runSparqlGETWithRetry(Q_POP);
-  populationTable = buildPopulationMap(popData);
-}
-
-async function runSparqlGETWithRetry(query, { retries = 3, baseDelayMs = 400, timeoutMs = 15000 } = {}) {
-  let attempt = 0;
-  while (true) {
-    try {
-      const url = QLEVER + '?query=' + encodeURIComponent(query);
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-      
-      try {
-        const res = await fetch(url, { 
-          method: 'GET', 
-          headers: ACCEPT_JSON,
-          signal: controller.signal 
-        });
-        clearTimeout(timeoutId);
-        
-        if (!res.ok) {
-          if ((res.status === 429 || res.status === 403 || res.status === 503) && attempt < retries) {
-            attempt++;
-            await delayWithJitter(baseDelayMs, attempt);
-            continue;
-          }
-          throw new Error(`QLever error ${res.status}`);
-        }
-        return await res.json();
-      } catch (fetchErr) {
-        clearTimeout(timeoutId);
-        if (fetchErr.name === 'AbortError') {
-          throw new Error(`Request timeout after ${timeoutMs}ms`);
-        }
-        throw fetchErr;
-      }
-    } catch (e) {
-      if (attempt < retries) {
-        attempt++;
-        await delayWithJitter(baseDelayMs, attempt);
-        continue;
-      }
-      throw e;// Rethrow error if max retries reached
-    }
-  }
-}
-
-// Waits with random jitter (prevents thundering herd)
-function delayWithJitter(base, attempt) {// base = base delay in ms, attempt = current attempt number
-  const jitter = Math.random() * 400;// Random jitter up to 400ms
-  const wait = Math.min(800, base * attempt) + jitter;// Calculate total wait time with max cap at 800ms
-  return new Promise(r => setTimeout(r, wait));// Return promise that resolves after wait time
-}
-
-// ============================================
-// SPARQL QUERIES
-// ============================================
-
-// Query for endemic species + IUCN categories
-const Q_END_EMD = `                                   
-PREFIX wd:   <http://www.wikidata.org/entity/>      
-PREFIX wdt:  <http://www.wikidata.org/prop/direct/>    
-PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>   
-
-SELECT               
-  ?country           
-  ?countryLabel      
-  ?iso3              
-  ?isoNum            
-  (COALESCE(?allSpecies, 0)  AS ?totalEndemicSpecies)                       
-  (COALESCE(?ntSpecies, 0)   AS ?nearThreatenedEndemicSpecies)              
-  (COALESCE(?vuSpecies, 0)   AS ?vulnerableEndemicSpecies)                  
-  (COALESCE(?enSpecies, 0)   AS ?endangeredEndemicSpecies)                  
-  (COALESCE(?crSpecies, 0)   AS ?criticallyEndangeredEndemicSpecies)        
-
-WHERE {                                                                                         
-  ?country wdt:P31 wd:Q6256 .                                                                   
-  OPTIONAL { ?country rdfs:label ?countryLabel . FILTER(LANG(?countryLabel) = "en") }           
-  OPTIONAL { ?country wdt:P298 ?iso3 }                                                          
-  OPTIONAL { ?country wdt:P299 ?isoNum }                                                        
-
-  OPTIONAL {                                                     
-SELECT ?country (COUNT(DISTINCT ?sp) AS ?allSpecies)             
-WHERE {                                                          
-  ?sp wdt:P31 wd:Q16521 ;         
-      wdt:P105 wd:Q7432 ;         
-      wdt:P183 ?country .         
-  ?country wdt:P31 wd:Q6256 .     
-}
-GROUP BY ?country                 
-  }
-
-  OPTIONAL {                                             
-SELECT ?country (COUNT(DISTINCT ?spNT) AS ?ntSpecies)    
-WHERE {
-  ?spNT wdt:P31  wd:Q16521 ;
-        wdt:P105 wd:Q7432 ;
-        wdt:P141 wd:Q719675 ;
-        wdt:P183 ?country .
-  ?country wdt:P31 wd:Q6256 .
+  const snapshot = await loadTablesCached({
+    onRefresh: handleBackgroundRefresh,
+    onRefreshFailed: () => updateDataAsOf(refreshFailedMessage())
+  });
+  applyTableSnapshot(snapshot);
 }
-GROUP BY ?country
-  }
 
-  OPTIONAL {                                             
-SELECT ?country (COUNT(DISTINCT ?spVU) AS ?vuSpecies)
-WHERE {
-  ?spVU wdt:P31  wd:Q16521 ;
-        wdt:P105 wd:Q7432 ;
-        wdt:P141 wd:Q278113 ;
-        wdt:P183 ?country .
-  ?country wdt:P31 wd:Q6256 .
+// Swaps in a snapshot's tables and updates the "data as of" badge
+function applyTableSnapshot({ tables, fetchedAt, stale }) {
+  endemicTable = tables.endemicTable;
+  gdpTable = tables.gdpTable;
+  populationTable = tables.populationTable;
+  taxonTable = tables.taxonTable;
+  gdpSeriesTable = tables.gdpSeriesTable;
+  popSeriesTable = tables.popSeriesTable;
+  dataFetchedAt = fetchedAt;
+  updateDataAsOf(stale ? 'refreshing…' : '');
+  populateYearSelect();  // Years come from the series tables
+  applyChoropleth();  // Colours depend on the tables
+  renderComparePanel();  // So do the comparison figures
+  renderRankingTable();  // And the ranking
 }
-GROUP BY ?country
-  }
 
-  OPTIONAL {
-SELECT ?country (COUNT(DISTINCT ?spEN) AS ?enSpecies)
-WHERE {
-  ?spEN wdt:P31  wd:Q16521 ;
-        wdt:P105 wd:Q7432 ;
-        wdt:P141 wd:Q96377276 ;
-        wdt:P183 ?country .
-  ?country wdt:P31 wd:Q6256 .
+// A stale snapshot was refreshed in the background: use the new tables and redraw the open panel
+function handleBackgroundRefresh(snapshot) {
+  applyTableSnapshot(snapshot);
+  refreshOpenPanel();
 }
-GROUP BY ?country
-  }
 
-  OPTIONAL {
-SELECT ?country (COUNT(DISTINCT ?spCR) AS ?crSpecies)
-WHERE {
-  ?spCR wdt:P31  wd:Q16521 ;
-        wdt:P105 wd:Q7432 ;
-        wdt:P141 wd:Q219127 ;
-        wdt:P183 ?country .
-  ?country wdt:P31 wd:Q6256 .
-}
-GROUP BY ?country
+// Redraws whatever the sidebar shows (country or continent) from the current tables
+function refreshOpenPanel() {
+  if (inFlight) return;  // A click handler is about to fill the panel anyway
+  if (state.countryId !== null) {
+    const feature = findCountryFeature(state.countryId);
+    if (feature) hydrateCountryPanel(feature);
+  } else if (state.continentName) {
+    applyContinentSummary(summarizeContinent(state.continentName), state.continentName);
   }
 }
-ORDER BY DESC(?totalEndemicSpecies) 
-`;
-
-// Query for GDP data
-const Q_GDP = `                                         
-PREFIX wd:   <http://www.wikidata.org/entity/>          
-PREFIX wdt:  <http://www.wikidata.org/prop/direct/>     
-PREFIX p:    <http://www.wikidata.org/prop/>            
-PREFIX ps:   <http://www.wikidata.org/prop/statement/>  
-PREFIX pq:   <http://www.wikidata.org/prop/qualifier/>  
-PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>    
-
-SELECT
-  ?country
-  ?countryLabel
-  ?iso3
-  ?isoNum
-  ?gdpUSD                                                                                 
-  ?gdpYear                                                                                
-WHERE {                                                                                   
-  ?country wdt:P31 wd:Q6256 .                                                             
-  OPTIONAL { ?country rdfs:label ?countryLabel . FILTER(LANG(?countryLabel) = "en") }     
-  OPTIONAL { ?country wdt:P298 ?iso3 }                                                    
-  OPTIONAL { ?country wdt:P299 ?isoNum }                                                  
-
-  {
-SELECT ?country (MAX(?date) AS ?latestDate)
-WHERE {
-  ?country wdt:P31 wd:Q6256 ;
-           p:P2131 ?st .
-  ?st pq:P585 ?date .
-}
-GROUP BY ?country
-  }
 
-  ?country p:P2131 ?st2 .
-  ?st2 pq:P585 ?latestDate ;
-   ps:P2131 ?gdpUSD .
-  BIND(YEAR(?latestDate) AS ?gdpYear)
-}
-ORDER BY DESC(?gdpUSD)
-`;
-
-// Query for population data
-const Q_POP = `                                                
-PREFIX wd:   <http://www.wikidata.org/entity/>                 
-PREFIX wdt:  <http://www.wikidata.org/prop/direct/>            
-PREFIX p:    <http://www.wikidata.org/prop/>                   
-PREFIX ps:   <http://www.wikidata.org/prop/statement/>         
-PREFIX pq:   <http://www.wikidata.org/prop/qualifier/>         
-PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>           
-
-SELECT
-  ?country
-  ?countryLabel
-  ?iso3
-  ?isoNum
-  ?population          
-  ?popYear             
-WHERE {
-  ?country wdt:P31 wd:Q6256 .
-  OPTIONAL { ?country rdfs:label ?countryLabel . FILTER(LANG(?countryLabel) = "en") }
-  OPTIONAL { ?country wdt:P298 ?iso3 }
-  OPTIONAL { ?country wdt:P299 ?isoNum }
-
-  {
-SELECT ?country (MAX(?date) AS ?latestDate)
-WHERE {
-  ?country wdt:P31 wd:Q6256 ;
-           p:P1082 ?popStmt .
-  ?popStmt pq:P585 ?date .
-}
-GROUP BY ?country
-  }
-
-  ?country p:P1082 ?popStmt2 .
-  ?popStmt2 pq:P585 ?latestDate ;
-        ps:P1082 ?population .
-  BIND(YEAR(?latestDate) AS ?popYear)
-}
-ORDER BY DESC(?population)
-`;
-
-// ============================================
-// DATA PARSING FUNCTIONS
-// ============================================
-
-// Converts SPARQL JSON to Map for endemic data
-function buildEndemicMap(json) {// SPARQL JSON to Map for endemic data                                        
-  const m = new Map();// Initialize empty Map to hold endemic data                                                  
-  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON                           
-  for (const r of rows) {// Iterate over each row                                               
-    const isoNumStr = r.isoNum?.value;// Get ISO numeric code as string                                  
-    const isoInt = isoNumStr ? parseInt(isoNumStr, 10) : NaN;// Parse ISO numeric code to integer           
-    if (!Number.isFinite(isoInt)) continue;// Skip invalid ISO codes                             
-    const nt = +(r.nearThreatenedEndemicSpecies?.value || 0);// Near threatened count           
-    const vu = +(r.vulnerableEndemicSpecies?.value || 0);// Vulnerable count               
-    const en = +(r.endangeredEndemicSpecies?.value || 0);// Endangered count               
-    const cr = +(r.criticallyEndangeredEndemicSpecies?.value || 0);// Critically endangered count     
-    m.set(isoInt, {// Store data in Map with ISO numeric code as key                                                     
-      countryLabel: r.countryLabel?.value || '',// Country label                        
-      iso3: r.iso3?.value || '',// ISO 3-letter code                                        
-      isoNum: isoNumStr,// ISO numeric code as string                                                
-      totalEndemicSpecies: +(r.totalEndemicSpecies?.value || 0),// Total endemic species count        
-      nearThreatenedEndemicSpecies: nt,// Near threatened count                                 
-      vulnerableEndemicSpecies: vu,// Vulnerable count                                     
-      endangeredEndemicSpecies: en,// Endangered count                                     
-      criticallyEndangeredEndemicSpecies: cr// Critically endangered count                            
-    });
-  }
-  return m;// Return the populated Map                                                             
-}
-
-// Converts SPARQL JSON to Map for GDP data
-function buildGdpMap(json) {// SPARQL JSON to Map for GDP data                                            
-  const m = new Map();// Initialize empty Map to hold GDP data
-  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON
-  for (const r of rows) {// Iterate over each row
-    const isoNumStr = r.isoNum?.value;// Get ISO numeric code as string
-    const isoInt = isoNumStr ? parseInt(isoNumStr, 10) : NaN;// Parse ISO numeric code to integer
-    if (!Number.isFinite(isoInt)) continue;// Skip invalid ISO codes
-    m.set(isoInt, {// Store data in Map with ISO numeric code as key
-      countryLabel: r.countryLabel?.value || '',// Country label
-      iso3: r.iso3?.value || '',// ISO 3-letter code
-      isoNum: isoNumStr,// ISO numeric code as string
-      gdpUSD: +(r.gdpUSD?.value || 0),// GDP in USD
-      gdpYear: r.gdpYear?.value || ''// GDP year
-    });
-  }
-  return m;// Return the populated Map
-}
-
-// Converts SPARQL JSON to Map for population data
-function buildPopulationMap(json) {// SPARQL JSON to Map for population data                                     
-  const m = new Map();// Initialize empty Map to hold population data
-  const rows = json?.results?.bindings || [];// Extract rows from SPARQL JSON
-  for (const r of rows) {// Iterate over each row
-    const isoNumStr = r.isoNum?.value;// Get ISO numeric code as string
-    const isoInt = isoNumStr ? parseInt(isoNumStr, 10) : NaN;// Parse ISO numeric code to integer
-    if (!Number.isFinite(isoInt)) continue;// Skip invalid ISO codes
-    m.set(isoInt, {// Store data in Map with ISO numeric code as key
-      countryLabel: r.countryLabel?.value || '',// Country label
-      iso3: r.iso3?.value || '',// ISO 3-letter code
-      isoNum: isoNumStr,// ISO numeric code as string
-      population: +(r.population?.value || 0),// Population count
-      popYear: r.popYear?.value || ''// Population year
-    });
-  }
-  return m;// Return the populated Map
+// Updates the sidebar badge with the snapshot timestamp (+ an optional note such as "refreshing…")
+function updateDataAsOf(note) {
+  if (!$dataAsOf) return;
+  const text = formatDataAsOf(dataFetchedAt);
+  $dataAsOf.textContent = note ? `${text} · ${note}` : text;
+  $dataAsOf.classList.toggle('stale', Boolean(note));
 }
 
 // ============================================
@@ -1184,7 +2300,11 @@ function clearPanel() {// Clears side panel data
   setGDP({ status: null });// Clear GDP data display
   setPopulation({ status: null });// Clear population data display
   drawEndemicChart({ total: 0, nt: 0, vu: 0, en: 0, cr: 0 }); // Draw an empty pie chart
+  drawTaxonBreakdown(null);// Hide the taxonomic breakdown
+  drawBiomeBreakdown(null);// Hide the biome bars
+  drawSeriesChart(null);// Hide the time series
   setStatuses('', '', '');// Clear all three status messages
+  hideSpeciesPanel();// Species list belongs to a single country
 }
 
 // Updates status messages
@@ -1398,6 +2518,87 @@ function drawEndemicChart({ total, nt, vu, en, cr }) {// total = Total endemic s
     .text(d => `${d.label}: ${fmtInt(d.value)}`);// Set legend label with category name and value
 }
 
+// Draws one horizontal bar per taxonomic group (threatened part darker), plus the unclassified remainder
+function drawTaxonBreakdown(taxa, total = 0) {// taxa = { groupId: { total, threatened } } or null to hide, total = all endemic species
+  const box = d3.select('#taxonBreakdown');// Breakdown section in the sidebar
+  const cont = d3.select('#taxonBars');// Bar container
+  cont.selectAll('*').remove();// Clear previous bars
+  if (!taxa) {// Nothing selected / no endemic data
+    box.style('display', 'none');
+    return;
+  }
+
+  const rows = TAXON_GROUPS.map(g => ({ label: g.label, ...(taxa[g.id] || { total: 0, threatened: 0 }) }));// Fixed group order
+  const classified = rows.reduce((sum, r) => sum + r.total, 0);// Species counted in some group
+  // A species with two parent taxa on Wikidata can land in two groups, so the remainder is clamped at zero
+  rows.push({ label: 'Other / unclassified', total: Math.max(total - classified, 0), threatened: null });
+  const shown = rows.filter(r => r.total > 0);// Skip empty groups
+  box.style('display', null);
+  if (!shown.length) {
+    cont.append('div').attr('class', 'small').text('No taxonomic data for this selection.');
+    return;
+  }
+
+  const max = d3.max(shown, r => r.total);// Longest bar = largest group
+  const items = cont.selectAll('.taxon-row')// One row per group
+    .data(shown)
+    .join('div')
+    .attr('class', 'taxon-row');
+  items.append('span').attr('class', 'taxon-label').text(d => d.label);// Group name
+  const track = items.append('span').attr('class', 'taxon-track');// Full-width track
+  track.append('span')// Total endemic species in the group
+    .attr('class', 'taxon-bar')
+    .style('width', d => `${(d.total / max) * 100}%`);
+  track.append('span')// Threatened subset, drawn over the total bar
+    .attr('class', 'taxon-bar taxon-bar-threatened')
+    .style('width', d => `${((d.threatened || 0) / max) * 100}%`);
+  items.append('span')// Counts
+    .attr('class', 'taxon-count')
+    .text(d => d.threatened === null ? fmtInt(d.total) : `${fmtInt(d.total)} (${fmtInt(d.threatened)} thr.)`);
+}
+
+// Biome bars in the sidebar: a country's biome shares, or a continent's endemic species per dominant biome
+function drawBiomeBreakdown(rows, title) {// rows = [{ id, label, short, value, text }] or null to hide
+  const box = d3.select('#biomeBreakdown');
+  const cont = d3.select('#biomeBars');
+  cont.selectAll('*').remove();
+  if (!rows?.length) {
+    box.style('display', 'none');
+    return;
+  }
+  box.style('display', null);
+  box.select('h4').text(title);
+
+  const max = d3.max(rows, r => r.value) || 1;// Avoid dividing by zero when every biome has 0 species
+  const items = cont.selectAll('.taxon-row')// Same row layout as the taxonomic breakdown
+    .data(rows)
+    .join('div')
+    .attr('class', 'taxon-row')
+    .attr('title', d => d.label);// Full WWF biome name
+  items.append('span').attr('class', 'taxon-label').text(d => d.short || d.label);
+  items.append('span').attr('class', 'taxon-track')
+    .append('span')// Bar in the biome's map colour
+    .attr('class', 'taxon-bar')
+    .style('background', d => d.color)
+    .style('width', d => `${(d.value / max) * 100}%`);
+  items.append('span').attr('class', 'taxon-count').text(d => d.text);
+}
+
+// Country: share of its area per biome
+function countryBiomeRows(isoNumeric) {
+  return (biomeTable?.byIso.get(isoNumeric) || []).map(b => ({ ...b, value: b.share, text: fmtShare(b.share) }));
+}
+
+// Continent: summary.biomes (endemic species per dominant biome) in WWF order
+function continentBiomeRows(biomes) {
+  return Array.from(biomeTable?.biomes.values() || [])
+    .filter(b => biomes[b.id])
+    .map(b => {
+      const { countries: n, totalEndemic } = biomes[b.id];
+      return { ...b, value: totalEndemic, text: `${fmtInt(totalEndemic)} · ${n} ${n === 1 ? 'country' : 'countries'}` };
+    });
+}
+
 // Formats year information for display
 function formatYearLabel(value) {// value = Year value to format
   if (!value) return '';// Return empty string if no value
@@ -1410,7 +2611,7 @@ function formatYearLabel(value) {// value = Year value to format
 // Handles initialization errors
 function handleInitError(err) {// err = Error object
   console.error(err);// Log the error to the console for debugging
-  dataContextEl.textContent = 'Unable to draw the basemap right now. Please retry.';// Update data context message to inform the user
+  dataContextEl.textContent = 'Unable to draw the basemap right now. Please retry, or check the basemap under Data source.';// Update data context message to inform the user
 }
 
 // ============================================
@@ -1421,11 +2622,17 @@ function handleInitError(err) {// err = Error object
 async function boot() {// Main initialization function
   setupButtons();// Set up button event listeners
   try {// Try to initialize the application
-    await loadGeoData();// Load geographic data
+    await Promise.all([loadGeoData(), loadBiomes()]);// Load geographic data and biome shares
+    reportUnmatchedFeatures();// Name the features no table can reach
     initMapLayers();// Initialize map layers
     renderMap();// Render the map
+    drawBiomeLegend();// Legend for the biomes present on the map
     window.addEventListener('resize', onResize, { passive: true });// Add resize event listener with passive option
     clearPanel();// Clear side panel data
+    ensureDataReady().catch(err => console.warn('Data preload failed; will retry on first click', err));// Warm the tables (instant when a cached snapshot exists)
+    setupUrlState();// Back/forward support
+    if (window.location.hash) await applyUrlState(window.location.hash);// Restore a bookmarked view
+    urlSyncPaused = false;// From now on, selections and zoom are written to the URL
   } catch (err) {// Handle initialization errors
     handleInitError(err);// Call error handling function
   }
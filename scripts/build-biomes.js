@@ -0,0 +1,106 @@
+// Measures the share of each country's land per WWF biome and rewrites data/biomes.json.
+//
+//   node scripts/build-biomes.js <wwf_terr_ecos.geojson> [countries-50m.json] [step in degrees]
+//
+// The first argument is the WWF Terrestrial Ecoregions of the World layer (Olson et al. 2001) converted to
+// GeoJSON, e.g. `ogr2ogr -f GeoJSON wwf_terr_ecos.geojson wwf_terr_ecos.shp`. Leave out RFC7946=YES: it reverses
+// the ring winding d3 relies on. Every feature needs a BIOME property (1-14, 98 = lakes, 99 = rock & ice).
+// The countries default to the world-atlas 50m file.
+// Shares come from a latitude-weighted point grid: each point inside a country is looked up in the ecoregions,
+// and points on lakes or outside every polygon are ignored. A 0.25° grid takes a few minutes.
+const fs = require('node:fs');
+const path = require('node:path');
+const topojson = require('topojson-client');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUT = path.join(ROOT, 'data', 'biomes.json');
+const LAKES = 98;  // WWF code for lakes, not a biome
+const SOURCE = "WWF Terrestrial Ecoregions of the World (Olson et al. 2001), biome field; shares of each country's land area in percent";
+
+// Bounding box as [[west, south], [east, north]]; boxes across the antimeridian are widened to the whole globe
+function boxOf(d3, feature) {
+  const [[w, s], [e, n]] = d3.geoBounds(feature);
+  return w > e ? [[-180, s], [180, n]] : [[w, s], [e, n]];
+}
+
+const inBox = ([[w, s], [e, n]], [x, y]) => x >= w && x <= e && y >= s && y <= n;
+
+// Percent per biome code, rounded so that they add up to 100 (largest remainders get the spare points)
+function toPercent(weights) {
+  const total = Object.values(weights).reduce((a, b) => a + b, 0);
+  const exact = Object.entries(weights).map(([code, w]) => ({ code, pct: (w / total) * 100 }));
+  exact.forEach(e => { e.whole = Math.floor(e.pct); });
+  let spare = 100 - exact.reduce((a, e) => a + e.whole, 0);
+  exact.sort((a, b) => (b.pct - b.whole) - (a.pct - a.whole));
+  for (const e of exact) if (spare-- > 0) e.whole++;
+  return Object.fromEntries(exact.filter(e => e.whole > 0).sort((a, b) => b.whole - a.whole).map(e => [e.code, e.whole]));
+}
+
+// { isoId: { biomeCode: percent } } for every country with an ISO id
+function measureShares(d3, countries, ecoregions, step) {
+  const regions = ecoregions
+    .filter(f => f.geometry && Number(f.properties.BIOME) !== LAKES)
+    .map(f => ({ feature: f, code: Number(f.properties.BIOME), box: boxOf(d3, f) }));
+  const shares = {};
+  for (const country of countries) {
+    if (!country.id) continue;  // Kosovo, N. Cyprus, Somaliland
+    const [[w, s], [e, n]] = boxOf(d3, country);
+    const candidates = regions.filter(r => r.box[0][0] <= e && r.box[1][0] >= w && r.box[0][1] <= n && r.box[1][1] >= s);
+    const weights = {};
+    for (let y = Math.ceil(s / step) * step; y <= n; y += step) {
+      const weight = Math.cos((y * Math.PI) / 180);  // Grid cells shrink towards the poles
+      for (let x = Math.ceil(w / step) * step; x <= e; x += step) {
+        if (!d3.geoContains(country, [x, y])) continue;
+        const hit = candidates.find(r => inBox(r.box, [x, y]) && d3.geoContains(r.feature, [x, y]));
+        if (hit) weights[hit.code] = (weights[hit.code] || 0) + weight;
+      }
+    }
+    // Small islands can fall between grid points: fall back to the ecoregion under the centroid
+    if (!Object.keys(weights).length) {
+      const hit = candidates.find(r => d3.geoContains(r.feature, d3.geoCentroid(country)));
+      if (hit) weights[hit.code] = 1;
+    }
+    if (Object.keys(weights).length) shares[country.id] = toPercent(weights);
+    else console.warn(`No ecoregion found for ${country.id} ${country.properties?.name}`);
+  }
+  return shares;
+}
+
+async function main() {
+  const [ecoFile, countryFile = require.resolve('world-atlas/countries-50m.json'), stepArg = '0.25'] = process.argv.slice(2);
+  if (!ecoFile) {
+    console.error('Usage: node scripts/build-biomes.js <wwf_terr_ecos.geojson> [countries.json] [step]');
+    process.exit(1);
+  }
+  const d3 = await import('d3');  // d3 v7 is an ES module
+  const topo = JSON.parse(fs.readFileSync(countryFile, 'utf8'));
+  const countries = topojson.feature(topo, topo.objects.countries).features;
+  const ecoregions = JSON.parse(fs.readFileSync(ecoFile, 'utf8')).features;
+  const current = JSON.parse(fs.readFileSync(OUT, 'utf8'));  // Biome definitions are kept as they are
+
+  const countriesOut = measureShares(d3, countries, ecoregions, Number(stepArg));
+  const sorted = Object.fromEntries(Object.entries(countriesOut).sort(([a], [b]) => a.localeCompare(b)));
+  const lines = [
+    '{',
+    `  "source": ${JSON.stringify(SOURCE)},`,
+    `  "note": ${JSON.stringify(`Measured by scripts/build-biomes.js on a ${stepArg}° grid from ${path.basename(ecoFile)} and ${path.basename(countryFile)}.`)},`,
+    '  "biomes": [',
+    current.biomes.map(b => `    ${JSON.stringify(b).replace(/":/g, '": ').replace(/,"/g, ', "')}`).join(',\n'),
+    '  ],',
+    '  "countries": {',
+    Object.entries(sorted).map(([iso, s]) => `    "${iso}": ${JSON.stringify(s).replace(/":/g, '": ').replace(/,"/g, ', "')}`).join(',\n'),
+    '  }',
+    '}'
+  ];
+  fs.writeFileSync(OUT, `${lines.join('\n')}\n`);
+  console.log(`Wrote ${Object.keys(sorted).length} countries to ${path.relative(process.cwd(), OUT)}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {  // Missing or malformed input file
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { measureShares, toPercent };
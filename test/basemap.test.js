@@ -0,0 +1,116 @@
+// Basemap: small-state markers, level-of-detail switching on zoom and loading the atlas from a local copy
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage, waitFor, jsonResponse, FIXTURE_DIR } = require('./helpers/page');
+
+const ROOT = path.resolve(__dirname, '..');
+const map = loadPage('map.html');
+const ready = waitFor(() => map.run('countriesByContinent.size > 0 && endemicTable !== null && !urlSyncPaused'));
+const doc = map.window.document;
+const pathFor = (iso3) => doc.querySelector(`path.country[data-country="${iso3}"]`);
+const zoomTo = (run, k) => run(`svg.call(zoomBehavior.transform, d3.zoomIdentity.scale(${k}))`);
+
+test('small states missing from the 110m atlas are drawn as markers and belong to their continent', async () => {
+  await ready;
+  const markers = [...doc.querySelectorAll('path.country-marker')].map(p => p.getAttribute('data-country'));
+  assert.equal(markers.length, map.run('SMALL_STATES.length'));
+  for (const iso3 of ['MUS', 'SYC', 'STP', 'TUV', 'WSM']) assert.ok(markers.includes(iso3), iso3);
+  assert.ok(pathFor('MUS').getAttribute('d').includes('a4,4'), 'a circle of MARKER_RADIUS');
+  assert.ok(map.run('countriesByContinent.get("Africa").some(f => f.id === "480")'), 'Mauritius counts towards Africa');
+  const ids = map.run('countries.filter(f => f.id).map(f => f.id)');
+  assert.equal(new Set(ids).size, ids.length, 'no duplicate ids');
+  const lookup = await map.run('loadContinentLookup()');
+  assert.equal(lookup.get(480), 'Africa', 'the correlations page groups them too');
+  assert.equal(lookup.get(798), 'Oceania');
+});
+
+test('a region made only of small states is drawn from its markers', async () => {
+  await ready;
+  map.run('applyRegionScheme("subregions")');
+  try {
+    assert.equal(map.run('continents.find(c => c.properties.name === "Polynesia").geometry.type'), 'MultiPoint');
+    assert.ok(doc.querySelector('path.continent-marker[data-continent="polynesia"]'));
+    assert.equal(map.run('continents.length'), map.run('countriesByContinent.size'));
+  } finally {
+    map.run('applyRegionScheme("continents")');
+  }
+});
+
+test('a marker can be selected and keeps its screen size when zoomed in', async () => {
+  await ready;
+  await map.run('selectCountry')(map.run('findCountryFeature(480)'));
+  await waitFor(() => map.run('state.countryId') === 480 && !map.run('inFlight'));
+  assert.equal(map.run('state.continentName'), 'Africa');
+  assert.ok(pathFor('MUS').classList.contains('country-selected'));
+  await waitFor(() => map.run('currentTransform.k') === 8);
+  assert.ok(pathFor('MUS').getAttribute('d').includes('a0.5,0.5'), '4px / 8');
+  await waitFor(() => map.consoleErrors.length || map.run('speciesView.rows.length'));
+});
+
+test('zooming in swaps in finer geometry and zooming out goes back to 110m', async () => {
+  await ready;
+  zoomTo(map.run, 1);
+  await waitFor(() => map.run('detailLevel') === '110m');
+  const coarse = pathFor('FRA').getAttribute('d').length;
+  zoomTo(map.run, 3);
+  await waitFor(() => map.run('detailLevel') === '50m', 20000);
+  assert.equal(map.run('svg.attr("data-detail")'), '50m');
+  assert.ok(pathFor('FRA').getAttribute('d').length > 2 * coarse, 'more vertices');
+  assert.ok(pathFor('MUS').getAttribute('d').includes('a'), 'markers stay markers');
+  assert.ok(doc.querySelector('path.continent[data-continent="africa"]').getAttribute('d').length > 0);
+  zoomTo(map.run, 1);
+  await waitFor(() => map.run('detailLevel') === '110m');
+  assert.equal(pathFor('FRA').getAttribute('d').length, coarse);
+});
+
+test('?basemap= loads every level from a local copy, and a failed level is retried on the next zoom', async () => {
+  const requested = [];
+  let fail50m = true;
+  const fetch = async (input) => {
+    const url = new URL(String(input), 'http://localhost/');
+    requested.push(url.href);
+    const atlas = url.pathname.match(/^\/atlas\/(countries-\d+m\.json)$/);
+    if (atlas) {
+      if (atlas[1] === 'countries-50m.json' && fail50m) return jsonResponse({ error: 'offline' }, 503);
+      return jsonResponse(fs.readFileSync(path.join(ROOT, 'node_modules', 'world-atlas', atlas[1]), 'utf8'));
+    }
+    if (url.origin === 'http://localhost') return jsonResponse(fs.readFileSync(path.join(ROOT, decodeURIComponent(url.pathname)), 'utf8'));
+    throw new TypeError(`Unexpected network request in tests: ${url.href}`);
+  };
+  const { run } = loadPage('map.html', { search: `?endpoint=${FIXTURE_DIR}&basemap=./atlas`, fetch });
+  await waitFor(() => run('countriesByContinent.size > 0 && !urlSyncPaused'));
+  assert.ok(requested.includes('http://localhost/atlas/countries-110m.json'));
+  assert.equal(requested.some(url => url.includes('cdn.jsdelivr')), false);
+  assert.equal(run('basemapUrl("10m")'), './atlas/countries-10m.json');
+
+  zoomTo(run, 3);
+  await waitFor(() => requested.includes('http://localhost/atlas/countries-50m.json') && !run('basemapRequests.size'));
+  assert.equal(run('detailLevel'), '110m', 'the coarse map stays when a level fails');
+  fail50m = false;
+  zoomTo(run, 3.5);
+  await waitFor(() => run('detailLevel') === '50m', 20000);
+});
+
+test('?basemap= applies to this visit only; the Data source panel stores a valid folder', () => {
+  const { window, run } = loadPage('map.html', { search: '?basemap=./atlas/', scripts: ['data.js'] });
+  assert.equal(run('getBasemapBase()'), './atlas/');
+  assert.equal(window.localStorage.getItem('explorer.basemap'), null, 'not stored by the getter');
+
+  const typo = loadPage('map.html', { search: '?basemap=evil.example.org/atlas', scripts: ['data.js'] });
+  assert.equal(typo.run('getBasemapBase()'), typo.run('WORLD_ATLAS_CDN'));
+  typo.run('setupEndpointSettings()');
+  const doc = typo.window.document;
+  assert.match(doc.getElementById('basemapStatus').textContent, /^Ignoring \?basemap=evil\.example\.org\/atlas: /);
+  doc.getElementById('basemapInput').value = 'atlas/';
+  doc.getElementById('basemapApply').dispatchEvent(new typo.window.MouseEvent('click'));
+  assert.match(doc.getElementById('basemapStatus').textContent, /^Not applied: /);
+  assert.equal(typo.window.localStorage.getItem('explorer.basemap'), null);
+  typo.run('setBasemapBase')('./atlas');
+  assert.equal(typo.run('getBasemapBase()'), './atlas/', 'the stored folder is used once saved');
+});
+
+test('the page logged no errors', () => {
+  assert.deepEqual(map.consoleErrors, []);
+});
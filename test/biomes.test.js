@@ -0,0 +1,129 @@
+// Biome shares (data/biomes.json, loadBiomeTable in data.js) and their use on the map and correlations pages
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage, waitFor, readFixture } = require('./helpers/page');
+
+const ROOT = path.resolve(__dirname, '..');
+const bundled = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'biomes.json'), 'utf8'));
+
+const map = loadPage('map.html');
+const mapReady = waitFor(() => map.run('countriesByContinent.size > 0 && biomeTable !== null && endemicTable !== null'));
+const plain = (value) => JSON.parse(JSON.stringify(value));  // Page-realm values -> plain Node values
+
+test('buildBiomeTable sorts shares largest first and drops unknown biome codes', () => {
+  const table = map.run('buildBiomeTable')({
+    biomes: [{ code: 4, id: 'temperateBroadleaf', label: 'Temperate broadleaf' }, { code: 13, id: 'desert', label: 'Deserts' }],
+    countries: { '036': { 4: 10, 13: 85, 42: 5 }, '250': {} }
+  });
+  assert.deepEqual(plain(table.byIso.get(36)).map(b => [b.id, b.share]), [['desert', 0.85], ['temperateBroadleaf', 0.1]]);
+  assert.equal(table.byIso.has(250), false, 'countries without shares are left out');
+  assert.equal(map.run('dominantBiome')(table, '036').id, 'desert');
+  assert.equal(map.run('dominantBiome')(table, undefined), null);
+  assert.equal(map.run('dominantBiome')(null, 36), null);
+});
+
+test('the bundled file lists every biome with a colour and has no shares until build-biomes measures them', () => {
+  assert.deepEqual(bundled.countries, {});
+  assert.equal(bundled.source, '');
+  for (const { id, color } of bundled.biomes) assert.match(color, /^#[0-9a-f]{6}$/, `colour of ${id}`);
+  const codes = new Set(bundled.biomes.map(b => String(b.code)));
+  for (const [iso, shares] of Object.entries(readFixture('biome-shares.json'))) {  // What the tests load instead
+    assert.equal(Object.values(shares).reduce((a, b) => a + b, 0), 100, `shares of ${iso}`);
+    for (const code of Object.keys(shares)) assert.ok(codes.has(code), `biome ${code} of ${iso}`);
+  }
+});
+
+test('countries are coloured by their dominant biome instead of a name list', async () => {
+  await mapReady;
+  const biomeOf = (name) => map.run(`document.querySelector('.country[data-country="${name}"]').getAttribute('data-biome')`);
+  assert.equal(biomeOf('AUS'), 'desert');
+  const colour = (id) => bundled.biomes.find(b => b.id === id).color;
+  const fillOf = (name) => map.run(`document.querySelector('.country[data-country="${name}"]').style.fill`);
+  assert.equal(fillOf('AUS'), map.run(`d3.color('${colour('desert')}').toString()`), 'filled with the colour from the JSON');
+  assert.equal(fillOf('MUS'), '', 'no fill without shares: style.css hatches it');
+  assert.equal(biomeOf('BRA'), 'tropicalMoist');
+  assert.equal(biomeOf('GRL'), 'rockIce');
+  assert.equal(biomeOf('NZL'), 'temperateBroadleaf', 'Oceania no longer falls back to desert');
+  const kosovo = map.run(`getCountryBiome(countries.find(c => c.properties.name === 'Kosovo'))`);
+  assert.equal(kosovo, '', 'features without an ISO id have no shares');
+});
+
+test('the legend lists only the biomes that dominate somewhere', async () => {
+  await mapReady;
+  const items = map.run(`[...document.querySelectorAll('#biomeLegend .biome-item span')].map(s => s.textContent)`);
+  assert.ok(items.includes('Desert & xeric'));
+  assert.ok(items.includes('No biome data'), 'countries without synthetic shares');
+  assert.equal(items.includes('Mangroves'), false, 'no country is mostly mangroves');
+  const swatch = map.run(`[...document.querySelectorAll('#biomeLegend .biome-item')].find(i => i.textContent === 'Desert & xeric').firstChild.style.background`);
+  assert.equal(swatch, map.run(`d3.color('${bundled.biomes.find(b => b.id === 'desert').color}').toString()`));
+});
+
+test('summarizeContinent groups endemic species by dominant biome', async () => {
+  await mapReady;
+  const africa = plain(map.run('summarizeContinent')('Africa'));
+  assert.equal(africa.biomes.tropicalMoist.totalEndemic, 1020, 'Madagascar');
+  assert.equal(africa.biomes.tropicalMoist.threatened, 540);
+  assert.equal(africa.biomes.tropicalGrassland.totalEndemic, 140, 'Kenya');
+  const total = Object.values(africa.biomes).reduce((sum, b) => sum + b.countries, 0);
+  assert.equal(total, 2, 'countries without shares are left out');
+});
+
+test('with the bundled file every country shows as no biome data', async () => {
+  await mapReady;
+  const swap = (json) => map.run('(json) => { biomeTable = buildBiomeTable(json); renderMap(); drawBiomeLegend(); }')(json);
+  const synthetic = map.run('biomeTable');
+  try {
+    swap(bundled);
+    assert.equal(map.run(`document.querySelectorAll('path.country:not([data-biome=""])').length`), 0);
+    const items = map.run(`[...document.querySelectorAll('#biomeLegend .biome-item span')].map(s => s.textContent)`);
+    assert.deepEqual([...items], ['No biome data']);
+    assert.equal(map.run(`document.querySelector('#biomeLegend .biome-source').textContent`), 'Biome shares not generated yet');
+    assert.equal(plain(map.run('summarizeContinent')('Africa')).biomes.tropicalMoist, undefined);
+  } finally {
+    map.run('(table) => { biomeTable = table; renderMap(); drawBiomeLegend(); }')(synthetic);
+  }
+});
+
+test('correlation rows carry the dominant biome for colouring and export', async () => {
+  const { run } = loadPage('correlations.html');
+  await waitFor(() => run('currentSnapshot && biomeTable'));
+  const t = run('currentSnapshot.tables');
+  const rows = plain(run('combineDataset')(t.endemicTable, t.gdpTable, t.populationTable, { biomeTable: run('biomeTable') }));
+  const mdg = rows.find(row => row.iso3 === 'MDG');
+  assert.equal(mdg.dominantBiome, 'Tropical moist forest');
+  assert.equal(mdg.dominantBiomeShare, 0.45);
+  assert.ok(run('EXPORT_COLUMNS').includes('dominantBiome'));
+  run(`colourBy = 'dominantBiome'`);
+  assert.equal(run('buildPointColour')(rows)(mdg), bundled.biomes.find(b => b.id === 'tropicalMoist').color, 'the map colour of the biome');
+  for (const n of [5, 10, 15, 22]) assert.equal(new Set(run('categoryPalette')(n).slice(0, n)).size, n, `${n} distinct colours`);
+  run('(json) => { biomeTable = buildBiomeTable(json); }')(bundled);
+  const none = plain(run('combineDataset')(t.endemicTable, t.gdpTable, t.populationTable, { biomeTable: run('biomeTable') }));
+  assert.equal(none.find(row => row.iso3 === 'MDG').dominantBiome, '', 'no shares in the bundled file');
+  run('(data) => { pointColour = buildPointColour(data); drawColourLegend(data); }')(none);
+  assert.equal(run(`document.querySelector('#colourLegend .legend-note').textContent`), 'No biome shares yet: run scripts/build-biomes.js');
+});
+
+test('build-biomes measures latitude-weighted shares from ecoregion polygons', async () => {
+  const { measureShares, toPercent } = require('../scripts/build-biomes');
+  const d3 = await import('d3');
+  const box = (w, s, e, n) => ({ type: 'Polygon', coordinates: [[[w, s], [w, n], [e, n], [e, s], [w, s]]] });  // Clockwise, as d3 expects
+  const countries = [
+    { type: 'Feature', id: '001', properties: {}, geometry: box(0, 0, 10, 10) },
+    { type: 'Feature', id: '002', properties: {}, geometry: box(30.01, 0.01, 30.02, 0.02) },  // Smaller than the grid
+    { type: 'Feature', properties: { name: 'No id' }, geometry: box(20, 0, 21, 1) }
+  ];
+  const ecoregions = [
+    { type: 'Feature', properties: { BIOME: 13 }, geometry: box(-5, -5, 5.1, 15) },
+    { type: 'Feature', properties: { BIOME: 7 }, geometry: box(5.1, -5, 7.9, 15) },
+    { type: 'Feature', properties: { BIOME: 98 }, geometry: box(7.9, -5, 15, 15) },  // Lake: not part of the shares
+    { type: 'Feature', properties: { BIOME: 1 }, geometry: box(29, -1, 31, 1) }
+  ];
+  const shares = measureShares(d3, countries, ecoregions, 0.5);
+  assert.deepEqual(Object.keys(shares).sort(), ['001', '002']);
+  assert.ok(shares['001']['13'] > shares['001']['7'], 'the lake does not count');
+  assert.equal(shares['001']['13'] + shares['001']['7'], 100);
+  assert.deepEqual(shares['002'], { 1: 100 }, 'centroid fallback for tiny islands');
+  assert.deepEqual(toPercent({ 4: 1, 5: 1, 6: 1 }), { 4: 34, 5: 33, 6: 33 });
+});
@@ -0,0 +1,130 @@
+// Continent rules (data.js) and continent aggregation on the map (map.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor } = require('./helpers/page');
+
+const { run } = loadPage('map.html');  // Boots the map: basemap from world-atlas, tables from the fixtures
+const ready = waitFor(() => run('countriesByContinent.size > 0 && endemicTable !== null'));
+
+const feature = (name) => run(`countries.find(c => c.properties.name === ${JSON.stringify(name)})`);
+
+test('inferContinent places countries by centroid', async () => {
+  await ready;
+  const expected = {
+    Brazil: 'South America', Canada: 'North America', France: 'Europe', Kenya: 'Africa',
+    India: 'Asia', Australia: 'Oceania', 'New Zealand': 'Oceania', Antarctica: 'Antarctica'
+  };
+  for (const [name, continent] of Object.entries(expected)) {
+    assert.equal(run('inferContinent')(feature(name)), continent, name);
+  }
+});
+
+test('inferContinent applies the name overrides before the centroid rules', async () => {
+  await ready;
+  assert.equal(run('inferContinent')(feature('Greenland')), 'North America');
+  assert.equal(run('inferContinent')(feature('Madagascar')), 'Africa');
+  assert.equal(run('inferContinent')(feature('Kazakhstan')), 'Asia');
+  assert.equal(run('inferContinent')({ type: 'Feature', properties: { name: 'Türkiye' }, geometry: null }), 'Europe');
+});
+
+test('inferContinent reports features without geometry as Unassigned', () => {
+  assert.equal(run('inferContinent')({ type: 'Feature', properties: { name: 'Nowhere' }, geometry: null }), 'Unassigned');
+});
+
+test('summarizeContinent adds up the countries of a continent', async () => {
+  await ready;
+  const africa = run('summarizeContinent')('Africa');
+  assert.ok(africa.totalCountries > 40);
+  assert.equal(africa.endemicCount, 2, 'Madagascar and Kenya');
+  assert.equal(africa.totalEndemic, 1020 + 140);
+  assert.equal(africa.threatened, (60 + 150 + 210 + 120) + (10 + 15 + 12 + 8));
+  assert.deepEqual([africa.nt, africa.vu, africa.en, africa.cr], [70, 165, 222, 128]);
+  assert.equal(africa.gdpCount, 2);
+  assert.equal(africa.gdpUSD, 15.1e9 + 1.13e11);
+  assert.equal(africa.population, 29611714 + 47564296);
+  assert.equal(africa.popYearNote, run('formatYearNote')(new (run('Set'))(['2021', '2019'])));
+  assert.deepEqual(JSON.parse(JSON.stringify(africa.taxa)), {
+    mammals: { total: 210, threatened: 60 },
+    amphibians: { total: 300, threatened: 95 },
+    birds: { total: 110, threatened: 35 }
+  });
+});
+
+test('summarizeContinent uses the values as of the selected year', async () => {
+  await ready;
+  run('state.year = 2012');
+  try {
+    const africa = run('summarizeContinent')('Africa');
+    assert.equal(africa.gdpCount, 1, 'Kenya has no GDP statement before 2013 in the fixture');
+    assert.equal(africa.gdpUSD, 9.98e9);
+    assert.equal(africa.population, 21151640);
+  } finally {
+    run('state.year = null');
+  }
+});
+
+test('summarizeContinent returns an empty summary for unknown names', async () => {
+  await ready;
+  const summary = run('summarizeContinent')('Atlantis');
+  assert.equal(summary.totalCountries, 0);
+  assert.equal(summary.totalEndemic, 0);
+  assert.match(summary.note, /No linked countries/);
+});
+
+test('every basemap feature with a numeric id resolves to an ISO 3166 alpha-3 code', async () => {
+  await ready;
+  const unmatched = JSON.parse(JSON.stringify(run('reportUnmatchedFeatures()')));
+  assert.deepEqual(unmatched.map(f => f.name).sort(), ['Kosovo', 'N. Cyprus', 'Somaliland']);
+  assert.match(run('document.getElementById("unmatchedNote").textContent'), /Kosovo/);
+  assert.equal(run('getCountryISO3')(feature('Dem. Rep. Congo')), 'COD');
+  assert.equal(run('getCountryISO3')(feature('Central African Rep.')), 'CAF');
+  assert.equal(run('getCountryISO3')(feature("Côte d'Ivoire")), 'CIV');
+  assert.equal(run('document.querySelectorAll(\'path.country[data-country=""]\').length'), 3);
+});
+
+test('iso3ForIsoNum prefers the code from the SPARQL rows', () => {
+  const rows = new (run('Map'))([[450, { iso3: 'XMD' }]]);
+  assert.equal(run('iso3ForIsoNum')('450', rows), 'XMD');
+  assert.equal(run('iso3ForIsoNum')('450'), 'MDG');
+  assert.equal(run('iso3ForIsoNum')(undefined), '');
+  assert.equal(run('iso3ForIsoNum')('999'), '');
+});
+
+test('regionFor reads the bundled M49 / World Bank table for every scheme', async () => {
+  await ready;
+  const regionFor = run('regionFor');
+  assert.equal(regionFor(feature('Madagascar'), 'continents'), 'Africa');
+  assert.equal(regionFor(feature('Madagascar'), 'subregions'), 'Eastern Africa');
+  assert.equal(regionFor(feature('Madagascar'), 'worldBank'), 'Sub-Saharan Africa');
+  assert.equal(regionFor(feature('Mexico'), 'continents'), 'North America');
+  assert.equal(regionFor(feature('Mexico'), 'subregions'), 'Central America');
+  assert.equal(regionFor(feature('Mexico'), 'worldBank'), 'Latin America & Caribbean');
+  assert.equal(regionFor(feature('Kosovo'), 'subregions'), 'Southern Europe', 'placed by name (no ISO id)');
+  assert.equal(regionFor(feature('Antarctica'), 'worldBank'), 'Unassigned', 'not a World Bank economy');
+});
+
+test('regionFor falls back to the centroid rules only for unknown features', () => {
+  const island = { type: 'Feature', id: '999', properties: { name: 'Test Island' },
+    geometry: { type: 'Point', coordinates: [25, -15] } };
+  assert.equal(run('regionFor')(island, 'continents'), 'Africa');
+  assert.equal(run('regionFor')(island, 'subregions'), 'Unassigned');
+});
+
+test('switching the grouping scheme regroups the map and is kept in the URL', async () => {
+  await ready;
+  run('document.getElementById("regionSelect").value = "subregions"');
+  run('document.getElementById("regionSelect").dispatchEvent(new Event("change"))');
+  try {
+    assert.equal(run('state.regionScheme'), 'subregions');
+    assert.ok(run('countriesByContinent.has("Eastern Africa")'));
+    assert.equal(run('continents.length'), run('countriesByContinent.size'));
+    assert.match(run('window.location.hash'), /regions=subregions/);
+    const eastAfrica = run('summarizeContinent')('Eastern Africa');
+    assert.equal(eastAfrica.totalEndemic, 1020 + 140, 'Madagascar and Kenya');
+    const fills = run('continents.map(c => regionFill(c.properties.name))');
+    assert.equal(new Set(fills).size, fills.length, 'every subregion has its own fill');
+  } finally {
+    run('applyRegionScheme("continents")');
+  }
+  assert.ok(run('countriesByContinent.has("Africa")'));
+});
@@ -0,0 +1,91 @@
+// Correlation page maths (correlations.js): combining the tables, regression, axis scaling
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor } = require('./helpers/page');
+
+const { run } = loadPage('correlations.html');
+const ready = waitFor(() => run('currentSnapshot'));
+const tables = () => run('currentSnapshot.tables');
+const combine = (options = {}) => {
+  const t = tables();
+  const rows = run('combineDataset')(t.endemicTable, t.gdpTable, t.populationTable, { ...options });
+  return JSON.parse(JSON.stringify(rows));  // Page-realm array -> plain Node values
+};
+const byIso3 = (rows) => Object.fromEntries(rows.map(row => [row.iso3, row]));
+
+test('combineDataset joins the three tables and applies the endemic threshold', async () => {
+  await ready;
+  const rows = byIso3(combine({ minEndemic: 50 }));
+  assert.deepEqual(Object.keys(rows).sort(), ['AUS', 'BRA', 'CHN', 'FRA', 'KEN', 'MDG', 'USA']);
+  const mdg = rows.MDG;
+  assert.equal(mdg.totalEndemic, 1020);
+  assert.equal(mdg.threatenedEndemic, 540);
+  assert.equal(mdg.fraction, 540 / 1020);
+  assert.equal(mdg.gdpUSD, 15.1e9);
+  assert.equal(mdg.population, 29611714);
+  assert.equal(mdg.gdpPerCapita, 15.1e9 / 29611714);
+  assert.equal(combine({ minEndemic: 100 }).some(row => row.iso3 === 'FRA'), false, 'France has 75 endemic species');
+});
+
+test('combineDataset leaves out countries without GDP or population', async () => {
+  await ready;
+  assert.equal(combine({ minEndemic: 0 }).some(row => row.iso3 === 'GRL'), false);
+});
+
+test('combineDataset filters by GDP and population ranges', async () => {
+  await ready;
+  const rows = combine({ gdpRange: [1e12, null], popRange: [null, 3e8] });
+  assert.deepEqual(rows.map(row => row.iso3).sort(), ['AUS', 'BRA', 'FRA']);
+});
+
+test('combineDataset aligns GDP and population to a year and reports what it drops', async () => {
+  await ready;
+  const t = tables();
+  const base = { gdpSeriesTable: t.gdpSeriesTable, popSeriesTable: t.popSeriesTable, year: 2016 };
+  const asOf = byIso3(combine(base));
+  assert.deepEqual(Object.keys(asOf).sort(), ['BRA', 'MDG', 'USA']);
+  assert.equal(asOf.MDG.gdpYear, 2015);
+  assert.equal(asOf.MDG.popYear, 2010);
+
+  const excluded = [];
+  const nearest = byIso3(combine({ ...base, align: 'nearest', tolerance: 2, excluded }));
+  assert.deepEqual(Object.keys(nearest), ['MDG']);
+  assert.equal(nearest.MDG.popYear, 2018);
+  assert.equal(nearest.MDG.yearGap, 3);
+  const reasons = Object.fromEntries(excluded.map(row => [row.countryLabel, row.reason]));
+  assert.equal(reasons.Brazil, 'no population within ±2 years of 2016');
+  assert.equal(reasons['United States of America'], 'no GDP or population within ±2 years of 2016');
+});
+
+test('linearRegression recovers an exact line', () => {
+  const fit = run('linearRegression')([1, 2, 3, 4, 5].map(x => ({ x, y: 2 * x + 1 })));
+  assert.equal(fit.slope, 2);
+  assert.equal(fit.intercept, 1);
+  assert.equal(fit.r, 1);
+  assert.equal(fit.residualSE, 0);
+});
+
+test('linearRegression matches textbook values on noisy data', () => {
+  // x = 1..5, y = 2, 4, 5, 4, 5: slope 0.6, intercept 2.2, r² = 0.6, s = √(2.4 / 3), SE(slope) = s / √10
+  const fit = run('linearRegression')([[1, 2], [2, 4], [3, 5], [4, 4], [5, 5]].map(([x, y]) => ({ x, y })));
+  assert.ok(Math.abs(fit.slope - 0.6) < 1e-12);
+  assert.ok(Math.abs(fit.intercept - 2.2) < 1e-12);
+  assert.ok(Math.abs(fit.r2 - 0.6) < 1e-12);
+  assert.ok(Math.abs(fit.seSlope - Math.sqrt(0.8) / Math.sqrt(10)) < 1e-12);
+  assert.ok(Math.abs(fit.pValue - 0.124) < 1e-3, `p = ${fit.pValue}`);
+});
+
+test('linearRegression handles degenerate input', () => {
+  assert.deepEqual(JSON.parse(JSON.stringify(run('linearRegression')([]))), { slope: 0, intercept: 0, r: 0, r2: 0 });
+  const flat = run('linearRegression')([{ x: 3, y: 1 }, { x: 3, y: 2 }, { x: 3, y: 4 }]);
+  assert.equal(flat.slope, 0, 'no spread in x');
+  assert.ok(Number.isNaN(flat.seSlope));
+});
+
+test('chooseScale picks millions, billions or trillions', () => {
+  const scale = (max) => JSON.parse(JSON.stringify(run('chooseScale')(max, 'GDP')));
+  assert.deepEqual(scale(0), { factor: 1, label: 'GDP' });
+  assert.deepEqual(scale(5e8), { factor: 1e6, label: 'GDP (millions)' });
+  assert.deepEqual(scale(1e9), { factor: 1e9, label: 'GDP (billions)' });
+  assert.deepEqual(scale(2.5e13), { factor: 1e12, label: 'GDP (trillions)' });
+});
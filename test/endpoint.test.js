@@ -0,0 +1,52 @@
+// Endpoint handling in data.js: validation, URL parameter vs stored choice, status messages, cache TTL parameter
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+const dataLayer = (search = '') => loadPage('map.html', { search, scripts: ['data.js'] });
+
+test('a failed background refresh names the data source in use', () => {
+  const { run } = dataLayer();
+  assert.equal(run('refreshFailedMessage()'), 'QLever unreachable, using the last saved snapshot');
+  assert.equal(run('refreshFailedMessage')('https://query.wikidata.org/sparql'), 'query.wikidata.org unreachable, using the last saved snapshot');
+  const custom = dataLayer('?endpoint=https://sparql.example.org/wikidata');
+  assert.match(custom.run('refreshFailedMessage()'), /^sparql\.example\.org unreachable/);
+});
+
+test('fixture folders need an explicit ./, ../ or / prefix; other non-URLs are rejected', () => {
+  const { run } = dataLayer();
+  for (const folder of ['./fixtures/', '../recorded/', '/fixtures/']) assert.equal(run('isValidEndpoint')(folder) && run('isFixtureEndpoint')(folder), true, folder);
+  for (const value of ['fixtures/', 'qlever.dev/api/wikidata', 'ftp://example.org/sparql']) assert.equal(run('isValidEndpoint')(value), false, value);
+  assert.equal(run('isFixtureEndpoint')('https://query.wikidata.org/sparql'), false);
+});
+
+test('?endpoint= applies to this visit only and an invalid value is ignored', () => {
+  const { window, run } = dataLayer('?endpoint=./fixtures/');
+  assert.equal(run('getEndpoint()'), './fixtures/');
+  assert.equal(window.localStorage.getItem('explorer.endpoint'), null, 'not stored by the getter');
+
+  const typo = dataLayer('?endpoint=sparql.example.org/wikidata');
+  assert.equal(typo.run('getEndpoint()'), typo.run('QLEVER'));
+  typo.run('setupEndpointSettings()');
+  assert.match(typo.window.document.getElementById('endpointStatus').textContent, /^Ignoring \?endpoint=sparql\.example\.org\/wikidata: /);
+});
+
+test('the Data source panel stores only valid endpoints', () => {
+  const { window, run } = dataLayer('');
+  const doc = window.document;
+  run('setupEndpointSettings()');
+  const input = doc.getElementById('endpointInput');
+  input.value = 'fixtures/';
+  doc.getElementById('endpointApply').dispatchEvent(new window.MouseEvent('click'));
+  assert.match(doc.getElementById('endpointStatus').textContent, /^Not applied: /);
+  assert.equal(input.getAttribute('aria-invalid'), 'true');
+  assert.equal(window.localStorage.getItem('explorer.endpoint'), null);
+});
+
+test('?cacheTtl= sets the refresh interval for this visit only', () => {
+  const { window, run } = dataLayer('?cacheTtl=2');
+  assert.equal(run('getCacheTtlMs()'), 2 * 60 * 60 * 1000);
+  assert.equal(window.localStorage.length, 0, 'nothing stored');
+  assert.equal(dataLayer('').run('getCacheTtlMs()'), 24 * 60 * 60 * 1000);
+  assert.equal(dataLayer('?cacheTtl=-1').run('getCacheTtlMs()'), 24 * 60 * 60 * 1000, 'invalid values fall back to the default');
+});
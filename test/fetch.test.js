@@ -0,0 +1,77 @@
+// runSparqlGETWithRetry (data.js): retries on rate limits and network errors, timeouts, fixture endpoint
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, jsonResponse, FIXTURE_DIR } = require('./helpers/page');
+
+const OK_BODY = { head: { vars: [] }, results: { bindings: [] } };
+
+// Loads the data layer against the default (live) endpoint with a scripted fetch.
+// `responses` are consumed one per call: a number is an HTTP status, an Error is thrown, 'hang' never settles.
+function withFetch(responses) {
+  const calls = [];
+  const fetch = (url, options = {}) => {
+    calls.push(String(url));
+    const next = responses.shift();
+    if (next === 'hang') {
+      return new Promise((resolve, reject) => {
+        options.signal?.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      });
+    }
+    if (next instanceof Error) return Promise.reject(next);
+    return Promise.resolve(jsonResponse(next === 200 ? OK_BODY : { error: next }, next));
+  };
+  const page = loadPage('map.html', { search: '', fetch, scripts: ['data.js'] });
+  page.run('Math.random = () => 0');  // No jitter, so retries wait only baseDelayMs * attempt
+  return { ...page, calls };
+}
+
+test('sends the query to the default endpoint as a GET parameter', async () => {
+  const { run, calls } = withFetch([200]);
+  const json = await run('runSparqlGETWithRetry')('SELECT * WHERE {}', { baseDelayMs: 0 });
+  assert.deepEqual(JSON.parse(JSON.stringify(json)), OK_BODY);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0], `${run('QLEVER')}?query=${encodeURIComponent('SELECT * WHERE {}')}`);
+});
+
+test('retries 429, 403 and 503 responses, then succeeds', async () => {
+  const { run, calls } = withFetch([429, 503, 403, 200]);
+  await run('runSparqlGETWithRetry')('Q', { retries: 3, baseDelayMs: 0 });
+  assert.equal(calls.length, 4);
+});
+
+test('gives up after the configured number of retries', async () => {
+  const { run, calls } = withFetch([503, 503, 503]);
+  await assert.rejects(run('runSparqlGETWithRetry')('Q', { retries: 2, baseDelayMs: 0 }), /503/);
+  assert.equal(calls.length, 3);
+});
+
+test('other HTTP errors are retried like network errors', async () => {
+  const { run, calls } = withFetch([500, 200]);
+  await run('runSparqlGETWithRetry')('Q', { retries: 1, baseDelayMs: 0 });
+  assert.equal(calls.length, 2);
+});
+
+test('retries after a network error', async () => {
+  const { run, calls } = withFetch([new TypeError('Failed to fetch'), 200]);
+  await run('runSparqlGETWithRetry')('Q', { retries: 1, baseDelayMs: 0 });
+  assert.equal(calls.length, 2);
+});
+
+test('aborts a request that takes longer than timeoutMs', async () => {
+  const { run, calls } = withFetch(['hang']);
+  await assert.rejects(run('runSparqlGETWithRetry')('Q', { retries: 0, timeoutMs: 20 }), /Request timeout after 20ms/);
+  assert.equal(calls.length, 1);
+});
+
+test('a timed-out attempt is retried', async () => {
+  const { run, calls } = withFetch(['hang', 200]);
+  await run('runSparqlGETWithRetry')('Q', { retries: 1, baseDelayMs: 0, timeoutMs: 20 });
+  assert.equal(calls.length, 2);
+});
+
+test('a fixture endpoint reads the recorded file instead of querying', async () => {
+  const { run } = loadPage('map.html', { scripts: ['data.js'] });
+  const json = await run('runSparqlGETWithRetry')(run('Q_GDP'));
+  assert.ok(json.results.bindings.length > 0);
+  await assert.rejects(run('runSparqlGETWithRetry')('SELECT ?unrecorded WHERE {}'), new RegExp(`No recorded response q-[0-9a-f]{8}\\.json in ${FIXTURE_DIR}`));
+});
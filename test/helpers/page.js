@@ -0,0 +1,98 @@
+// Loads the explorer's browser scripts into a jsdom window so tests can call their globals.
+// The pages are classic <script> files sharing one global scope, so they are run with vm in the
+// window's context (top-level const/let stay reachable through `run`), in the order the HTML lists them.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const FIXTURE_DIR = './test/fixtures/synthetic/';  // Hand-written SPARQL responses in the recorded format (fixtureName() file names)
+const MODULES = path.join(ROOT, 'node_modules');
+const VENDOR = {  // CDN scripts in the HTML -> local copies from node_modules
+  d3: path.join(MODULES, 'd3', 'dist', 'd3.js'),
+  'topojson-client': path.join(MODULES, 'topojson-client', 'dist', 'topojson-client.js')
+};
+const WORLD_ATLAS_DIR = path.join(MODULES, 'world-atlas');
+
+// A fetch Response good enough for the scripts (ok, status, json, text)
+function jsonResponse(body, status = 200) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return { ok: status >= 200 && status < 300, status, json: async () => JSON.parse(text), text: async () => text };
+}
+
+// data/biomes.json ships without shares; tests get its biome classes with synthetic shares for the fixture countries
+function syntheticBiomes() {
+  const bundled = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'biomes.json'), 'utf8'));
+  return { ...bundled, source: 'synthetic test shares', countries: readFixture('biome-shares.json') };
+}
+
+// Default network: files under the repo root (fixtures) and the world-atlas basemap; anything else fails
+function localFetch(window) {
+  return async (input) => {
+    const url = new URL(String(input), window.location.href);
+    if (url.href === 'http://localhost/data/biomes.json') return jsonResponse(syntheticBiomes());
+    const atlas = url.href.match(/world-atlas@2\/(countries-\d+m\.json)$/);
+    if (atlas) return jsonResponse(fs.readFileSync(path.join(WORLD_ATLAS_DIR, atlas[1]), 'utf8'));
+    if (url.origin === 'http://localhost') {
+      const file = path.join(ROOT, decodeURIComponent(url.pathname));
+      if (fs.existsSync(file)) return jsonResponse(fs.readFileSync(file, 'utf8'));
+      return jsonResponse({ error: 'not found' }, 404);
+    }
+    throw new TypeError(`Unexpected network request in tests: ${url.href}`);
+  };
+}
+
+// Opens a page (e.g. 'map.html') with its scripts running. Returns { window, run, consoleErrors }, where
+// consoleErrors collects the arguments of every console.error call the page makes.
+// - search: query string for the page URL; defaults to the recorded fixtures as the endpoint
+// - fetch: replaces the default local fetch
+// - scripts: run only these script files (e.g. ['data.js'] for the data layer on its own)
+function loadPage(page, { search = `?endpoint=${FIXTURE_DIR}`, fetch = null, scripts = null } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+  const dom = new JSDOM(html.replace(/<script\b[^>]*><\/script>/g, ''), {
+    url: `http://localhost/${page}${search}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  window.fetch = fetch || localFetch(window);
+  const consoleErrors = [];
+  window.console = { ...console, error: (...args) => { consoleErrors.push(args); console.error(...args); } };
+  // Layout APIs jsdom does not implement (sizes are irrelevant to the tests)
+  window.SVGElement.prototype.getBBox = () => ({ x: 0, y: 0, width: 10, height: 10 });
+  window.SVGElement.prototype.getComputedTextLength = () => 10;
+  for (const [prop, value] of [['width', 960], ['height', 520]]) {  // svg.width.baseVal.value (map.js sizing)
+    Object.defineProperty(window.SVGElement.prototype, prop, { get: () => ({ baseVal: { value } }) });
+  }
+
+  const context = dom.getInternalVMContext();
+  const sources = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(m => m[1]);
+  for (const src of sources) {
+    const vendor = Object.keys(VENDOR).find(name => src.includes(`/${name}@`));
+    if (!vendor && scripts && !scripts.includes(src)) continue;
+    if (vendor && scripts) continue;
+    const file = vendor ? VENDOR[vendor] : path.join(ROOT, src);
+    new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+  }
+  const run = (code) => new vm.Script(code).runInContext(context);
+  return { window, run, consoleErrors };
+}
+
+// Resolves once check() returns a truthy value (polls; rejects after timeoutMs)
+async function waitFor(check, timeoutMs = 5000) {
+  const start = Date.now();
+  while (true) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() - start > timeoutMs) throw new Error('waitFor timed out');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// Reads one synthetic response by file name
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, FIXTURE_DIR, name), 'utf8'));
+}
+
+module.exports = { loadPage, waitFor, readFixture, jsonResponse, FIXTURE_DIR };
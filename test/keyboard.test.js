@@ -0,0 +1,80 @@
+// Keyboard and screen-reader navigation of the map (roving tabindex, ARIA labels, live announcements)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor } = require('./helpers/page');
+
+const { window, run, consoleErrors } = loadPage('map.html');
+const ready = waitFor(() => run('countriesByContinent.size > 0 && endemicTable !== null && !urlSyncPaused'));
+const doc = window.document;
+
+const focused = () => doc.activeElement;
+const press = (key, options = {}) => {
+  focused().dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+};
+const tabStops = (selector) => [...doc.querySelectorAll(selector)].filter(el => el.getAttribute('tabindex') === '0');
+const announcement = () => doc.getElementById('mapAnnouncer').textContent;
+
+test('one continent is in the tab order and every path has a label', async () => {
+  await ready;
+  assert.equal(tabStops('path.continent').length, 1);
+  assert.equal(doc.querySelectorAll('path.continent[tabindex="-1"]').length, run('continents.length') - 1);
+  assert.equal(doc.querySelectorAll('path.country[tabindex]').length, 0, 'countries wait for a continent');
+  assert.equal(tabStops('path.continent')[0].getAttribute('aria-label').split(',')[0], 'Africa', 'alphabetical first');
+  assert.match(doc.querySelector('path.continent[data-continent="europe"]').getAttribute('aria-label'), /^Europe, \d+ countries$/);
+  assert.equal(doc.querySelector('path.country[data-country="KEN"]').getAttribute('role'), 'button');
+});
+
+test('arrow keys move the roving tabindex, wrapping at the ends', async () => {
+  await ready;
+  tabStops('path.continent')[0].focus();
+  press('ArrowRight');
+  assert.equal(focused().getAttribute('aria-label').split(',')[0], 'Antarctica');
+  assert.equal(tabStops('path.continent').length, 1);
+  assert.equal(tabStops('path.continent')[0], focused());
+  press('ArrowLeft');
+  press('ArrowLeft');
+  assert.equal(focused().getAttribute('aria-label').split(',')[0], 'South America', 'wraps to the last continent');
+  press('Home');
+  assert.equal(focused().getAttribute('aria-label').split(',')[0], 'Africa');
+});
+
+test('Enter drills into a continent and then a country, announcing the panel', async () => {
+  await ready;
+  press('Enter');
+  await waitFor(() => run('state.continentName') === 'Africa' && focused()?.matches('path.country'));
+  assert.equal(run('continentByCountryId.get(document.activeElement.__data__.id)'), 'Africa');
+  assert.equal(doc.querySelector('path.continent').getAttribute('aria-hidden'), 'true');
+  assert.equal(tabStops('path.country').length, 1);
+  assert.match(announcement(), /^Africa\. Total endemic species: 1,160\./);
+
+  while (!focused().matches('[data-country="KEN"]')) press('ArrowRight');
+  assert.match(focused().getAttribute('aria-label'), /^Kenya, mostly /);
+  press('Enter');
+  await waitFor(() => run('state.countryId') === 404);
+  assert.match(announcement(), /^Kenya\. Total endemic species: 140\./);
+  assert.equal(focused().getAttribute('aria-current'), 'true');
+  await waitFor(() => consoleErrors.length || run('speciesView.rows.length'));
+});
+
+test('Shift+Enter pins the focused country and says so', async () => {
+  await ready;
+  press('Enter', { shiftKey: true });
+  assert.deepEqual([...run('state.pinned')], [404]);
+  assert.equal(announcement(), 'Kenya pinned for comparison.');
+  assert.match(focused().getAttribute('aria-label'), /pinned for comparison$/);
+  press('Enter', { shiftKey: true });
+  assert.equal(announcement(), 'Kenya unpinned.');
+});
+
+test('Escape returns to the continents with focus on the one just left', async () => {
+  await ready;
+  press('Escape');
+  assert.equal(run('state.continentName'), null);
+  assert.equal(focused().getAttribute('aria-label').split(',')[0], 'Africa');
+  assert.equal(doc.querySelectorAll('path.country[tabindex]').length, 0);
+  assert.equal(announcement(), 'Back to continents.');
+});
+
+test('the page logged no errors', () => {
+  assert.deepEqual(consoleErrors, []);
+});
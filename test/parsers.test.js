@@ -0,0 +1,68 @@
+// SPARQL JSON parsers (data.js) against the synthetic responses in test/fixtures/synthetic
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFixture } = require('./helpers/page');
+
+const { run } = loadPage('map.html', { scripts: ['data.js'] });
+const plain = (value) => JSON.parse(JSON.stringify(value));  // Values from the page realm -> plain Node values
+const parse = (parser, query) => {
+  const json = readFixture(run(`fixtureName(${query})`));
+  return run(parser)(json);
+};
+
+test('buildEndemicMap keys rows by ISO numeric code', () => {
+  const table = parse('buildEndemicMap', 'Q_END_EMD');
+  assert.equal(table.size, 8);
+  assert.deepEqual(plain(table.get(450)), {
+    countryLabel: 'Madagascar',
+    iso3: 'MDG',
+    isoNum: '450',
+    totalEndemicSpecies: 1020,
+    nearThreatenedEndemicSpecies: 60,
+    vulnerableEndemicSpecies: 150,
+    endangeredEndemicSpecies: 210,
+    criticallyEndangeredEndemicSpecies: 120
+  });
+  assert.equal(table.get(76).iso3, 'BRA', 'zero-padded "076" is stored under 76');
+  assert.equal(table.get(76).isoNum, '076', 'the original string is kept');
+});
+
+test('buildGdpMap keeps the value and year of the latest statement', () => {
+  const table = parse('buildGdpMap', 'Q_GDP');
+  assert.equal(table.size, 7);
+  assert.equal(table.get(840).gdpUSD, 2.54e13);
+  assert.equal(table.get(840).gdpYear, '2022');
+  assert.equal(table.has(304), false, 'Greenland has no GDP statement in the fixture');
+});
+
+test('buildPopulationMap keeps the value and year of the latest statement', () => {
+  const table = parse('buildPopulationMap', 'Q_POP');
+  assert.equal(table.size, 8);
+  assert.deepEqual(plain(table.get(404)), {
+    countryLabel: 'Kenya', iso3: 'KEN', isoNum: '404', population: 47564296, popYear: '2019'
+  });
+});
+
+test('parsers skip rows without a usable ISO code and tolerate empty responses', () => {
+  const json = { head: { vars: ['isoNum', 'gdpUSD'] }, results: { bindings: [
+    { gdpUSD: { type: 'literal', value: '5' } },
+    { isoNum: { type: 'literal', value: 'n/a' }, gdpUSD: { type: 'literal', value: '5' } }
+  ] } };
+  for (const parser of ['buildEndemicMap', 'buildGdpMap', 'buildPopulationMap']) {
+    assert.equal(run(parser)(json).size, 0, parser);
+    assert.equal(run(parser)({}).size, 0, `${parser} on {}`);
+    assert.equal(run(parser)(null).size, 0, `${parser} on null`);
+  }
+});
+
+test('series parsers sort each country oldest first', () => {
+  const gdp = parse('buildGdpSeriesMap', 'Q_GDP_SERIES');
+  assert.deepEqual(plain(gdp.get(450)).map(p => p.year), [2010, 2015, 2022]);
+  const pop = parse('buildPopSeriesMap', 'Q_POP_SERIES');
+  assert.deepEqual(plain(pop.get(76)), [{ year: 2010, value: 190755799 }, { year: 2022, value: 203062512 }]);
+});
+
+test('every registered dataset has a recorded response', () => {
+  const names = plain(run('DATASETS.map(ds => fixtureName(ds.query))'));
+  names.forEach(name => assert.doesNotThrow(() => readFixture(name), `missing fixture ${name}`));
+});
@@ -0,0 +1,95 @@
+// Projection switcher on the map: Robinson formula, redraws under every projection, globe rotation and URL state
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor, FIXTURE_DIR } = require('./helpers/page');
+
+const { window, run, consoleErrors } = loadPage('map.html', { search: `?endpoint=${FIXTURE_DIR}#projection=robinson` });
+const ready = waitFor(() => run('countriesByContinent.size > 0 && endemicTable !== null && !urlSyncPaused'));
+const doc = window.document;
+const select = () => doc.getElementById('projectionSelect');
+const choose = (id) => {
+  select().value = id;
+  select().dispatchEvent(new window.Event('change'));
+};
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+
+test('robinsonRaw follows the Robinson table at the equator, 45° and the pole', () => {
+  const [x0, y0] = run('robinsonRaw')(Math.PI, 0);
+  close(x0, Math.PI, 'equator length');
+  close(y0, 0, 'equator height');
+  const [x45, y45] = run('robinsonRaw')(Math.PI, Math.PI / 4);
+  close(x45, Math.PI * 0.8962, '45° parallel length');
+  close(y45, (Math.PI / 2) * 0.5571 * 1.0144, '45° parallel height');
+  const [, south] = run('robinsonRaw')(0, -Math.PI / 2);
+  close(south, -(Math.PI / 2) * 1.0144, 'south pole');
+});
+
+test('the projection comes from the URL and the select lists every projection', async () => {
+  await ready;
+  assert.equal(run('state.projection'), 'robinson');
+  assert.deepEqual([...select().options].map(o => o.textContent), ['Equal Earth', 'Natural Earth', 'Robinson', 'Mercator', 'Globe']);
+  assert.equal(select().value, 'robinson');
+});
+
+test('every projection redraws the regions, countries and borders', async () => {
+  await ready;
+  for (const id of run('PROJECTIONS.map(p => p.id)')) {
+    choose(id);
+    assert.equal(run('state.projection'), id);
+    assert.ok(doc.querySelector('.sphere').getAttribute('d'), `${id}: sphere`);
+    const drawn = [...doc.querySelectorAll('path.continent[d]')].map(p => p.getAttribute('data-continent'));
+    if (id === 'globe') assert.deepEqual(drawn.filter(name => name === 'africa' || name === 'oceania'), ['africa'], 'far side is clipped');
+    else assert.equal(drawn.length, run('continents.length'), `${id}: merged continents`);
+    assert.ok(run('borderLayer.attr("d")'), `${id}: border mesh`);
+    assert.match(window.location.hash, id === 'equalEarth' ? /^(?!.*projection=)/ : new RegExp(`projection=${id}`));
+  }
+});
+
+test('Equal Earth keeps Greenland at its true size relative to Congo, Mercator does not', async () => {
+  await ready;
+  const ratio = () => run(`(() => {
+    const grl = findCountryFeature(304), cod = findCountryFeature(180);
+    return [path.area(grl) / path.area(cod), d3.geoArea(grl) / d3.geoArea(cod)];
+  })()`);
+  choose('equalEarth');
+  const [equalEarth, sphere] = ratio();
+  assert.ok(Math.abs(equalEarth / sphere - 1) < 0.05, `Equal Earth ${equalEarth} vs ${sphere}`);
+  choose('mercator');
+  const [mercator] = ratio();
+  assert.ok(mercator > 3 * sphere, `Mercator ${mercator} vs ${sphere}`);
+});
+
+test('on the globe, selecting a country turns it to the front and zooms in', async () => {
+  await ready;
+  choose('globe');
+  assert.equal(doc.querySelector('svg.map').classList.contains('globe'), true);
+  assert.equal(run(`zoomBehavior.filter()({ type: 'mousedown', button: 0 })`), false, 'dragging turns instead of panning');
+  assert.equal(run(`zoomBehavior.filter()({ type: 'wheel', button: 0 })`), true);
+
+  await run('selectCountry')(run('findCountryFeature(36)'));  // Australia, on the far side from the start rotation
+  await waitFor(() => !run('inFlight') && run('state.countryId') === 36);
+  const [lon, lat] = run('d3.geoCentroid(findCountryFeature(36))');
+  await waitFor(() => Math.abs(run('globeRotation[0]') + lon) < 0.01, 3000);
+  assert.ok(Math.abs(run('globeRotation[1]') + lat) < 0.01);
+  assert.ok(doc.querySelector('path.country[data-country="AUS"]').getAttribute('d'), 'visible');
+  assert.equal(doc.querySelector('path.country[data-country="BRA"]').getAttribute('d'), null, 'Brazil is behind the globe');
+  await waitFor(() => run('currentTransform.k') > 1);
+  assert.match(window.location.hash, /projection=globe&rotate=-?\d+\.\d,-?\d+\.\d/);
+  await waitFor(() => consoleErrors.length || run('speciesView.rows.length'));
+});
+
+test('the globe rotation survives in the URL and is clamped at the poles', async () => {
+  await ready;
+  run('rotateGlobe')([200, -120]);
+  assert.deepEqual([...run('globeRotation')], [-160, -90]);
+  const decoded = run('decodeUrlState')('#projection=globe&rotate=12.5,-40.0');
+  assert.equal(decoded.projection, 'globe');
+  assert.deepEqual([...decoded.rotate], [12.5, -40]);
+  assert.equal(run('decodeUrlState')('#projection=peters').projection, 'equalEarth', 'unknown ids fall back to the default');
+  await run('applyUrlState')('#projection=globe&rotate=12.5,-40.0');
+  assert.deepEqual([...run('projection.rotate()')].slice(0, 2), [12.5, -40]);
+});
+
+test('the page logged no errors', () => {
+  assert.deepEqual(consoleErrors, []);
+});
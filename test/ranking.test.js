@@ -0,0 +1,85 @@
+// Ranking table under the map: scope, sorting, derived metrics, hover and click
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor } = require('./helpers/page');
+
+const { window, run } = loadPage('map.html');
+const ready = waitFor(() => run('countriesByContinent.size > 0 && endemicTable !== null && !urlSyncPaused'));
+const doc = window.document;
+
+const headers = () => [...doc.querySelectorAll('#rankingTable th')];
+const header = (label) => headers().find(th => th.textContent.replace(/ [▲▼]$/, '') === label);
+const rowLabels = () => [...doc.querySelectorAll('#rankingTable tbody tr')].map(tr => tr.children[1].textContent);
+const rowFor = (label) => [...doc.querySelectorAll('#rankingTable tbody tr')].find(tr => tr.children[1].textContent === label);
+const column = (label) => headers().indexOf(header(label));
+
+test('the world ranking lists every country in the tables, most endemic species first', async () => {
+  await ready;
+  assert.equal(doc.getElementById('rankingTitle').textContent, 'Country ranking · World');
+  const rows = run('buildRankingRows()');
+  assert.equal(rows.length, 8, 'the eight fixture countries');
+  assert.equal(rowLabels()[0], 'Australia');
+  assert.equal(header('Endemic').getAttribute('aria-sort'), 'descending');
+  const endemic = [...doc.querySelectorAll('#rankingTable tbody tr')].map(tr => tr.children[column('Endemic')].textContent);
+  const numbers = endemic.filter(v => v !== '—').map(v => Number(v.replace(/,/g, '')));
+  assert.deepEqual(numbers, numbers.slice().sort((a, b) => b - a));
+});
+
+test('derived metrics are computed per country', async () => {
+  await ready;
+  const mdg = run('buildRankingRows()').find(row => row.iso === 450);
+  assert.equal(mdg.values.fraction, 540 / 1020);
+  assert.equal(mdg.values.endemicPerMillion, 1020 / (29611714 / 1e6));
+  assert.equal(mdg.values.gdpPerCapita, 15.1e9 / 29611714);
+});
+
+test('header clicks sort by any column and missing values stay at the bottom', async () => {
+  await ready;
+  header('GDP').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+  assert.equal(header('GDP').getAttribute('aria-sort'), 'descending');
+  assert.equal(rowLabels().at(-1), 'Greenland', 'no GDP in the fixtures');
+  assert.equal(rowFor('Greenland').children[0].textContent, '—', 'no rank without a value');
+  header('GDP').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+  assert.equal(header('GDP').getAttribute('aria-sort'), 'ascending');
+  assert.equal(rowLabels().at(-1), 'Greenland');
+  assert.equal(rowLabels()[0], 'Madagascar', 'smallest GDP first');
+  header('Country').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+  assert.deepEqual(rowLabels(), rowLabels().slice().sort((a, b) => a.localeCompare(b)));
+});
+
+test('hovering a row outlines the country on the map', async () => {
+  await ready;
+  rowFor('Kenya').dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true, relatedTarget: doc.body }));
+  rowFor('Kenya').dispatchEvent(new window.MouseEvent('mouseenter'));
+  assert.equal(doc.querySelector('path.country-highlight')?.getAttribute('data-country'), 'KEN');
+  rowFor('Kenya').dispatchEvent(new window.MouseEvent('mouseleave'));
+  assert.equal(doc.querySelector('path.country-highlight'), null);
+});
+
+test('clicking a row opens its continent and the country, and the ranking follows the scope', async () => {
+  await ready;
+  const entries = window.history.length;
+  rowFor('Kenya').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+  await waitFor(() => run('state.countryId') === 404 && !run('inFlight'));
+  assert.equal(run('state.continentName'), 'Africa');
+  assert.equal(window.history.length, entries + 1, 'one history entry, no intermediate continent view');
+  assert.match(doc.getElementById('mapAnnouncer').textContent, /^Kenya\./);
+  assert.equal(doc.getElementById('rankingTitle').textContent, 'Country ranking · Africa');
+  assert.deepEqual(rowLabels().sort(), ['Kenya', 'Madagascar']);
+  assert.equal(rowFor('Kenya').className, 'ranking-selected');
+});
+
+test('a new selection only moves the selected-row class; the table is rebuilt when the data changes', async () => {
+  await ready;
+  const body = doc.querySelector('#rankingTable tbody');
+  rowFor('Madagascar').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+  await waitFor(() => run('state.countryId') === 450 && !run('inFlight'));
+  assert.equal(doc.querySelector('#rankingTable tbody'), body, 'same rows');
+  assert.deepEqual([...doc.querySelectorAll('#rankingTable tr.ranking-selected')].map(tr => tr.children[1].textContent), ['Madagascar']);
+  run(`state.taxonGroup = 'amphibians'`);
+  run('renderRankingTable()');
+  assert.notEqual(doc.querySelector('#rankingTable tbody'), body, 'rebuilt for the taxonomic group');
+  assert.equal(rowFor('Madagascar').className, 'ranking-selected');
+  run('state.taxonGroup = null');
+  run('renderRankingTable()');
+});
@@ -0,0 +1,74 @@
+// Country search box on the map: matching, suggestion list and one-step selection
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor } = require('./helpers/page');
+
+const { window, run, consoleErrors } = loadPage('map.html');
+const ready = waitFor(() => run('countriesByContinent.size > 0 && endemicTable !== null && !urlSyncPaused'));
+const doc = window.document;
+const input = () => doc.getElementById('countrySearch');
+const labels = (query) => [...run('searchCountries')(query)].map(r => r.label);  // Page-realm array -> Node array
+
+const type = (text) => {
+  input().value = text;
+  input().dispatchEvent(new window.Event('input'));
+};
+const press = (key) => input().dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+
+test('searchCountries matches labels, basemap names and ISO codes', async () => {
+  await ready;
+  assert.equal(labels('ken')[0], 'Kenya');
+  assert.equal(labels('MDG')[0], 'Madagascar', 'alpha-3 code');
+  assert.ok(labels('cote').includes("Côte d'Ivoire"), 'accents are ignored');
+  assert.ok(labels('congo').length >= 2, 'word prefixes: "Dem. Rep. Congo"');
+  assert.deepEqual(labels('kosovo'), [], 'features without an ISO id cannot be selected');
+  assert.deepEqual(labels('   '), []);
+});
+
+test('name prefixes rank before word prefixes and substrings', async () => {
+  await ready;
+  const results = labels('guinea');
+  assert.equal(results[0], 'Guinea');
+  assert.ok(results.indexOf('Guinea-Bissau') < results.indexOf('Papua New Guinea'));
+  assert.ok(results.length <= run('SEARCH_LIMIT'));
+});
+
+test('typing lists suggestions and the arrow keys move the highlight', async () => {
+  await ready;
+  type('bra');
+  const list = doc.getElementById('countrySearchList');
+  assert.equal(list.hidden, false);
+  assert.equal(input().getAttribute('aria-expanded'), 'true');
+  assert.equal(list.querySelector('li').textContent.startsWith('Brazil'), true);
+  assert.equal(input().getAttribute('aria-activedescendant'), 'countrySearchOption0');
+  press('ArrowUp');
+  assert.equal(list.querySelector('[aria-selected="true"]').id, `countrySearchOption${list.children.length - 1}`);
+  press('Escape');
+  assert.equal(list.hidden, true);
+  assert.equal(input().getAttribute('aria-expanded'), 'false');
+});
+
+test('choosing a result selects the continent and country, zooms and fills the panel', async () => {
+  await ready;
+  run(`(() => { const zoom = zoomToFeature; zoomToFeature = f => { window.zoomedTo = f.id; zoom(f); }; })()`);
+  type('brazil');
+  press('Enter');
+  await waitFor(() => run('state.countryId') === 76 && !run('inFlight'));
+  assert.equal(run('state.continentName'), 'South America');
+  assert.equal(run('window.zoomedTo'), '076');
+  assert.equal(doc.getElementById('country-title').textContent, 'Brazil');
+  assert.match(window.location.hash, /country=76/);
+  await waitFor(() => consoleErrors.length || run('speciesView.rows.length'));
+
+  type('kenya');  // Straight to another continent, no "Back to continents" needed
+  press('Enter');
+  await waitFor(() => run('state.countryId') === 404 && !run('inFlight'));
+  assert.equal(run('state.continentName'), 'Africa');
+  assert.equal(doc.getElementById('totalEndemic').textContent, '140');
+  assert.equal(doc.querySelector('path.country-selected').getAttribute('data-country'), 'KEN');
+  await waitFor(() => consoleErrors.length || run('speciesView.rows.length'));
+});
+
+test('the page logged no errors', () => {
+  assert.deepEqual(consoleErrors, []);
+});